@@ -0,0 +1,355 @@
+const AlertaSeguridad = require('../models/AlertaSeguridad');
+const ReglaAlerta = require('../models/ReglaAlerta');
+const AuditLog = require('../models/AuditLog');
+const { AppError, catchAsync } = require('../middlewares/errorHandler');
+const { evaluarReglas } = require('../utils/motorAlertas');
+
+// Función auxiliar para registrar auditoría (alertas y reglas de alerta)
+const registrarAuditoria = async (req, accion, tipo, entidadId, detalles, exitoso, mensaje) => {
+  await AuditLog.registrar({
+    usuario: req.user._id,
+    rolUsuario: req.user.role,
+    accion,
+    entidad: {
+      tipo,
+      id: entidadId
+    },
+    detalles,
+    seguridad: {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      sessionId: req.sessionID
+    },
+    resultado: {
+      exitoso,
+      mensaje
+    }
+  });
+};
+
+// Campos de una regla que el administrador puede configurar
+const CAMPOS_REGLA = [
+  'descripcion',
+  'nivel',
+  'activa',
+  'condicion',
+  'agrupacion',
+  'distintos',
+  'umbral',
+  'ventanaMinutos',
+  'fueraDeHorario'
+];
+
+const camposRegla = (datos) => {
+  const campos = {};
+  for (const campo of CAMPOS_REGLA) {
+    if (datos[campo] !== undefined) campos[campo] = datos[campo];
+  }
+  return campos;
+};
+
+// Listar alertas de seguridad con filtros y un resumen de las pendientes por nivel
+exports.getSecurityAlerts = catchAsync(async (req, res, next) => {
+  const filtros = {};
+  if (req.query.nivel) filtros.nivel = req.query.nivel;
+  if (req.query.estado) filtros.estado = req.query.estado;
+  if (req.query.regla) filtros.reglaNombre = req.query.regla;
+  if (req.query.fechaInicio || req.query.fechaFin) {
+    filtros['ventana.inicio'] = {};
+    if (req.query.fechaInicio) filtros['ventana.inicio'].$gte = new Date(req.query.fechaInicio);
+    if (req.query.fechaFin) filtros['ventana.inicio'].$lte = new Date(req.query.fechaFin);
+  }
+
+  // Paginación
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 50;
+
+  const [total, alertas, pendientes] = await Promise.all([
+    AlertaSeguridad.countDocuments(filtros),
+    AlertaSeguridad.find(filtros)
+      .select('-registros')
+      .populate('clave.usuario', 'name email role')
+      .populate('reconocimiento.usuario', 'name')
+      .populate('resolucion.usuario', 'name')
+      .sort('-ventana.inicio')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AlertaSeguridad.aggregate([
+      { $match: { estado: { $ne: 'resuelta' } } },
+      { $group: { _id: { nivel: '$nivel', estado: '$estado' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const resumen = {};
+  for (const { _id, count } of pendientes) {
+    resumen[_id.nivel] = resumen[_id.nivel] || { abierta: 0, reconocida: 0 };
+    resumen[_id.nivel][_id.estado] = count;
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: alertas.length,
+    total,
+    data: {
+      pendientes: resumen,
+      alertas
+    }
+  });
+});
+
+// Obtener una alerta con los registros de auditoría que la generaron
+exports.getSecurityAlert = catchAsync(async (req, res, next) => {
+  const alerta = await AlertaSeguridad.findById(req.params.id)
+    .populate('clave.usuario', 'name email role')
+    .populate('reconocimiento.usuario', 'name')
+    .populate('resolucion.usuario', 'name')
+    .populate({
+      path: 'registros',
+      populate: { path: 'usuario', select: 'name email role' }
+    });
+
+  if (!alerta) {
+    return next(new AppError('No se encontró la alerta', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      alerta
+    }
+  });
+});
+
+// Reconocer una alerta abierta (alguien la está revisando)
+exports.acknowledgeSecurityAlert = catchAsync(async (req, res, next) => {
+  const alerta = await AlertaSeguridad.findById(req.params.id);
+  if (!alerta) {
+    return next(new AppError('No se encontró la alerta', 404));
+  }
+
+  if (alerta.estado !== 'abierta') {
+    return next(new AppError(`La alerta ya está ${alerta.estado}`, 400));
+  }
+
+  alerta.estado = 'reconocida';
+  alerta.reconocimiento = {
+    usuario: req.user._id,
+    fecha: new Date(),
+    comentario: req.body.comentario
+  };
+  await alerta.save();
+
+  await registrarAuditoria(
+    req,
+    'reconocer_alerta',
+    'AlertaSeguridad',
+    alerta._id,
+    { regla: alerta.reglaNombre, nivel: alerta.nivel, comentario: req.body.comentario },
+    true,
+    'Alerta de seguridad reconocida'
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      alerta
+    }
+  });
+});
+
+// Resolver una alerta (abierta o reconocida) con un comentario
+exports.resolveSecurityAlert = catchAsync(async (req, res, next) => {
+  const alerta = await AlertaSeguridad.findById(req.params.id);
+  if (!alerta) {
+    return next(new AppError('No se encontró la alerta', 404));
+  }
+
+  if (alerta.estado === 'resuelta') {
+    return next(new AppError('La alerta ya está resuelta', 400));
+  }
+
+  if (!req.body.comentario || !String(req.body.comentario).trim()) {
+    return next(new AppError('Se requiere un comentario para resolver la alerta', 400));
+  }
+
+  // Resolver sin reconocer antes deja el reconocimiento con los mismos datos
+  const ahora = new Date();
+  if (alerta.estado === 'abierta') {
+    alerta.reconocimiento = { usuario: req.user._id, fecha: ahora };
+  }
+  alerta.estado = 'resuelta';
+  alerta.resolucion = {
+    usuario: req.user._id,
+    fecha: ahora,
+    comentario: req.body.comentario,
+    falsoPositivo: req.body.falsoPositivo === true || req.body.falsoPositivo === 'true'
+  };
+  await alerta.save();
+
+  await registrarAuditoria(
+    req,
+    'resolver_alerta',
+    'AlertaSeguridad',
+    alerta._id,
+    {
+      regla: alerta.reglaNombre,
+      nivel: alerta.nivel,
+      comentario: req.body.comentario,
+      falsoPositivo: alerta.resolucion.falsoPositivo
+    },
+    true,
+    'Alerta de seguridad resuelta'
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      alerta
+    }
+  });
+});
+
+// Evaluar ahora las reglas en un periodo (por omisión, las últimas 24 horas)
+// Las ventanas ya evaluadas actualizan sus alertas en lugar de duplicarlas
+exports.evaluateSecurityAlerts = catchAsync(async (req, res, next) => {
+  const hasta = req.body.fechaFin ? new Date(req.body.fechaFin) : new Date();
+  const desde = req.body.fechaInicio
+    ? new Date(req.body.fechaInicio)
+    : new Date(hasta.getTime() - 24 * 60 * 60 * 1000);
+
+  if (desde > hasta) {
+    return next(new AppError('La fecha final debe ser posterior a la fecha inicial', 400));
+  }
+
+  const resultados = await evaluarReglas({ desde, hasta });
+  const alertasNuevas = resultados.reduce((suma, resultado) => suma + resultado.alertasNuevas, 0);
+
+  await registrarAuditoria(
+    req,
+    'evaluar_alertas',
+    'AlertaSeguridad',
+    null,
+    { periodo: { inicio: desde, fin: hasta }, resultados },
+    true,
+    `Evaluación de reglas de alerta: ${alertasNuevas} alertas nuevas`
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      periodo: {
+        inicio: desde,
+        fin: hasta
+      },
+      alertasNuevas,
+      resultados
+    }
+  });
+});
+
+// Listar las reglas de alerta
+exports.getAlertRules = catchAsync(async (req, res, next) => {
+  const reglas = await ReglaAlerta.find()
+    .populate('createdBy', 'name')
+    .populate('updatedBy', 'name')
+    .sort('nombre');
+
+  res.status(200).json({
+    status: 'success',
+    results: reglas.length,
+    data: {
+      reglas
+    }
+  });
+});
+
+// Crear una regla de alerta
+exports.createAlertRule = catchAsync(async (req, res, next) => {
+  const regla = await ReglaAlerta.create({
+    nombre: req.body.nombre,
+    ...camposRegla(req.body),
+    createdBy: req.user._id
+  });
+
+  await registrarAuditoria(
+    req,
+    'crear',
+    'ReglaAlerta',
+    regla._id,
+    { nombre: regla.nombre, ...camposRegla(regla.toObject()) },
+    true,
+    `Regla de alerta ${regla.nombre} creada`
+  );
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      regla
+    }
+  });
+});
+
+// Modificar una regla de alerta (umbral, ventana, nivel, condición, activación...)
+exports.updateAlertRule = catchAsync(async (req, res, next) => {
+  const regla = await ReglaAlerta.findById(req.params.id);
+  if (!regla) {
+    return next(new AppError('No se encontró la regla de alerta', 404));
+  }
+
+  const cambios = camposRegla(req.body);
+  if (Object.keys(cambios).length === 0) {
+    return next(new AppError('No se indicaron cambios a la regla', 400));
+  }
+
+  const anterior = camposRegla(regla.toObject());
+  regla.set({ ...cambios, updatedBy: req.user._id });
+  await regla.save();
+
+  const nuevo = camposRegla(regla.toObject());
+  await registrarAuditoria(
+    req,
+    'actualizar',
+    'ReglaAlerta',
+    regla._id,
+    {
+      nombre: regla.nombre,
+      cambios: Object.keys(cambios).map(campo => ({
+        campo,
+        anterior: anterior[campo],
+        nuevo: nuevo[campo]
+      }))
+    },
+    true,
+    `Regla de alerta ${regla.nombre} actualizada`
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      regla
+    }
+  });
+});
+
+// Eliminar una regla de alerta (sus alertas se conservan)
+exports.deleteAlertRule = catchAsync(async (req, res, next) => {
+  const regla = await ReglaAlerta.findByIdAndDelete(req.params.id);
+  if (!regla) {
+    return next(new AppError('No se encontró la regla de alerta', 404));
+  }
+
+  await registrarAuditoria(
+    req,
+    'eliminar',
+    'ReglaAlerta',
+    regla._id,
+    { nombre: regla.nombre, ...camposRegla(regla.toObject()) },
+    true,
+    `Regla de alerta ${regla.nombre} eliminada`
+  );
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
@@ -1,6 +1,28 @@
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { pipeline, finished } = require('stream/promises');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
 const AuditLog = require('../models/AuditLog');
+const AuditArchivo = require('../models/AuditArchivo');
+const AuditExportacion = require('../models/AuditExportacion');
 const { AppError, catchAsync } = require('../middlewares/errorHandler');
-const { Parser } = require('json2csv');
+const { Transform: Json2csvTransform } = require('json2csv');
+const { archivarAuditoria, buscarEnArchivos, registrosArchivados } = require('../utils/archivoAuditoria');
+const { revelarCambios } = require('../utils/redaccion');
+const {
+  INDICADORES,
+  umbralesSeguridad,
+  reporteEventos,
+  actividadSospechosa,
+  registrosEvento
+} = require('../utils/monitoreoSeguridad');
+const {
+  cargarLlavePublica,
+  firmarConLlaveServidor,
+  verificarConLlaveServidor,
+  huellaLlaveServidor
+} = require('../utils/llaveServidor');
 
 // Función auxiliar para registrar la propia auditoría de consultas
 const registrarConsultaAuditoria = async (req, filtros, resultados) => {
@@ -28,70 +50,92 @@ const registrarConsultaAuditoria = async (req, filtros, resultados) => {
   });
 };
 
-// Obtener registros de auditoría con filtros
-exports.getAuditLogs = catchAsync(async (req, res, next) => {
-  // Verificar que sea administrador
-  if (req.user.role !== 'admin') {
-    return next(new AppError('No tiene permiso para ver registros de auditoría', 403));
-  }
-
-  // Construir filtros
+// Filtros de consulta comunes a la consulta y la exportación de registros
+const construirFiltros = (query) => {
   const filtros = {};
 
   // Filtrar por usuario
-  if (req.query.usuario) {
-    filtros.usuario = req.query.usuario;
+  if (query.usuario) {
+    filtros.usuario = query.usuario;
   }
 
   // Filtrar por rol
-  if (req.query.rolUsuario) {
-    filtros.rolUsuario = req.query.rolUsuario;
+  if (query.rolUsuario) {
+    filtros.rolUsuario = query.rolUsuario;
   }
 
   // Filtrar por acción
-  if (req.query.accion) {
-    filtros.accion = req.query.accion;
+  if (query.accion) {
+    filtros.accion = query.accion;
   }
 
   // Filtrar por tipo de entidad
-  if (req.query.entidadTipo) {
-    filtros['entidad.tipo'] = req.query.entidadTipo;
+  if (query.entidadTipo) {
+    filtros['entidad.tipo'] = query.entidadTipo;
   }
 
   // Filtrar por ID de entidad
-  if (req.query.entidadId) {
-    filtros['entidad.id'] = req.query.entidadId;
+  if (query.entidadId) {
+    filtros['entidad.id'] = query.entidadId;
   }
 
   // Filtrar por resultado
-  if (req.query.exitoso !== undefined) {
-    filtros['resultado.exitoso'] = req.query.exitoso === 'true';
+  if (query.exitoso !== undefined) {
+    filtros['resultado.exitoso'] = query.exitoso === 'true';
   }
 
   // Filtrar por rango de fechas
-  if (req.query.fechaInicio || req.query.fechaFin) {
+  if (query.fechaInicio || query.fechaFin) {
     filtros.timestamp = {};
-    if (req.query.fechaInicio) {
-      filtros.timestamp.$gte = new Date(req.query.fechaInicio);
+    if (query.fechaInicio) {
+      filtros.timestamp.$gte = new Date(query.fechaInicio);
     }
-    if (req.query.fechaFin) {
-      filtros.timestamp.$lte = new Date(req.query.fechaFin);
+    if (query.fechaFin) {
+      filtros.timestamp.$lte = new Date(query.fechaFin);
     }
   }
 
+  return filtros;
+};
+
+// Obtener registros de auditoría con filtros
+exports.getAuditLogs = catchAsync(async (req, res, next) => {
+  // Verificar que sea administrador
+  if (req.user.role !== 'admin') {
+    return next(new AppError('No tiene permiso para ver registros de auditoría', 403));
+  }
+
+  const filtros = construirFiltros(req.query);
+
   // Paginación
   const page = parseInt(req.query.page, 10) || 1;
   const limit = parseInt(req.query.limit, 10) || 50;
   const skip = (page - 1) * limit;
 
   // Ejecutar consulta
-  const logs = await AuditLog.find(filtros)
-    .populate('usuario', 'name email role')
-    .sort('-timestamp')
-    .skip(skip)
-    .limit(limit);
+  const totalActivos = await AuditLog.countDocuments(filtros);
+  const logs = skip < totalActivos
+    ? await AuditLog.find(filtros)
+      .populate('usuario', 'name email role')
+      .sort('-timestamp')
+      .skip(skip)
+      .limit(limit)
+    : [];
 
-  const total = await AuditLog.countDocuments(filtros);
+  // Los registros archivados son más antiguos que los de la base de datos: si se consulta
+  // un periodo con fecha inicial, la página se completa con ellos
+  let totalArchivados = 0;
+  if (req.query.fechaInicio) {
+    const archivados = await buscarEnArchivos(filtros, {
+      skip: Math.max(0, skip - totalActivos),
+      limit: limit - logs.length
+    });
+    totalArchivados = archivados.total;
+    for (const registro of archivados.registros) {
+      if (registro.usuario) registro.usuario = new mongoose.Types.ObjectId(registro.usuario);
+    }
+    logs.push(...await AuditLog.populate(archivados.registros, { path: 'usuario', select: 'name email role' }));
+  }
 
   // Registrar esta consulta en la auditoría
   await registrarConsultaAuditoria(req, filtros, logs);
@@ -99,70 +143,189 @@ exports.getAuditLogs = catchAsync(async (req, res, next) => {
   res.status(200).json({
     status: 'success',
     results: logs.length,
-    total,
+    total: totalActivos + totalArchivados,
+    archivados: totalArchivados,
     data: {
       logs
     }
   });
 });
 
-// Exportar registros de auditoría a CSV
+// Columnas de la exportación en CSV y XLSX
+const COLUMNAS_EXPORTACION = [
+  { label: 'Secuencia', value: 'Secuencia' },
+  { label: 'Fecha', value: 'Fecha' },
+  { label: 'Usuario', value: 'Usuario' },
+  { label: 'Email', value: 'Email' },
+  { label: 'Rol', value: 'Rol' },
+  { label: 'Acción', value: 'Accion' },
+  { label: 'Tipo de Entidad', value: 'EntidadTipo' },
+  { label: 'ID de Entidad', value: 'EntidadId' },
+  { label: 'Exitoso', value: 'ResultadoExitoso' },
+  { label: 'Mensaje', value: 'Mensaje' },
+  { label: 'Dirección IP', value: 'IP' },
+  { label: 'Navegador', value: 'UserAgent' },
+  { label: 'Hash', value: 'Hash' }
+];
+
+// Fila de la exportación en CSV y XLSX
+const filaExportacion = (log) => ({
+  Secuencia: log.secuencia,
+  Fecha: new Date(log.timestamp).toISOString(),
+  Usuario: log.usuario && log.usuario.name ? log.usuario.name : 'N/A',
+  Email: log.usuario && log.usuario.email ? log.usuario.email : 'N/A',
+  Rol: log.rolUsuario,
+  Accion: log.accion,
+  EntidadTipo: log.entidad && log.entidad.tipo,
+  EntidadId: log.entidad && log.entidad.id ? String(log.entidad.id) : '',
+  ResultadoExitoso: log.resultado && log.resultado.exitoso ? 'Sí' : 'No',
+  Mensaje: log.resultado && log.resultado.mensaje,
+  IP: log.seguridad && log.seguridad.ip,
+  UserAgent: log.seguridad && log.seguridad.userAgent,
+  Hash: log.hash
+});
+
+// Registros a exportar en orden cronológico: primero los archivados (si se pidió un periodo
+// con fecha inicial, como en getAuditLogs) y después los de la base de datos
+async function* registrosExportacion(filtros, incluirArchivados) {
+  if (incluirArchivados) {
+    let lote = [];
+    const poblarLote = async () => {
+      for (const registro of lote) {
+        if (registro.usuario) registro.usuario = new mongoose.Types.ObjectId(registro.usuario);
+      }
+      return AuditLog.populate(lote, { path: 'usuario', select: 'name email role' });
+    };
+    for await (const registro of registrosArchivados(filtros)) {
+      lote.push(registro);
+      if (lote.length === 500) {
+        yield* await poblarLote();
+        lote = [];
+      }
+    }
+    yield* await poblarLote();
+  }
+
+  yield* AuditLog.find(filtros)
+    .sort('timestamp')
+    .populate('usuario', 'name email role')
+    .lean()
+    .cursor({ batchSize: 500 });
+}
+
+// Escribir la exportación en el flujo de salida; devuelve el número de registros
+const escribirExportacion = async (formato, registros, salida) => {
+  let total = 0;
+
+  if (formato === 'xlsx') {
+    const libro = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: salida, useSharedStrings: false });
+    const hoja = libro.addWorksheet('Auditoría');
+    hoja.columns = COLUMNAS_EXPORTACION.map(columna => ({ header: columna.label, key: columna.value, width: 20 }));
+    for await (const log of registros) {
+      hoja.addRow(filaExportacion(log)).commit();
+      total++;
+    }
+    hoja.commit();
+    await libro.commit();
+    return total;
+  }
+
+  if (formato === 'jsonl') {
+    await pipeline(Readable.from((async function* () {
+      for await (const log of registros) {
+        total++;
+        yield `${JSON.stringify(log)}\n`;
+      }
+    })()), salida);
+    return total;
+  }
+
+  await pipeline(
+    Readable.from((async function* () {
+      for await (const log of registros) {
+        total++;
+        yield filaExportacion(log);
+      }
+    })()),
+    new Json2csvTransform({ fields: COLUMNAS_EXPORTACION, withBOM: true }, { objectMode: true }),
+    salida
+  );
+  return total;
+};
+
+const TIPOS_EXPORTACION = {
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Límite de filas de una hoja de Excel (sin contar el encabezado)
+const MAXIMO_FILAS_XLSX = 1048575;
+
+// Exportar registros de auditoría (CSV, JSON Lines o XLSX) sin cargarlos en memoria
+// La firma separada del archivo se obtiene después en /export/:id/signature
 exports.exportAuditLogs = catchAsync(async (req, res, next) => {
   if (req.user.role !== 'admin') {
     return next(new AppError('No tiene permiso para exportar registros de auditoría', 403));
   }
 
-  // Construir filtros (similar a getAuditLogs)
-  const filtros = {};
-  
-  if (req.query.fechaInicio || req.query.fechaFin) {
-    filtros.timestamp = {};
-    if (req.query.fechaInicio) {
-      filtros.timestamp.$gte = new Date(req.query.fechaInicio);
+  const formato = req.query.formato || 'csv';
+  if (typeof formato !== 'string' || !Object.prototype.hasOwnProperty.call(TIPOS_EXPORTACION, formato)) {
+    return next(new AppError(`Formato de exportación no soportado; use ${Object.keys(TIPOS_EXPORTACION).join(', ')}`, 400));
+  }
+  const filtros = construirFiltros(req.query);
+  const incluirArchivados = Boolean(req.query.fechaInicio);
+
+  if (formato === 'xlsx') {
+    const archivados = incluirArchivados
+      ? await AuditArchivo.buscar({ fechaInicio: req.query.fechaInicio, fechaFin: req.query.fechaFin })
+      : [];
+    const maximo = await AuditLog.countDocuments(filtros) +
+      archivados.reduce((suma, archivo) => suma + archivo.registros, 0);
+    if (maximo > MAXIMO_FILAS_XLSX) {
+      return next(new AppError('La exportación excede el límite de filas de XLSX; use CSV o JSON Lines', 400));
     }
-    if (req.query.fechaFin) {
-      filtros.timestamp.$lte = new Date(req.query.fechaFin);
+  }
+
+  const exportacion = new AuditExportacion({
+    usuario: req.user._id,
+    formato,
+    archivo: `auditoria_${new Date().toISOString().replace(/[:.]/g, '-')}.${formato}`,
+    filtros: JSON.parse(JSON.stringify(filtros))
+  });
+
+  // Lo que se envía pasa por el hash antes de llegar al cliente
+  const hash = crypto.createHash('sha256');
+  const salida = new Transform({
+    transform(parte, codificacion, listo) {
+      hash.update(parte);
+      listo(null, parte);
     }
+  });
+  salida.pipe(res);
+
+  res.setHeader('Content-Type', TIPOS_EXPORTACION[formato]);
+  res.setHeader('Content-Disposition', `attachment; filename=${exportacion.archivo}`);
+  res.setHeader('X-Export-Id', exportacion._id.toString());
+  res.status(200);
+
+  let registros;
+  try {
+    registros = await escribirExportacion(formato, registrosExportacion(filtros, incluirArchivados), salida);
+  } catch (error) {
+    // Los encabezados ya se enviaron: solo queda cortar la respuesta
+    console.error('Error al exportar registros de auditoría:', error);
+    res.destroy(error);
+    return;
   }
+  // El hash queda completo cuando el último fragmento pasó por la transformación
+  await finished(salida, { readable: false });
 
-  // Obtener todos los registros que coincidan con los filtros
-  const logs = await AuditLog.find(filtros)
-    .populate('usuario', 'name email role')
-    .sort('-timestamp');
-
-  // Transformar datos para CSV
-  const logsParaExportar = logs.map(log => ({
-    Fecha: log.timestamp.toLocaleString(),
-    Usuario: log.usuario ? log.usuario.name : 'N/A',
-    Email: log.usuario ? log.usuario.email : 'N/A',
-    Rol: log.rolUsuario,
-    Accion: log.accion,
-    EntidadTipo: log.entidad.tipo,
-    EntidadId: log.entidad.id,
-    ResultadoExitoso: log.resultado.exitoso ? 'Sí' : 'No',
-    Mensaje: log.resultado.mensaje,
-    IP: log.seguridad.ip,
-    UserAgent: log.seguridad.userAgent
-  }));
-
-  // Configurar campos para CSV
-  const campos = [
-    { label: 'Fecha', value: 'Fecha' },
-    { label: 'Usuario', value: 'Usuario' },
-    { label: 'Email', value: 'Email' },
-    { label: 'Rol', value: 'Rol' },
-    { label: 'Acción', value: 'Accion' },
-    { label: 'Tipo de Entidad', value: 'EntidadTipo' },
-    { label: 'ID de Entidad', value: 'EntidadId' },
-    { label: 'Exitoso', value: 'ResultadoExitoso' },
-    { label: 'Mensaje', value: 'Mensaje' },
-    { label: 'Dirección IP', value: 'IP' },
-    { label: 'Navegador', value: 'UserAgent' }
-  ];
-
-  // Generar CSV
-  const json2csvParser = new Parser({ fields: campos });
-  const csv = json2csvParser.parse(logsParaExportar);
+  exportacion.registros = registros;
+  exportacion.sha256 = hash.digest('hex');
+  exportacion.firma = firmarConLlaveServidor(exportacion.datosFirmados());
+  exportacion.huellaLlave = huellaLlaveServidor();
+  await exportacion.save();
 
   // Registrar la exportación
   await AuditLog.registrar({
@@ -175,7 +338,10 @@ exports.exportAuditLogs = catchAsync(async (req, res, next) => {
     },
     detalles: {
       filtros,
-      registrosExportados: logs.length
+      formato,
+      exportacion: exportacion._id,
+      registrosExportados: registros,
+      sha256: exportacion.sha256
     },
     seguridad: {
       ip: req.ip,
@@ -187,12 +353,31 @@ exports.exportAuditLogs = catchAsync(async (req, res, next) => {
       mensaje: 'Exportación de registros de auditoría exitosa'
     }
   });
+});
+
+// Firma separada de una exportación: hash del archivo, datos firmados, firma y llave pública
+exports.getExportSignature = catchAsync(async (req, res, next) => {
+  const exportacion = await AuditExportacion.findById(req.params.id);
+  if (!exportacion) {
+    return next(new AppError('No se encontró la exportación', 404));
+  }
 
-  // Enviar archivo CSV
-  res.setHeader('Content-Type', 'text/csv');
-  res.setHeader('Content-Disposition', 
-    `attachment; filename=auditoria_${new Date().toISOString()}.csv`);
-  res.status(200).send(csv);
+  res.status(200).json({
+    status: 'success',
+    data: {
+      archivo: exportacion.archivo,
+      formato: exportacion.formato,
+      registros: exportacion.registros,
+      fecha: exportacion.fecha,
+      sha256: exportacion.sha256,
+      datosFirmados: exportacion.datosFirmados(),
+      firma: exportacion.firma,
+      huellaLlave: exportacion.huellaLlave,
+      llavePublica: cargarLlavePublica().export({ type: 'spki', format: 'pem' }),
+      verificado: exportacion.huellaLlave === huellaLlaveServidor() &&
+        verificarConLlaveServidor(exportacion.datosFirmados(), exportacion.firma)
+    }
+  });
 });
 
 // Obtener estadísticas de auditoría
@@ -302,3 +487,328 @@ exports.getAuditStats = catchAsync(async (req, res, next) => {
     }
   });
 });
+
+// Periodo, ventana y umbral de un reporte de seguridad (por omisión, la última semana y los
+// umbrales configurados)
+const opcionesMonitoreo = (query, umbral) => {
+  const umbrales = umbralesSeguridad();
+  const hasta = query.fechaFin ? new Date(query.fechaFin) : new Date();
+  const desde = query.fechaInicio
+    ? new Date(query.fechaInicio)
+    : new Date(hasta.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+  return {
+    desde,
+    hasta,
+    ventanaMinutos: Math.min(parseInt(query.ventana, 10) || umbrales.ventanaMinutos, 1440),
+    umbral: umbral ? parseInt(query.umbral, 10) || umbrales[umbral] : undefined,
+    umbrales
+  };
+};
+
+// Filtros de detalle: con cualquiera de ellos el reporte devuelve los registros del grupo
+const filtrosDetalle = (query) => {
+  const filtros = {};
+  for (const campo of ['ip', 'usuario', 'email', 'ventanaInicio']) {
+    if (query[campo]) filtros[campo] = query[campo];
+  }
+  return Object.keys(filtros).length > 0 ? filtros : null;
+};
+
+// Registrar en la auditoría la consulta de un reporte de seguridad
+const registrarReporteSeguridad = async (req, reporte, opciones, detalle, resultados) => {
+  await AuditLog.registrar({
+    usuario: req.user._id,
+    rolUsuario: req.user.role,
+    accion: 'consultar_auditoria',
+    entidad: {
+      tipo: 'AuditLog',
+      id: null
+    },
+    detalles: {
+      reporte,
+      periodo: {
+        inicio: opciones.desde,
+        fin: opciones.hasta
+      },
+      ventanaMinutos: opciones.ventanaMinutos,
+      umbral: opciones.umbral,
+      detalle,
+      resultados
+    },
+    seguridad: {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      sessionId: req.sessionID
+    },
+    resultado: {
+      exitoso: true,
+      mensaje: `Consulta del reporte de seguridad ${reporte}`
+    }
+  });
+};
+
+// Reporte de un evento de seguridad agrupado por IP, usuario y ventana de tiempo, o los
+// registros de un grupo si se indica ip, usuario, email o ventanaInicio
+const reporteSeguridad = (evento, umbral, reporte) => catchAsync(async (req, res, next) => {
+  const opciones = opcionesMonitoreo(req.query, umbral);
+  const detalle = filtrosDetalle(req.query);
+
+  let data;
+  if (detalle) {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const { total, registros } = await registrosEvento(evento, { ...opciones, ...detalle }, {
+      skip: (page - 1) * limit,
+      limit
+    });
+    data = { detalle, total, registros };
+  } else {
+    data = await reporteEventos(evento, opciones);
+  }
+
+  await registrarReporteSeguridad(req, reporte, opciones, detalle, data.total);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      periodo: {
+        inicio: opciones.desde,
+        fin: opciones.hasta
+      },
+      ventanaMinutos: opciones.ventanaMinutos,
+      umbral: opciones.umbral,
+      ...data
+    }
+  });
+});
+
+// Intentos de login fallidos
+exports.getFailedLogins = reporteSeguridad('intentosFallidos', 'intentosFallidos', 'intentos_fallidos');
+
+// Accesos denegados por autenticación o permisos
+exports.getAccessDenied = reporteSeguridad('accesosDenegados', 'accesosDenegados', 'accesos_denegados');
+
+// Actividad sospechosa: hallazgos de cada indicador que alcanzan su umbral, o los registros
+// de un hallazgo si se indica el indicador con ip, usuario o ventanaInicio
+exports.getSuspiciousActivity = catchAsync(async (req, res, next) => {
+  const opciones = opcionesMonitoreo(req.query);
+  const detalle = filtrosDetalle(req.query);
+
+  if (req.query.indicador && !INDICADORES[req.query.indicador]) {
+    return next(new AppError('Indicador de actividad sospechosa inválido', 400));
+  }
+  if (detalle && !req.query.indicador) {
+    return next(new AppError('Indique el indicador del hallazgo a detallar', 400));
+  }
+
+  let data;
+  if (detalle) {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const { total, registros } = await registrosEvento(
+      INDICADORES[req.query.indicador].evento,
+      { ...opciones, ...detalle },
+      { skip: (page - 1) * limit, limit }
+    );
+    data = { indicador: req.query.indicador, detalle, total, registros };
+  } else {
+    const hallazgos = (await actividadSospechosa(opciones))
+      .filter(hallazgo => !req.query.indicador || hallazgo.indicador === req.query.indicador);
+    const porIndicador = {};
+    for (const indicador of Object.keys(INDICADORES)) {
+      porIndicador[indicador] = hallazgos.filter(hallazgo => hallazgo.indicador === indicador).length;
+    }
+    data = { total: hallazgos.length, porIndicador, hallazgos };
+  }
+
+  await registrarReporteSeguridad(req, 'actividad_sospechosa', opciones, detalle, data.total);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      periodo: {
+        inicio: opciones.desde,
+        fin: opciones.hasta
+      },
+      ventanaMinutos: opciones.ventanaMinutos,
+      umbrales: opciones.umbrales,
+      ...data
+    }
+  });
+});
+
+// Verificar la integridad de la cadena de auditoría y sus puntos de control firmados
+exports.verifyAuditChain = catchAsync(async (req, res, next) => {
+  const resultado = await AuditLog.verificarCadena();
+
+  await AuditLog.registrar({
+    usuario: req.user._id,
+    rolUsuario: req.user.role,
+    accion: 'verificar_auditoria',
+    entidad: {
+      tipo: 'AuditLog',
+      id: resultado.primerError ? resultado.primerError.registroId : null
+    },
+    detalles: {
+      valida: resultado.valida,
+      registrosVerificados: resultado.registrosVerificados,
+      primerError: resultado.primerError
+    },
+    seguridad: {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      sessionId: req.sessionID
+    },
+    resultado: {
+      exitoso: true,
+      mensaje: resultado.valida
+        ? 'Cadena de auditoría íntegra'
+        : `Cadena de auditoría rota: ${resultado.primerError.mensaje}`
+    }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: resultado
+  });
+});
+
+// Firmar un punto de control sobre el último registro de auditoría
+exports.createAuditCheckpoint = catchAsync(async (req, res, next) => {
+  const checkpoint = await AuditLog.crearCheckpoint();
+  if (!checkpoint) {
+    return next(new AppError('No hay registros de auditoría encadenados', 404));
+  }
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      checkpoint
+    }
+  });
+});
+
+// Archivar ahora los registros que superan el periodo de retención
+exports.archiveAuditLogs = catchAsync(async (req, res, next) => {
+  const archivos = await archivarAuditoria(
+    req.body.antesDe ? { antesDe: new Date(req.body.antesDe) } : {}
+  );
+
+  await AuditLog.registrar({
+    usuario: req.user._id,
+    rolUsuario: req.user.role,
+    accion: 'archivar_auditoria',
+    entidad: {
+      tipo: 'AuditLog',
+      id: null
+    },
+    detalles: {
+      antesDe: req.body.antesDe,
+      archivos: archivos.map(archivo => archivo.archivo),
+      registros: archivos.reduce((suma, archivo) => suma + archivo.registros, 0)
+    },
+    seguridad: {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      sessionId: req.sessionID
+    },
+    resultado: {
+      exitoso: true,
+      mensaje: 'Archivado de registros de auditoría exitoso'
+    }
+  });
+
+  res.status(201).json({
+    status: 'success',
+    results: archivos.length,
+    data: {
+      archivos
+    }
+  });
+});
+
+// Listar el índice de archivos de auditoría
+exports.getAuditArchives = catchAsync(async (req, res, next) => {
+  const archivos = await AuditArchivo.buscar({
+    fechaInicio: req.query.fechaInicio,
+    fechaFin: req.query.fechaFin
+  }).select('-usuarios');
+
+  res.status(200).json({
+    status: 'success',
+    results: archivos.length,
+    data: {
+      archivos
+    }
+  });
+});
+
+// Listas de cambios por campo (utils/redaccion) guardadas en los detalles de un registro
+const esListaCambios = (valor) =>
+  Array.isArray(valor) && valor.length > 0 && valor.every(cambio => cambio && cambio.ruta && cambio.operacion);
+
+// Revelar los datos sensibles protegidos de un registro de auditoría
+// Requiere el permiso revelar_datos_auditoria y un motivo; cada revelación queda auditada
+exports.revealAuditDetails = catchAsync(async (req, res, next) => {
+  const { motivo, rutas } = req.body;
+  if (typeof motivo !== 'string' || motivo.trim().length < 10) {
+    return next(new AppError('El motivo debe tener al menos 10 caracteres', 400));
+  }
+  if (rutas !== undefined && (!Array.isArray(rutas) || rutas.length === 0)) {
+    return next(new AppError('Las rutas deben ser una lista', 400));
+  }
+
+  const log = await AuditLog.findById(req.params.id);
+  if (!log) {
+    return next(new AppError('No se encontró el registro de auditoría', 404));
+  }
+
+  const cambios = Object.values(log.detalles || {}).filter(esListaCambios).flat();
+  let revelados;
+  try {
+    revelados = revelarCambios(cambios, rutas);
+  } catch (error) {
+    return next(new AppError('No se pudieron descifrar los datos del registro', 400, 'DESCIFRADO_FALLIDO'));
+  }
+  if (revelados.length === 0) {
+    return next(new AppError('El registro no tiene datos protegidos en las rutas indicadas', 404));
+  }
+
+  // Sin registro de la revelación no se entregan los datos
+  const registro = await AuditLog.registrar({
+    usuario: req.user._id,
+    rolUsuario: req.user.role,
+    accion: 'revelar_datos',
+    entidad: {
+      tipo: 'AuditLog',
+      id: log._id
+    },
+    detalles: {
+      motivo: motivo.trim(),
+      rutas: revelados.map(cambio => cambio.ruta),
+      entidadRegistro: log.entidad
+    },
+    seguridad: {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      sessionId: req.sessionID
+    },
+    resultado: {
+      exitoso: true,
+      mensaje: 'Revelación de datos protegidos de auditoría'
+    }
+  });
+  if (!registro) {
+    return next(new AppError('No se pudo registrar la revelación en la auditoría', 500, 'AUDITORIA_FALLIDA'));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      registro: log._id,
+      entidad: log.entidad,
+      cambios: revelados
+    }
+  });
+});
@@ -93,15 +93,17 @@ exports.login = catchAsync(async (req, res, next) => {
   const user = await User.findOne({ email }).select('+password');
 
   if (!user || !(await user.comparePassword(password))) {
-    // Registrar intento fallido
+    // Registrar intento fallido (si la cuenta no existe se guarda el email intentado para
+    // agrupar los intentos en el monitoreo de seguridad)
     await AuditLog.registrar({
       usuario: user?._id,
       rolUsuario: user?.role || 'anonymous',
       accion: 'login',
       entidad: {
-        tipo: 'Usuario',
+        tipo: user ? 'Usuario' : 'Sistema',
         id: user?._id
       },
+      detalles: user ? {} : { email: String(email).toLowerCase() },
       seguridad: {
         ip: req.ip,
         userAgent: req.get('user-agent')
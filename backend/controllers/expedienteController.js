@@ -1,10 +1,26 @@
-const { PDFDocument, StandardFonts } = require('pdf-lib');
 const Expediente = require('../models/Expediente');
 const Paciente = require('../models/Paciente');
 const Firma = require('../models/Firma');
+const RevisionExpediente = require('../models/RevisionExpediente');
+const PlantillaPDF = require('../models/PlantillaPDF');
 const AuditLog = require('../models/AuditLog');
 const { AppError, catchAsync } = require('../middlewares/errorHandler');
+const { cargarEfirma, firmarCadena } = require('../utils/efirma');
+const { validarTitular } = require('../utils/certificado');
+const { solicitarSelloTiempo } = require('../utils/tsa');
+const { rolesPendientes, resolverRolFirmante } = require('../utils/flujosFirma');
+const { generarPDFExpediente, generarPDFPaquete } = require('../utils/pdf');
+const { firmarPDF } = require('../utils/pades');
+const { redactar } = require('../utils/redaccion');
+const {
+  diasBorradorPredeterminado,
+  estadisticasGenerales,
+  estadisticasPorDoctor,
+  estadisticasPorTipo
+} = require('../utils/estadisticasExpedientes');
 const config = require('../config/config');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -31,90 +47,349 @@ const registrarAuditoria = async (req, accion, entidadId, detalles, exitoso, men
   });
 };
 
-// Generar PDF del expediente
-const generarPDF = async (expediente, paciente) => {
-  const pdfDoc = await PDFDocument.create();
-  const page = pdfDoc.addPage();
-  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-  const fontSize = 12;
-
-  // Encabezado
-  page.drawText('EXPEDIENTE CLÍNICO ELECTRÓNICO', {
-    x: 50,
-    y: page.getHeight() - 50,
-    size: 16,
-    font
-  });
+// Propósito de la firma según el tipo de expediente
+const propositoFirma = (tipo) => {
+  if (tipo === 'receta_medica') return 'receta';
+  if (tipo === 'consentimiento_informado') return 'consentimiento_informado';
+  if (tipo === 'resultado_laboratorio') return 'resultado_laboratorio';
+  if (tipo.startsWith('nota_')) return 'nota_medica';
+  return 'creacion_expediente';
+};
 
-  // Datos del paciente
-  page.drawText(`Paciente: ${paciente.nombreCompleto}`, {
-    x: 50,
-    y: page.getHeight() - 80,
-    size: fontSize,
-    font
-  });
+// Cargar la e.firma (.cer, .key y contraseña) enviada en la solicitud
+const cargarEfirmaSolicitud = (req) => {
+  const archivoCer = req.files && req.files.archivoCer && req.files.archivoCer[0];
+  const archivoKey = req.files && req.files.archivoKey && req.files.archivoKey[0];
+
+  if (!archivoCer || !archivoKey || !req.body.contrasena) {
+    throw new AppError('Se requieren el certificado (.cer), la llave privada (.key) y su contraseña', 400);
+  }
+
+  try {
+    const efirma = cargarEfirma(archivoCer.buffer, archivoKey.buffer, req.body.contrasena);
+    // El certificado debe pertenecer al usuario que firma
+    validarTitular(efirma.certificado.datos, req.user);
+    return efirma;
+  } finally {
+    // La llave cifrada y la contraseña no deben permanecer en memoria
+    archivoKey.buffer.fill(0);
+    req.body.contrasena = undefined;
+  }
+};
 
-  // Contenido del expediente
-  let yPosition = page.getHeight() - 120;
-  
-  // Tipo de expediente
-  page.drawText(`Tipo: ${expediente.tipo}`, {
-    x: 50,
-    y: yPosition,
-    size: fontSize,
-    font
+// Firmar el expediente (o una addenda) con la e.firma y registrar la firma
+const crearFirma = async (req, efirma, expediente, proposito, { addenda = null, rol = 'medico' } = {}) => {
+  const fecha = new Date();
+  const { numeroSerie, emisor, sujeto, vigencia } = efirma.certificado.datos;
+  const cadenaOriginal = expediente.generarCadenaOriginal({
+    firmante: req.user._id,
+    rol,
+    numeroSerie,
+    fecha,
+    addenda
   });
-  yPosition -= 20;
-
-  // Fecha
-  page.drawText(`Fecha: ${expediente.contenido.fecha.toLocaleDateString()}`, {
-    x: 50,
-    y: yPosition,
-    size: fontSize,
-    font
+
+  const selloDigital = firmarCadena(cadenaOriginal, efirma.llave);
+
+  // Sello de tiempo RFC 3161 sobre el sello digital (si hay TSA configurada)
+  let selloTiempo;
+  if (config.tsaUrl) {
+    try {
+      const { token, autoridad, fecha: fechaSello } = await solicitarSelloTiempo(
+        Buffer.from(selloDigital, 'base64')
+      );
+      selloTiempo = {
+        autoridad,
+        sello: token.toString('base64'),
+        fecha: fechaSello
+      };
+    } catch (error) {
+      throw new AppError(`No se pudo obtener el sello de tiempo: ${error.message}`, 503, 'TSA_NO_DISPONIBLE');
+    }
+  }
+
+  return Firma.create({
+    expediente: expediente._id,
+    addenda: addenda ? addenda._id : undefined,
+    firmante: req.user._id,
+    rol,
+    certificado: {
+      numeroSerie,
+      emisor,
+      sujeto,
+      vigencia,
+      certificadoPublico: efirma.certificado.pem
+    },
+    firma: {
+      algoritmo: efirma.algoritmo,
+      cadenaOriginal,
+      selloDigital,
+      hashDocumento: addenda ? addenda.hash : expediente.documento.hash
+    },
+    timestamp: {
+      fecha,
+      selloTiempo
+    },
+    metadata: {
+      dispositivo: req.get('user-agent'),
+      ip: req.ip,
+      proposito
+    }
   });
-  yPosition -= 40;
-
-  // Contenido principal
-  const contenido = expediente.contenido;
-  for (const [key, value] of Object.entries(contenido)) {
-    if (key !== 'fecha' && key !== 'metadata') {
-      page.drawText(`${key}: ${value}`, {
-        x: 50,
-        y: yPosition,
-        size: fontSize,
-        font
+};
+
+// Firma vigente del expediente (los registros anteriores pueden no tener la referencia)
+const buscarFirmaExpediente = async (expediente) => {
+  if (expediente.firmaDigital && expediente.firmaDigital.firma) {
+    return Firma.findById(expediente.firmaDigital.firma);
+  }
+  return Firma.findOne({ expediente: expediente._id, addenda: null }).sort('-createdAt');
+};
+
+// Archivos asociados del PDF/A-3: el expediente en JSON y, por cada firma, sus datos,
+// el certificado del firmante y el sello de tiempo
+const adjuntosArchivo = async (expediente) => {
+  const datos = expediente.toObject({ virtuals: false, depopulate: true });
+  delete datos.historialAccesos;
+  const adjuntos = [{
+    nombre: 'expediente.json',
+    contenido: Buffer.from(JSON.stringify(datos, null, 2), 'utf8'),
+    mimeType: 'application/json',
+    descripcion: 'Expediente en formato estructurado',
+    relacion: 'Source'
+  }];
+
+  const firmas = await Firma.find({ expediente: expediente._id }).sort('createdAt');
+  firmas.forEach((firma, indice) => {
+    const base = `firma-${indice + 1}-${firma.addenda ? 'addenda' : firma.rol}`;
+    adjuntos.push({
+      nombre: `${base}.json`,
+      contenido: Buffer.from(JSON.stringify({
+        id: firma._id,
+        rol: firma.rol,
+        addenda: firma.addenda,
+        firmante: firma.firmante,
+        estado: firma.estado,
+        algoritmo: firma.firma.algoritmo,
+        cadenaOriginal: firma.firma.cadenaOriginal,
+        selloDigital: firma.firma.selloDigital,
+        hashDocumento: firma.firma.hashDocumento,
+        fecha: firma.timestamp.fecha,
+        certificado: {
+          numeroSerie: firma.certificado.numeroSerie,
+          emisor: firma.certificado.emisor,
+          sujeto: firma.certificado.sujeto,
+          vigencia: firma.certificado.vigencia
+        }
+      }, null, 2), 'utf8'),
+      mimeType: 'application/json',
+      descripcion: 'Cadena original y sello digital de la firma',
+      relacion: 'Supplement'
+    });
+    adjuntos.push({
+      nombre: `${base}.pem`,
+      contenido: Buffer.from(firma.certificado.certificadoPublico, 'utf8'),
+      mimeType: 'application/x-pem-file',
+      descripcion: 'Certificado del firmante',
+      relacion: 'Supplement'
+    });
+    if (firma.timestamp.selloTiempo && firma.timestamp.selloTiempo.sello) {
+      adjuntos.push({
+        nombre: `${base}.tst`,
+        contenido: Buffer.from(firma.timestamp.selloTiempo.sello, 'base64'),
+        mimeType: 'application/octet-stream',
+        descripcion: 'Sello de tiempo RFC 3161 del sello digital',
+        relacion: 'Supplement'
       });
-      yPosition -= 20;
     }
+  });
+
+  return adjuntos;
+};
+
+// Generar en memoria el PDF del expediente con la plantilla vigente de su tipo
+const renderizarPDF = async (expediente, paciente, { archivo = Boolean(config.pdfArchival) } = {}) => {
+  const datosMedico = 'name cedulaProfesional especialidad';
+  await expediente.populate([
+    { path: 'createdBy', select: datosMedico },
+    { path: 'firmaDigital.firmante', select: datosMedico },
+    { path: 'firmas.firmante', select: datosMedico },
+    { path: 'addenda.autor', select: datosMedico }
+  ]);
+
+  // Los expedientes anteriores al folio de verificación lo reciben al regenerar su PDF
+  if (!expediente.folio) {
+    expediente.folio = Expediente.generarFolio();
+    await Expediente.updateOne({ _id: expediente._id }, { $set: { folio: expediente.folio } });
   }
 
-  // Información de firma
-  if (expediente.firmaDigital) {
-    yPosition -= 40;
-    page.drawText('FIRMADO DIGITALMENTE POR:', {
-      x: 50,
-      y: yPosition,
-      size: fontSize,
-      font
-    });
-    yPosition -= 20;
-    page.drawText(`Dr. ${expediente.firmaDigital.firmante.name}`, {
-      x: 50,
-      y: yPosition,
-      size: fontSize,
-      font
+  const plantilla = await PlantillaPDF.obtenerVigente(expediente.tipo);
+  const pdfBuffer = await generarPDFExpediente(expediente, paciente, {
+    plantilla,
+    medico: expediente.createdBy,
+    verificacion: {
+      folio: expediente.folio,
+      url: config.verificationUrl ? `${config.verificationUrl.replace(/\/+$/, '')}/${expediente.folio}` : null
+    },
+    // Modo de conservación: PDF/A-3b con el expediente y las firmas adjuntos
+    archivo: archivo ? { adjuntos: await adjuntosArchivo(expediente) } : null
+  });
+  return { pdfBuffer, plantilla };
+};
+
+// Generar y guardar en disco el PDF del expediente
+const guardarPDF = async (expediente, paciente) => {
+  const { pdfBuffer, plantilla } = await renderizarPDF(expediente, paciente);
+  const pdfFileName = `expediente_${expediente._id}.pdf`;
+  const pdfPath = path.join(config.fileUploadDir, 'expedientes', pdfFileName);
+  await fs.mkdir(path.dirname(pdfPath), { recursive: true });
+  await fs.writeFile(pdfPath, pdfBuffer);
+
+  // Registrar qué versión de plantilla produjo el PDF
+  const plantillaUsada = {
+    id: plantilla._id,
+    tipo: expediente.tipo,
+    version: plantilla.version || 0
+  };
+  expediente.documento.plantilla = plantillaUsada;
+  if (!expediente.isNew) {
+    await Expediente.updateOne(
+      { _id: expediente._id },
+      { $set: { 'documento.plantilla': plantillaUsada } }
+    );
+  }
+  return pdfFileName;
+};
+
+// Sello de tiempo para la firma PAdES; como con la firma del expediente, si hay TSA configurada
+// y no responde la firma no se completa (aplicarFirma la deshace)
+const selloTiempoPDF = async (firma) => {
+  try {
+    const { token } = await solicitarSelloTiempo(firma);
+    return token;
+  } catch (error) {
+    throw new AppError(`No se pudo obtener el sello de tiempo de la firma PAdES: ${error.message}`, 503, 'TSA_NO_DISPONIBLE');
+  }
+};
+
+// Incrustar la firma como firma PAdES en el PDF firmado del expediente
+// La primera firma parte del PDF recién generado; las siguientes se agregan al PDF ya firmado
+const incrustarFirmaPDF = async (efirma, expediente, firma, definicion, pdfFileName) => {
+  const directorio = path.join(config.fileUploadDir, 'expedientes');
+  const anterior = expediente.documento.firmado;
+  const origen = anterior && anterior.url
+    ? path.join(directorio, path.basename(anterior.url))
+    : path.join(directorio, pdfFileName);
+
+  const { pdf } = await firmarPDF(await fs.readFile(origen), efirma, {
+    nombre: efirma.certificado.datos.sujeto.nombre || firma.certificado.sujeto.nombre,
+    motivo: `Firma como ${definicion.etiqueta.toLowerCase()}`,
+    fecha: firma.timestamp.fecha
+  }, {
+    obtenerSelloTiempo: config.tsaUrl ? selloTiempoPDF : null
+  });
+
+  const firmadoFileName = `expediente_${expediente._id}_firmado.pdf`;
+  await fs.writeFile(path.join(directorio, firmadoFileName), pdf);
+
+  const firmado = {
+    url: `/uploads/expedientes/${firmadoFileName}`,
+    hash: crypto.createHash('sha256').update(pdf).digest('hex'),
+    firmas: ((anterior && anterior.firmas) || 0) + 1,
+    actualizadoEn: new Date()
+  };
+  expediente.documento.firmado = firmado;
+  await Expediente.updateOne({ _id: expediente._id }, { $set: { 'documento.firmado': firmado } });
+};
+
+// Los médicos solo firman expedientes propios o con permiso de escritura; el paciente solo
+// los suyos (resolverRolFirmante) y los administradores, como testigos, cualquiera
+const verificarPermisoFirma = (expediente, usuario) => {
+  if (usuario.role !== 'doctor') return;
+  const permiso = expediente.permisos.find(p => p.usuario && p.usuario.toString() === usuario._id.toString());
+  const esAutor = expediente.createdBy.toString() === usuario._id.toString();
+  if (!esAutor && (!permiso || permiso.nivel === 'lectura')) {
+    throw new AppError('No tiene permiso para firmar este expediente', 403);
+  }
+};
+
+// Firmar el expediente con el rol indicado, actualizar su estado, regenerar el PDF y auditar
+const aplicarFirma = async (req, efirma, expediente, definicion) => {
+  const firma = await crearFirma(req, efirma, expediente, propositoFirma(expediente.tipo), {
+    rol: definicion.rol
+  });
+
+  // Estado previo para deshacer la firma si falla la generación del PDF
+  const previo = expediente.toObject({ virtuals: false, depopulate: true });
+
+  expediente.firmas.push({
+    rol: definicion.rol,
+    firmante: req.user._id,
+    firma: firma._id,
+    fechaFirma: firma.timestamp.fecha,
+    representacion: definicion.rol === 'paciente' ? req.body.representacion : undefined
+  });
+
+  // La firma del médico responsable se refleja en firmaDigital
+  if (definicion.principal) {
+    expediente.firmaDigital = {
+      firmante: req.user._id,
+      fechaFirma: firma.timestamp.fecha,
+      firma: firma._id,
+      certificado: {
+        numeroSerie: firma.certificado.numeroSerie,
+        emisor: firma.certificado.emisor.nombreComun,
+        vigencia: firma.certificado.vigencia
+      },
+      selloDigital: firma.firma.selloDigital,
+      cadenaOriginal: firma.firma.cadenaOriginal
+    };
+  }
+
+  // Solo cuenta como firmado cuando están todas las firmas del flujo
+  const pendientes = rolesPendientes(expediente);
+  expediente.estado = pendientes.length === 0 ? 'firmado' : 'en_firma';
+  await expediente.save();
+
+  // Regenerar PDF con las firmas e incrustar la firma PAdES
+  const paciente = await Paciente.findById(expediente.paciente);
+  try {
+    const pdfFileName = await guardarPDF(expediente, paciente);
+    await incrustarFirmaPDF(efirma, expediente, firma, definicion, pdfFileName);
+  } catch (error) {
+    // Sin PDF firmado la firma no se conserva: se restaura el estado anterior y el registro
+    // de la firma queda revocado para que no se tome como firma del expediente
+    expediente.set({
+      estado: previo.estado,
+      firmas: previo.firmas,
+      firmaDigital: previo.firmaDigital
     });
-    yPosition -= 20;
-    page.drawText(`Fecha de firma: ${expediente.firmaDigital.fechaFirma.toLocaleString()}`, {
-      x: 50,
-      y: yPosition,
-      size: fontSize,
-      font
+    await expediente.save();
+    // Si tampoco se puede regenerar el PDF sin la firma, queda constancia en la revocación
+    const errorPDF = await guardarPDF(expediente, paciente).then(() => null, errorRegeneracion => errorRegeneracion);
+    const motivo = `No se pudo generar el PDF firmado: ${error.message}` +
+      (errorPDF ? `; tampoco se pudo regenerar el PDF sin la firma: ${errorPDF.message}` : '');
+    await firma.revocar(req.user, motivo, {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      sessionId: req.sessionID
     });
+    throw error;
   }
 
-  return await pdfDoc.save();
+  // Registrar en audit log
+  await registrarAuditoria(
+    req,
+    'firmar',
+    expediente._id,
+    { firma: firma._id, rol: definicion.rol, pendientes: pendientes.map(pendiente => pendiente.rol) },
+    true,
+    pendientes.length === 0
+      ? 'Expediente firmado exitosamente'
+      : `Firma como ${definicion.etiqueta.toLowerCase()} registrada; faltan ${pendientes.length} firma(s)`
+  );
+
+  return { firma, pendientes };
 };
 
 // Crear nuevo expediente
@@ -130,28 +405,27 @@ exports.createExpediente = catchAsync(async (req, res, next) => {
     return next(new AppError('No se encontró el paciente', 404));
   }
 
-  // Crear expediente
+  // Crear expediente solo con los datos que captura el médico; estado, firmas, addenda
+  // y documento los asigna el sistema
+  const contenido = { ...req.body.contenido };
+  delete contenido.metadata;
+  const datos = {
+    paciente: req.body.paciente,
+    tipo: req.body.tipo,
+    contenido
+  };
   const expediente = await Expediente.create({
-    ...req.body,
+    ...datos,
     createdBy: req.user._id,
     estado: 'borrador'
   });
 
-  // Generar PDF
-  const pdfBuffer = await generarPDF(expediente, paciente);
-
-  // Guardar PDF
-  const pdfFileName = `expediente_${expediente._id}.pdf`;
-  const pdfPath = path.join(config.fileUploadDir, 'expedientes', pdfFileName);
-  await fs.mkdir(path.dirname(pdfPath), { recursive: true });
-  await fs.writeFile(pdfPath, pdfBuffer);
+  // Generar y guardar PDF
+  const pdfFileName = await guardarPDF(expediente, paciente);
 
   // Actualizar expediente con ruta del PDF
-  expediente.documento = {
-    url: `/uploads/expedientes/${pdfFileName}`,
-    hash: expediente.documento.hash,
-    createdAt: new Date()
-  };
+  expediente.documento.url = `/uploads/expedientes/${pdfFileName}`;
+  expediente.documento.createdAt = new Date();
   await expediente.save();
 
   // Registrar en audit log
@@ -159,7 +433,7 @@ exports.createExpediente = catchAsync(async (req, res, next) => {
     req,
     'crear',
     expediente._id,
-    { datos: req.body },
+    { cambios: redactar('Expediente', datos) },
     true,
     'Expediente creado exitosamente'
   );
@@ -172,10 +446,10 @@ exports.createExpediente = catchAsync(async (req, res, next) => {
   });
 });
 
-// Firmar expediente
-exports.firmarExpediente = catchAsync(async (req, res, next) => {
+// Actualizar borrador de expediente (conserva la versión anterior como revisión)
+exports.updateExpediente = catchAsync(async (req, res, next) => {
   if (req.user.role !== 'doctor') {
-    return next(new AppError('Solo doctores pueden firmar expedientes', 403));
+    return next(new AppError('Solo doctores pueden modificar expedientes', 403));
   }
 
   const expediente = await Expediente.findById(req.params.id);
@@ -183,51 +457,486 @@ exports.firmarExpediente = catchAsync(async (req, res, next) => {
     return next(new AppError('No se encontró el expediente', 404));
   }
 
+  if (expediente.estado !== 'borrador') {
+    return next(new AppError('Solo se pueden modificar expedientes en borrador', 400));
+  }
+
+  // El paciente y el tipo no cambian entre versiones
+  if ((req.body.paciente && req.body.paciente !== expediente.paciente.toString()) ||
+      (req.body.tipo && req.body.tipo !== expediente.tipo)) {
+    return next(new AppError('No se puede cambiar el paciente ni el tipo del expediente', 400));
+  }
+
+  const versionActual = expediente.contenido.metadata.version || 1;
+
+  // Control de concurrencia: el cliente indica sobre qué versión editó
+  if (req.body.version !== undefined && Number(req.body.version) !== versionActual) {
+    return next(new AppError(
+      `El expediente fue modificado por otro usuario (versión actual: ${versionActual})`,
+      409,
+      'VERSION_CONFLICT'
+    ));
+  }
+
+  // Conservar la versión actual como revisión inmutable
+  // Se valida ahora y se guarda después del expediente: una revisión sin su actualización
+  // ocuparía la versión en el índice único y bloquearía las siguientes ediciones
+  const contenidoAnterior = expediente.toObject().contenido;
+  const hashAnterior = expediente.documento.hash;
+  const revision = new RevisionExpediente({
+    expediente: expediente._id,
+    version: versionActual,
+    contenido: contenidoAnterior,
+    hash: hashAnterior,
+    versionCanonica: expediente.documento.versionCanonica || 1,
+    modificadoPor: contenidoAnterior.metadata.modificadoPor || expediente.createdBy,
+    vigencia: {
+      inicio: contenidoAnterior.metadata.ultimaModificacion || expediente.createdAt,
+      fin: new Date()
+    },
+    reemplazadaPor: req.user._id
+  });
+  await revision.validate();
+
+  // Aplicar el nuevo contenido
+  const nuevoContenido = { ...req.body.contenido };
+  delete nuevoContenido.metadata;
+  expediente.contenido = {
+    ...contenidoAnterior,
+    ...nuevoContenido,
+    metadata: {
+      version: versionActual + 1,
+      ultimaModificacion: new Date(),
+      modificadoPor: req.user._id
+    }
+  };
+  expediente.updatedBy = req.user._id;
+  expediente.historialAccesos.push({
+    usuario: req.user._id,
+    accion: 'actualizar',
+    fecha: new Date(),
+    ip: req.ip
+  });
+
+  // Solo se guarda si nadie más guardó otra versión mientras tanto
+  // (la versión 1 puede no estar guardada en expedientes anteriores al historial)
+  expediente.$where = {
+    'contenido.metadata.version': versionActual === 1 ? { $in: [1, null] } : versionActual
+  };
+  try {
+    await expediente.save();
+    expediente.$where = null;
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      return next(new AppError('El expediente fue modificado por otro usuario', 409, 'VERSION_CONFLICT'));
+    }
+    throw error;
+  }
+  await revision.save();
+
+  // Regenerar PDF con la nueva versión
+  const paciente = await Paciente.findById(expediente.paciente);
+  await guardarPDF(expediente, paciente);
+
+  await registrarAuditoria(
+    req,
+    'actualizar',
+    expediente._id,
+    {
+      versionAnterior: versionActual,
+      versionNueva: versionActual + 1,
+      hashAnterior,
+      hashNuevo: expediente.documento.hash
+    },
+    true,
+    'Expediente actualizado exitosamente'
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      expediente
+    }
+  });
+});
+
+// Listar revisiones de un expediente
+exports.getRevisiones = catchAsync(async (req, res, next) => {
+  const expediente = await Expediente.findById(req.params.id);
+  if (!expediente) {
+    return next(new AppError('No se encontró el expediente', 404));
+  }
+
+  if (req.user.role === 'paciente' &&
+      expediente.paciente.toString() !== req.user.pacienteId) {
+    return next(new AppError('No tiene permiso para ver este expediente', 403));
+  }
+
+  const revisiones = await RevisionExpediente.find({ expediente: expediente._id })
+    .select('-contenido')
+    .populate('modificadoPor', 'name')
+    .populate('reemplazadaPor', 'name')
+    .sort('-version');
+
+  await registrarAuditoria(
+    req,
+    'consultar',
+    expediente._id,
+    { revisiones: revisiones.length },
+    true,
+    'Consulta de revisiones de expediente exitosa'
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: revisiones.length,
+    data: {
+      versionActual: expediente.contenido.metadata.version || 1,
+      revisiones
+    }
+  });
+});
+
+// Obtener el contenido de un expediente en una versión específica
+exports.getRevision = catchAsync(async (req, res, next) => {
+  const expediente = await Expediente.findById(req.params.id);
+  if (!expediente) {
+    return next(new AppError('No se encontró el expediente', 404));
+  }
+
+  if (req.user.role === 'paciente' &&
+      expediente.paciente.toString() !== req.user.pacienteId) {
+    return next(new AppError('No tiene permiso para ver este expediente', 403));
+  }
+
+  const version = parseInt(req.params.version, 10);
+  const versionActual = expediente.contenido.metadata.version || 1;
+  let revision;
+
+  if (version === versionActual) {
+    // La versión vigente vive en el propio expediente
+    revision = {
+      expediente: expediente._id,
+      version: versionActual,
+      contenido: expediente.contenido,
+      hash: expediente.documento.hash,
+      versionCanonica: expediente.documento.versionCanonica || 1,
+      modificadoPor: expediente.contenido.metadata.modificadoPor || expediente.createdBy,
+      vigencia: {
+        inicio: expediente.contenido.metadata.ultimaModificacion || expediente.createdAt,
+        fin: null
+      },
+      vigente: true
+    };
+  } else {
+    revision = await RevisionExpediente.findOne({
+      expediente: expediente._id,
+      version
+    }).populate('modificadoPor', 'name');
+
+    if (!revision) {
+      return next(new AppError(`No existe la versión ${version} del expediente`, 404));
+    }
+  }
+
+  await registrarAuditoria(
+    req,
+    'consultar',
+    expediente._id,
+    { version },
+    true,
+    `Consulta de versión ${version} de expediente exitosa`
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      revision
+    }
+  });
+});
+
+// Firmar expediente con uno de los roles de su flujo de firma
+exports.firmarExpediente = catchAsync(async (req, res, next) => {
+  const expediente = await Expediente.findById(req.params.id);
+  if (!expediente) {
+    return next(new AppError('No se encontró el expediente', 404));
+  }
+
   if (expediente.estado === 'firmado') {
     return next(new AppError('El expediente ya está firmado', 400));
   }
 
-  // Crear firma digital
-  const firma = await Firma.create({
-    expedienteId: expediente._id,
-    doctorId: req.user._id,
-    certificado: {
-      numeroSerie: req.body.certificado.numeroSerie,
-      emisor: req.body.certificado.emisor,
-      vigencia: {
-        inicio: new Date(req.body.certificado.vigencia.inicio),
-        fin: new Date(req.body.certificado.vigencia.fin)
+  if (expediente.estado === 'cancelado') {
+    return next(new AppError('No se puede firmar un expediente cancelado', 400));
+  }
+
+  // Volver a firmar desharía la revocación
+  if (expediente.estado === 'firma_revocada') {
+    return next(new AppError('No se puede firmar un expediente con la firma revocada', 400));
+  }
+
+  verificarPermisoFirma(expediente, req.user);
+
+  // Validar el rol antes de descifrar la llave
+  const definicion = resolverRolFirmante(expediente, req.user, req.body.rol);
+
+  // Cargar e.firma del firmante
+  const efirma = cargarEfirmaSolicitud(req);
+
+  const { pendientes } = await aplicarFirma(req, efirma, expediente, definicion);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      expediente,
+      pendientes: pendientes.map(({ rol, etiqueta }) => ({ rol, etiqueta }))
+    }
+  });
+});
+
+// Firmar en lote expedientes en borrador con una sola carga de la e.firma
+exports.firmarLote = catchAsync(async (req, res, next) => {
+  const ids = [...new Set([].concat(req.body.expedientes || []).map(String))];
+  if (ids.length === 0) {
+    return next(new AppError('Se requiere al menos un expediente para firmar', 400));
+  }
+
+  // La llave se descifra una sola vez para todo el lote
+  const efirma = cargarEfirmaSolicitud(req);
+
+  const resultados = [];
+  for (const id of ids) {
+    // Un ID inválido no identifica ningún expediente: se reporta sin auditarlo por separado
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      resultados.push({ expediente: id, exitoso: false, mensaje: 'ID de expediente inválido' });
+      continue;
+    }
+
+    try {
+      const expediente = await Expediente.findById(id);
+      if (!expediente) {
+        throw new AppError('No se encontró el expediente', 404);
       }
+
+      if (expediente.estado !== 'borrador') {
+        throw new AppError(`El expediente está en estado ${expediente.estado}; solo se firman borradores en lote`, 400);
+      }
+
+      verificarPermisoFirma(expediente, req.user);
+      const definicion = resolverRolFirmante(expediente, req.user, 'medico');
+      const { firma, pendientes } = await aplicarFirma(req, efirma, expediente, definicion);
+
+      resultados.push({
+        expediente: expediente._id,
+        exitoso: true,
+        estado: expediente.estado,
+        firma: firma._id,
+        pendientes: pendientes.map(pendiente => pendiente.rol)
+      });
+    } catch (error) {
+      resultados.push({
+        expediente: id,
+        exitoso: false,
+        mensaje: error.message,
+        codigo: error.errorCode || undefined
+      });
+
+      await registrarAuditoria(
+        req,
+        'firmar',
+        id,
+        { lote: true, codigo: error.errorCode },
+        false,
+        error.message
+      );
+    }
+  }
+
+  const firmados = resultados.filter(resultado => resultado.exitoso).length;
+
+  // Registro del lote completo
+  await registrarAuditoria(
+    req,
+    'firmar_lote',
+    null,
+    {
+      total: resultados.length,
+      firmados,
+      fallidos: resultados.length - firmados,
+      expedientes: resultados.map(({ expediente, exitoso }) => ({ expediente, exitoso }))
+    },
+    firmados > 0,
+    `Lote de firma: ${firmados} de ${resultados.length} expedientes firmados`
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: resultados.length,
+    data: {
+      firmados,
+      fallidos: resultados.length - firmados,
+      resultados
     }
   });
+});
 
-  // Actualizar expediente
-  expediente.firmaDigital = {
-    firmante: req.user._id,
-    fechaFirma: new Date(),
-    certificado: firma.certificado,
-    selloDigital: firma.firma
+// Revocar la firma de un expediente
+exports.revocarFirma = catchAsync(async (req, res, next) => {
+  const motivo = typeof req.body.motivo === 'string' ? req.body.motivo.trim() : '';
+  if (motivo.length < 10) {
+    return next(new AppError('El motivo de revocación debe tener al menos 10 caracteres', 400));
+  }
+
+  const expediente = await Expediente.findById(req.params.id);
+  if (!expediente) {
+    return next(new AppError('No se encontró el expediente', 404));
+  }
+
+  if (expediente.estado !== 'firmado') {
+    return next(new AppError('Solo se puede revocar la firma de un expediente firmado', 400));
+  }
+
+  const firma = await buscarFirmaExpediente(expediente);
+  if (!firma) {
+    return next(new AppError('No se encontró la firma del expediente', 404));
+  }
+
+  if (firma.estado === 'revocada') {
+    return next(new AppError('La firma ya fue revocada', 400));
+  }
+
+  // Un doctor solo puede revocar su propia firma
+  if (req.user.role !== 'admin' &&
+      firma.firmante.toString() !== req.user._id.toString()) {
+    return next(new AppError('Solo el firmante o un administrador pueden revocar la firma', 403));
+  }
+
+  await firma.revocar(req.user, motivo, {
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    sessionId: req.sessionID
+  });
+
+  expediente.firmaDigital.revocacion = firma.revocacion;
+  const participante = expediente.firmas.find(registro => registro.firma.toString() === firma._id.toString());
+  if (participante) {
+    participante.revocada = true;
+  }
+  expediente.estado = 'firma_revocada';
+  expediente.updatedBy = req.user._id;
+  await expediente.save();
+
+  // Regenerar PDF con sello de firma revocada
+  const paciente = await Paciente.findById(expediente.paciente);
+  await guardarPDF(expediente, paciente);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      expediente
+    }
+  });
+});
+
+// Agregar addenda firmada a un expediente firmado
+exports.addAddenda = catchAsync(async (req, res, next) => {
+  if (req.user.role !== 'doctor') {
+    return next(new AppError('Solo doctores pueden agregar addenda', 403));
+  }
+
+  const expediente = await Expediente.findById(req.params.id);
+  if (!expediente) {
+    return next(new AppError('No se encontró el expediente', 404));
+  }
+
+  if (expediente.estado !== 'firmado') {
+    return next(new AppError('Solo se pueden agregar addenda a expedientes firmados', 400));
+  }
+
+  const efirma = cargarEfirmaSolicitud(req);
+
+  // Crear addenda
+  expediente.addenda.push({
+    tipo: req.body.tipo,
+    campo: req.body.campo,
+    texto: req.body.texto,
+    autor: req.user._id,
+    fecha: new Date()
+  });
+  const addenda = expediente.addenda[expediente.addenda.length - 1];
+  addenda.hash = addenda.calcularHash();
+
+  // Firmar addenda
+  const firma = await crearFirma(req, efirma, expediente, 'addenda', { addenda });
+  addenda.firma = firma._id;
+  addenda.fechaFirma = new Date();
+  await expediente.save();
+
+  // Regenerar PDF con la addenda
+  const paciente = await Paciente.findById(expediente.paciente);
+  await guardarPDF(expediente, paciente);
+
+  await registrarAuditoria(
+    req,
+    'crear_addenda',
+    expediente._id,
+    { addenda: addenda._id, tipo: addenda.tipo, firma: firma._id, hash: addenda.hash },
+    true,
+    'Addenda agregada y firmada exitosamente'
+  );
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      expediente
+    }
+  });
+});
+
+// Cancelar expediente (se conserva legible con sello de cancelación)
+exports.cancelarExpediente = catchAsync(async (req, res, next) => {
+  const motivo = typeof req.body.motivo === 'string' ? req.body.motivo.trim() : '';
+  if (motivo.length < 10) {
+    return next(new AppError('El motivo de cancelación debe tener al menos 10 caracteres', 400));
+  }
+
+  const expediente = await Expediente.findById(req.params.id);
+  if (!expediente) {
+    return next(new AppError('No se encontró el expediente', 404));
+  }
+
+  if (expediente.estado === 'cancelado') {
+    return next(new AppError('El expediente ya está cancelado', 400));
+  }
+
+  // Solo el autor del expediente o un administrador pueden cancelarlo
+  if (req.user.role !== 'admin' &&
+      expediente.createdBy.toString() !== req.user._id.toString()) {
+    return next(new AppError('Solo el autor del expediente puede cancelarlo', 403));
+  }
+
+  expediente.cancelacion = {
+    motivo,
+    fecha: new Date(),
+    canceladoPor: req.user._id,
+    estadoAnterior: expediente.estado
   };
-  expediente.estado = 'firmado';
+  expediente.estado = 'cancelado';
+  expediente.updatedBy = req.user._id;
   await expediente.save();
 
-  // Regenerar PDF con firma
+  // Regenerar PDF con sello de cancelación
   const paciente = await Paciente.findById(expediente.paciente);
-  const pdfBuffer = await generarPDF(expediente, paciente);
-  
-  // Actualizar PDF
-  const pdfFileName = `expediente_${expediente._id}.pdf`;
-  const pdfPath = path.join(config.fileUploadDir, 'expedientes', pdfFileName);
-  await fs.writeFile(pdfPath, pdfBuffer);
+  await guardarPDF(expediente, paciente);
 
-  // Registrar en audit log
   await registrarAuditoria(
     req,
-    'firmar',
+    'cancelar',
     expediente._id,
-    { firma: firma._id },
+    { motivo, estadoAnterior: expediente.cancelacion.estadoAnterior },
     true,
-    'Expediente firmado exitosamente'
+    'Expediente cancelado exitosamente'
   );
 
   res.status(200).json({
@@ -243,7 +952,10 @@ exports.getExpediente = catchAsync(async (req, res, next) => {
   const expediente = await Expediente.findById(req.params.id)
     .populate('paciente')
     .populate('createdBy', 'name')
-    .populate('firmaDigital.firmante', 'name');
+    .populate('firmaDigital.firmante', 'name')
+    .populate('firmas.firmante', 'name')
+    .populate('addenda.autor', 'name')
+    .populate('cancelacion.canceladoPor', 'name');
 
   if (!expediente) {
     return next(new AppError('No se encontró el expediente', 404));
@@ -291,20 +1003,33 @@ exports.downloadPDF = catchAsync(async (req, res, next) => {
     return next(new AppError('No tiene permiso para descargar este expediente', 403));
   }
 
-  const pdfPath = path.join(config.fileUploadDir, 'expedientes', 
-    path.basename(expediente.documento.url));
+  // Mientras las firmas estén vigentes se entrega el PDF con las firmas PAdES incrustadas;
+  // ?version=actual entrega el PDF regenerado (con addenda y sellos de estado)
+  const firmado = expediente.documento.firmado;
+  const entregarFirmado = Boolean(firmado && firmado.url) && req.query.version !== 'actual' &&
+    ['en_firma', 'firmado'].includes(expediente.estado);
+
+  const pdfPath = path.join(config.fileUploadDir, 'expedientes',
+    path.basename(entregarFirmado ? firmado.url : expediente.documento.url));
 
   // Verificar integridad del documento
   if (!expediente.verificarIntegridad()) {
     return next(new AppError('El documento ha sido alterado', 400));
   }
 
+  if (entregarFirmado) {
+    const hash = crypto.createHash('sha256').update(await fs.readFile(pdfPath)).digest('hex');
+    if (hash !== firmado.hash) {
+      return next(new AppError('El PDF firmado ha sido alterado', 400));
+    }
+  }
+
   // Registrar descarga
   await registrarAuditoria(
     req,
     'descargar',
     expediente._id,
-    null,
+    { version: entregarFirmado ? 'firmado' : 'actual' },
     true,
     'Descarga de expediente exitosa'
   );
@@ -312,6 +1037,113 @@ exports.downloadPDF = catchAsync(async (req, res, next) => {
   res.download(pdfPath);
 });
 
+// Máximo de documentos en un expediente completo; más allá se pide acotar por fecha o tipo
+const LIMITE_PAQUETE = 200;
+
+// Estado de las firmas de un documento para el índice del expediente completo
+const estadoFirmaPaquete = async (expediente) => {
+  if (!expediente.verificarIntegridad()) return 'Contenido alterado';
+  if (expediente.estado === 'cancelado') return 'Cancelado';
+  if (expediente.estado === 'firma_revocada') return 'Firma revocada';
+
+  const resultado = await expediente.verificarFirmas();
+  if (!resultado) return 'Sin firma';
+  if (resultado.firmantes.some(firmante => !firmante.valida)) return `Firma no válida (${resultado.mensaje})`;
+  if (!resultado.completa) return `Firmas pendientes: ${resultado.pendientes.map(pendiente => pendiente.etiqueta).join(', ')}`;
+  return 'Firmas válidas';
+};
+
+// Descargar en un solo PDF los expedientes de un paciente (portada, índice y marcadores)
+// Filtros opcionales: ?desde=&hasta= (fecha del documento) y ?tipo=
+exports.downloadExpedienteCompleto = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'paciente' && req.params.pacienteId !== String(req.user.pacienteId)) {
+    return next(new AppError('No tiene permiso para descargar este expediente', 403));
+  }
+
+  const paciente = await Paciente.findById(req.params.pacienteId);
+  if (!paciente) {
+    return next(new AppError('No se encontró el paciente', 404));
+  }
+
+  // Los borradores no forman parte del expediente
+  const query = { paciente: paciente._id, estado: { $ne: 'borrador' } };
+  if (req.query.tipo) {
+    query.tipo = req.query.tipo;
+  }
+  if (req.query.desde || req.query.hasta) {
+    const desde = req.query.desde ? new Date(req.query.desde) : null;
+    const hasta = req.query.hasta ? new Date(req.query.hasta) : null;
+    if ([desde, hasta].some(fecha => fecha && isNaN(fecha.getTime()))) {
+      return next(new AppError('Formato de fecha inválido', 400));
+    }
+    query['contenido.fecha'] = {};
+    if (desde) query['contenido.fecha'].$gte = desde;
+    if (hasta) query['contenido.fecha'].$lte = hasta;
+  }
+  // Los médicos solo reciben los expedientes que crearon o que tienen compartidos
+  if (req.user.role === 'doctor') {
+    query.$or = [{ createdBy: req.user._id }, { 'permisos.usuario': req.user._id }];
+  }
+
+  const total = await Expediente.countDocuments(query);
+  if (total === 0) {
+    return next(new AppError('No hay expedientes del paciente con los filtros indicados', 404));
+  }
+  if (total > LIMITE_PAQUETE) {
+    return next(new AppError(`El expediente completo admite hasta ${LIMITE_PAQUETE} documentos; acote por fecha o tipo`, 400));
+  }
+
+  const expedientes = await Expediente.find(query).sort('contenido.fecha createdAt');
+
+  const documentos = [];
+  for (const expediente of expedientes) {
+    const estadoFirma = await estadoFirmaPaquete(expediente);
+    const { pdfBuffer, plantilla } = await renderizarPDF(expediente, paciente, { archivo: false });
+    documentos.push({
+      titulo: plantilla.titulo || expediente.tipo,
+      fecha: expediente.contenido.fecha,
+      estadoFirma,
+      pdf: pdfBuffer
+    });
+  }
+
+  const filtros = [
+    ['Periodo', req.query.desde || req.query.hasta
+      ? `${req.query.desde ? new Date(req.query.desde).toLocaleDateString('es-MX') : 'inicio'} a ${req.query.hasta ? new Date(req.query.hasta).toLocaleDateString('es-MX') : 'la fecha'}`
+      : 'Todos'],
+    ['Tipo de documento', req.query.tipo || 'Todos']
+  ];
+  const pdf = await generarPDFPaquete(paciente, documentos, {
+    institucion: PlantillaPDF.institucionPredeterminada(),
+    filtros,
+    solicitante: req.user.name
+  });
+
+  // Cada documento incluido queda auditado; el identificador agrupa las entradas de una descarga
+  const paquete = crypto.randomUUID();
+  for (const expediente of expedientes) {
+    await registrarAuditoria(
+      req,
+      'descargar',
+      expediente._id,
+      {
+        paquete,
+        paciente: paciente._id,
+        filtros: { desde: req.query.desde, hasta: req.query.hasta, tipo: req.query.tipo },
+        totalDocumentos: expedientes.length
+      },
+      true,
+      'Expediente incluido en la descarga del expediente completo'
+    );
+  }
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="expediente_completo_${paciente._id}.pdf"`
+  });
+  res.send(Buffer.from(pdf));
+});
+
 // Listar expedientes
 exports.getExpedientes = catchAsync(async (req, res, next) => {
   let query = {};
@@ -369,19 +1201,22 @@ exports.verificarFirma = catchAsync(async (req, res, next) => {
     return next(new AppError('No se encontró el expediente', 404));
   }
 
-  if (!expediente.firmaDigital) {
+  const resultado = await expediente.verificarFirmas();
+  if (!resultado) {
     return next(new AppError('El expediente no está firmado', 400));
   }
-
-  const firma = await Firma.findOne({ expedienteId: expediente._id });
-  const resultado = await firma.verificarFirma();
+  const { firmantes, pendientes } = resultado;
 
   // Registrar verificación
   await registrarAuditoria(
     req,
     'verificar_firma',
     expediente._id,
-    { resultado },
+    {
+      valida: resultado.valida,
+      firmantes: firmantes.map(({ rol, valida, mensaje }) => ({ rol, valida, mensaje })),
+      pendientes: pendientes.map(pendiente => pendiente.rol)
+    },
     resultado.valida,
     resultado.mensaje
   );
@@ -391,3 +1226,51 @@ exports.verificarFirma = catchAsync(async (req, res, next) => {
     data: resultado
   });
 });
+
+// Estadísticas para los tableros de administración (utils/estadisticasExpedientes)
+// Filtros opcionales: ?fechaInicio=&fechaFin= (creación), ?diasBorrador= y ?actualizar=true
+// para recalcular en lugar de usar el resultado guardado en caché
+const consultaEstadisticas = (calcular, descripcion) => catchAsync(async (req, res, next) => {
+  const opciones = {
+    desde: req.query.fechaInicio ? new Date(req.query.fechaInicio) : null,
+    hasta: req.query.fechaFin ? new Date(req.query.fechaFin) : null,
+    diasBorrador: parseInt(req.query.diasBorrador, 10) || diasBorradorPredeterminado()
+  };
+  if ([opciones.desde, opciones.hasta].some(fecha => fecha && isNaN(fecha.getTime()))) {
+    return next(new AppError('Formato de fecha inválido', 400));
+  }
+  if (opciones.diasBorrador < 1) {
+    return next(new AppError('Los días de antigüedad de los borradores deben ser al menos 1', 400));
+  }
+  if (req.query.doctor) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.doctor)) {
+      return next(new AppError('ID de doctor inválido', 400));
+    }
+    opciones.doctor = req.query.doctor;
+  }
+
+  const estadisticas = await calcular(opciones, { actualizar: req.query.actualizar === 'true' });
+
+  await registrarAuditoria(
+    req,
+    'consultar_estadisticas',
+    null,
+    { estadisticas: descripcion, filtros: req.query },
+    true,
+    `Consulta de estadísticas de expedientes ${descripcion}`
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: estadisticas
+  });
+});
+
+// Estadísticas generales: estado, tipo, mes, tiempo de firma, borradores antiguos e integridad
+exports.getExpedienteStats = consultaEstadisticas(estadisticasGenerales, 'generales');
+
+// Estadísticas por médico (?doctor= para uno solo, con su serie mensual)
+exports.getExpedientesPorDoctor = consultaEstadisticas(estadisticasPorDoctor, 'por doctor');
+
+// Estadísticas por tipo de expediente
+exports.getExpedientesPorTipo = consultaEstadisticas(estadisticasPorTipo, 'por tipo');
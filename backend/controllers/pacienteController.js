@@ -1,6 +1,7 @@
 const Paciente = require('../models/Paciente');
 const AuditLog = require('../models/AuditLog');
 const { AppError, catchAsync } = require('../middlewares/errorHandler');
+const { diferencias, redactar } = require('../utils/redaccion');
 
 // Función auxiliar para registrar auditoría
 const registrarAuditoria = async (req, accion, entidadId, detalles, exitoso, mensaje) => {
@@ -43,7 +44,7 @@ exports.createPaciente = catchAsync(async (req, res, next) => {
     req,
     'crear',
     paciente._id,
-    { datos: req.body },
+    { cambios: redactar('Paciente', req.body) },
     true,
     'Paciente creado exitosamente'
   );
@@ -98,7 +99,7 @@ exports.getPacientes = catchAsync(async (req, res, next) => {
     req,
     'consultar',
     null,
-    { filtros: queryObj, pagina: page, limite: limit },
+    { filtros: redactar('Paciente', queryObj), pagina: page, limite: limit },
     true,
     'Consulta de pacientes exitosa'
   );
@@ -174,12 +175,7 @@ exports.updatePaciente = catchAsync(async (req, res, next) => {
     req,
     'actualizar',
     paciente._id,
-    {
-      cambios: {
-        antes: pacienteAntes.toObject(),
-        despues: paciente.toObject()
-      }
-    },
+    { cambios: diferencias('Paciente', pacienteAntes.toObject(), paciente.toObject()) },
     true,
     'Paciente actualizado exitosamente'
   );
@@ -250,7 +246,7 @@ exports.addHistorialMedico = catchAsync(async (req, res, next) => {
     req,
     'agregar_historial',
     paciente._id,
-    { entrada: req.body },
+    { cambios: redactar('Paciente', req.body, { prefijo: `historialMedico.${paciente.historialMedico.length - 1}` }) },
     true,
     'Entrada agregada al historial médico'
   );
@@ -286,7 +282,7 @@ exports.searchPacientes = catchAsync(async (req, res, next) => {
     req,
     'buscar',
     null,
-    { termino: q },
+    { busqueda: redactar('Paciente', { termino: q }) },
     true,
     'Búsqueda de pacientes realizada'
   );
@@ -0,0 +1,178 @@
+const PlantillaPDF = require('../models/PlantillaPDF');
+const AuditLog = require('../models/AuditLog');
+const { AppError, catchAsync } = require('../middlewares/errorHandler');
+const { plantillaPredeterminada } = require('../utils/plantillasPDF');
+
+// Función auxiliar para registrar auditoría
+const registrarAuditoria = async (req, accion, entidadId, detalles, exitoso, mensaje) => {
+  await AuditLog.registrar({
+    usuario: req.user._id,
+    rolUsuario: req.user.role,
+    accion,
+    entidad: {
+      tipo: 'PlantillaPDF',
+      id: entidadId
+    },
+    detalles,
+    seguridad: {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      sessionId: req.sessionID
+    },
+    resultado: {
+      exitoso,
+      mensaje
+    }
+  });
+};
+
+// Listar versiones de plantillas (opcionalmente de un tipo)
+exports.getPlantillas = catchAsync(async (req, res, next) => {
+  const query = {};
+  if (req.query.tipo) {
+    query.tipo = req.query.tipo;
+  }
+
+  const plantillas = await PlantillaPDF.find(query)
+    .select('-institucion.logo')
+    .populate('createdBy', 'name')
+    .populate('activadaPor', 'name')
+    .sort('tipo -version');
+
+  res.status(200).json({
+    status: 'success',
+    results: plantillas.length,
+    data: {
+      plantillas
+    }
+  });
+});
+
+// Obtener una versión de plantilla
+exports.getPlantilla = catchAsync(async (req, res, next) => {
+  const plantilla = await PlantillaPDF.findById(req.params.id)
+    .populate('createdBy', 'name')
+    .populate('activadaPor', 'name');
+
+  if (!plantilla) {
+    return next(new AppError('No se encontró la plantilla', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      plantilla
+    }
+  });
+});
+
+// Plantilla vigente de un tipo (la activa o la predeterminada)
+exports.getPlantillaVigente = catchAsync(async (req, res, next) => {
+  const plantilla = await PlantillaPDF.obtenerVigente(req.params.tipo);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      plantilla,
+      predeterminada: plantillaPredeterminada(req.params.tipo)
+    }
+  });
+});
+
+// Crear una nueva versión de plantilla (las versiones existentes no se modifican)
+exports.createPlantilla = catchAsync(async (req, res, next) => {
+  const { tipo, nombre, titulo, institucion, secciones, leyenda } = req.body;
+
+  const ultima = await PlantillaPDF.findOne({ tipo }).sort('-version').select('version');
+  const plantilla = await PlantillaPDF.create({
+    tipo,
+    version: ultima ? ultima.version + 1 : 1,
+    nombre,
+    titulo,
+    institucion,
+    secciones,
+    leyenda,
+    createdBy: req.user._id
+  });
+
+  await registrarAuditoria(
+    req,
+    'crear',
+    plantilla._id,
+    { tipo, version: plantilla.version },
+    true,
+    `Versión ${plantilla.version} de la plantilla ${tipo} creada`
+  );
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      plantilla
+    }
+  });
+});
+
+// Activar una versión de plantilla (desactiva las demás del mismo tipo)
+exports.activarPlantilla = catchAsync(async (req, res, next) => {
+  const plantilla = await PlantillaPDF.findById(req.params.id);
+  if (!plantilla) {
+    return next(new AppError('No se encontró la plantilla', 404));
+  }
+
+  await PlantillaPDF.updateMany(
+    { tipo: plantilla.tipo, activa: true, _id: { $ne: plantilla._id } },
+    { $set: { activa: false } }
+  );
+
+  plantilla.activa = true;
+  plantilla.activadaPor = req.user._id;
+  plantilla.activadaEn = new Date();
+  await plantilla.save();
+
+  await registrarAuditoria(
+    req,
+    'actualizar',
+    plantilla._id,
+    { tipo: plantilla.tipo, version: plantilla.version, activa: true },
+    true,
+    `Versión ${plantilla.version} de la plantilla ${plantilla.tipo} activada`
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      plantilla
+    }
+  });
+});
+
+// Desactivar una versión (el tipo vuelve a la plantilla predeterminada)
+exports.desactivarPlantilla = catchAsync(async (req, res, next) => {
+  const plantilla = await PlantillaPDF.findById(req.params.id);
+  if (!plantilla) {
+    return next(new AppError('No se encontró la plantilla', 404));
+  }
+
+  if (!plantilla.activa) {
+    return next(new AppError('La plantilla no está activa', 400));
+  }
+
+  plantilla.activa = false;
+  await plantilla.save();
+
+  await registrarAuditoria(
+    req,
+    'actualizar',
+    plantilla._id,
+    { tipo: plantilla.tipo, version: plantilla.version, activa: false },
+    true,
+    `Versión ${plantilla.version} de la plantilla ${plantilla.tipo} desactivada`
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      plantilla
+    }
+  });
+});
@@ -0,0 +1,700 @@
+const mongoose = require('mongoose');
+const { Parser } = require('json2csv');
+const config = require('../config/config');
+const AuditLog = require('../models/AuditLog');
+const AlertaSeguridad = require('../models/AlertaSeguridad');
+const Expediente = require('../models/Expediente');
+const PlantillaPDF = require('../models/PlantillaPDF');
+const User = require('../models/User');
+const { AppError, catchAsync } = require('../middlewares/errorHandler');
+const { registrosArchivados } = require('../utils/archivoAuditoria');
+const { generarPDFReporte } = require('../utils/pdf');
+
+// Reportes de auditoría en JSON, CSV o PDF. Cada reporte arma sus datos (la respuesta JSON)
+// y una versión tabular { titulo, campos, secciones } para CSV y PDF.
+
+// Registros de la línea de tiempo de un reporte (los resúmenes cubren todos los registros)
+const MAXIMO_LINEA_TIEMPO = 5000;
+
+// Zona horaria de las horas y días de los reportes
+const zonaHoraria = () => config.securityTimezone || 'America/Mexico_City';
+
+// Agrupación de fechas por periodo ($dateToString; la semana es ISO 8601)
+const FORMATOS_PERIODO = {
+  dia: '%Y-%m-%d',
+  semana: '%G-W%V',
+  mes: '%Y-%m',
+  año: '%Y'
+};
+const NOMBRES_PERIODO = {
+  dia: 'día',
+  semana: 'semana',
+  mes: 'mes',
+  año: 'año'
+};
+
+// Inicio de un periodo que termina en "hasta"
+const inicioPeriodo = (periodo, hasta) => {
+  const inicio = new Date(hasta);
+  if (periodo === 'dia') inicio.setDate(inicio.getDate() - 1);
+  if (periodo === 'semana') inicio.setDate(inicio.getDate() - 7);
+  if (periodo === 'mes') inicio.setMonth(inicio.getMonth() - 1);
+  if (periodo === 'año') inicio.setFullYear(inicio.getFullYear() - 1);
+  return inicio;
+};
+
+// Periodo de un reporte: las fechas de la consulta o los últimos "dias" días
+const periodoReporte = (query, dias) => {
+  const hasta = query.fechaFin ? new Date(query.fechaFin) : new Date();
+  const desde = query.fechaInicio
+    ? new Date(query.fechaInicio)
+    : new Date(hasta.getTime() - dias * 24 * 60 * 60 * 1000);
+  return { desde, hasta };
+};
+
+const fechaLocal = (fecha) => fecha.toLocaleDateString('en-CA', { timeZone: zonaHoraria() });
+
+// Registros que cumplen los filtros en orden cronológico: primero los archivados (si se piden)
+// y después los de la base de datos
+async function* registrosPeriodo(filtros, incluirArchivados) {
+  if (incluirArchivados) {
+    yield* registrosArchivados(filtros);
+  }
+  yield* AuditLog.find(filtros).sort({ timestamp: 1 }).lean().cursor();
+}
+
+// Fila de la línea de tiempo
+const filaLineaTiempo = (registro, nombreUsuario) => ({
+  fecha: new Date(registro.timestamp),
+  usuario: nombreUsuario,
+  rol: registro.rolUsuario,
+  accion: registro.accion,
+  entidad: registro.entidad && registro.entidad.tipo,
+  entidadId: registro.entidad && registro.entidad.id ? String(registro.entidad.id) : '',
+  exitoso: Boolean(registro.resultado && registro.resultado.exitoso),
+  mensaje: registro.resultado && registro.resultado.mensaje,
+  ip: registro.seguridad && registro.seguridad.ip,
+  archivado: Boolean(registro.archivado)
+});
+
+const COLUMNAS_LINEA_TIEMPO = [
+  { label: 'Fecha', value: 'fecha' },
+  { label: 'Usuario', value: 'usuario' },
+  { label: 'Acción', value: 'accion' },
+  { label: 'Entidad', value: 'entidad' },
+  { label: 'Exitoso', value: 'exitoso' },
+  { label: 'Mensaje', value: 'mensaje' },
+  { label: 'IP', value: 'ip' }
+];
+
+// Valor de una celda del CSV (fechas en ISO 8601 y booleanos como Sí/No)
+const valorCSV = (valor) => {
+  if (valor instanceof Date) return valor.toISOString();
+  if (typeof valor === 'boolean') return valor ? 'Sí' : 'No';
+  return valor;
+};
+
+// CSV del reporte: los datos generales y una sección por tabla, separadas por una línea vacía
+const reporteCSV = (reporte) => {
+  const secciones = [
+    { titulo: reporte.titulo, columnas: [{ label: 'Campo', value: 'campo' }, { label: 'Valor', value: 'valor' }],
+      filas: reporte.campos.map(([campo, valor]) => ({ campo, valor })) },
+    ...reporte.secciones
+  ];
+
+  return secciones.map(seccion => {
+    const filas = seccion.filas.map(fila => {
+      const celdas = {};
+      for (const columna of seccion.columnas) celdas[columna.value] = valorCSV(fila[columna.value]);
+      return celdas;
+    });
+    const tabla = new Parser({ fields: seccion.columnas }).parse(filas);
+    return `${JSON.stringify(seccion.titulo)}\n${tabla}`;
+  }).join('\n\n');
+};
+
+// Registrar en la auditoría la consulta de un reporte
+const registrarReporte = async (req, reporte, detalles) => {
+  await AuditLog.registrar({
+    usuario: req.user._id,
+    rolUsuario: req.user.role,
+    accion: 'consultar_auditoria',
+    entidad: {
+      tipo: 'AuditLog',
+      id: null
+    },
+    detalles: {
+      reporte,
+      formato: req.query.formato || 'json',
+      ...detalles
+    },
+    seguridad: {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      sessionId: req.sessionID
+    },
+    resultado: {
+      exitoso: true,
+      mensaje: `Consulta del reporte ${reporte}`
+    }
+  });
+};
+
+// Enviar un reporte en el formato pedido (json, csv o pdf)
+const enviarReporte = async (req, res, { archivo, datos, reporte }) => {
+  const formato = req.query.formato || 'json';
+
+  if (formato === 'csv') {
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${archivo}.csv"`
+    });
+    return res.send(`\uFEFF${reporteCSV(reporte)}`);
+  }
+
+  if (formato === 'pdf') {
+    const pdf = await generarPDFReporte(reporte, {
+      institucion: PlantillaPDF.institucionPredeterminada(),
+      solicitante: req.user.name
+    });
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${archivo}.pdf"`
+    });
+    return res.send(Buffer.from(pdf));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: datos
+  });
+};
+
+// Actividad de un usuario: resumen por acción e IP y línea de tiempo
+// Incluye los registros archivados si se indica la fecha inicial (como getAuditLogs)
+exports.getUserActivity = catchAsync(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.query.usuario)) {
+    return next(new AppError('Se requiere un ID de usuario válido', 400));
+  }
+
+  const usuario = await User.findById(req.query.usuario).select('name email role');
+  if (!usuario) {
+    return next(new AppError('No se encontró el usuario', 404));
+  }
+
+  const { desde, hasta } = periodoReporte(req.query, 30);
+  const filtros = { usuario: req.query.usuario, timestamp: { $gte: desde, $lte: hasta } };
+
+  const resumen = { total: 0, exitosos: 0, fallidos: 0, diasActivos: 0, primerRegistro: null, ultimoRegistro: null };
+  const acciones = {};
+  const ips = {};
+  const dias = new Set();
+  const lineaTiempo = [];
+
+  for await (const registro of registrosPeriodo(filtros, Boolean(req.query.fechaInicio))) {
+    const fecha = new Date(registro.timestamp);
+    const exitoso = Boolean(registro.resultado && registro.resultado.exitoso);
+    const ip = (registro.seguridad && registro.seguridad.ip) || 'desconocida';
+
+    resumen.total++;
+    resumen[exitoso ? 'exitosos' : 'fallidos']++;
+    resumen.primerRegistro = resumen.primerRegistro || fecha;
+    resumen.ultimoRegistro = fecha;
+    dias.add(fechaLocal(fecha));
+
+    acciones[registro.accion] = acciones[registro.accion] || { accion: registro.accion, total: 0, fallidos: 0 };
+    acciones[registro.accion].total++;
+    if (!exitoso) acciones[registro.accion].fallidos++;
+
+    ips[ip] = ips[ip] || { ip, total: 0, primerRegistro: fecha, ultimoRegistro: fecha };
+    ips[ip].total++;
+    ips[ip].ultimoRegistro = fecha;
+
+    if (lineaTiempo.length < MAXIMO_LINEA_TIEMPO) {
+      lineaTiempo.push(filaLineaTiempo(registro, usuario.name));
+    }
+  }
+  resumen.diasActivos = dias.size;
+
+  const porAccion = Object.values(acciones).sort((a, b) => b.total - a.total);
+  const porIp = Object.values(ips).sort((a, b) => b.total - a.total);
+  const truncado = resumen.total > lineaTiempo.length;
+
+  await registrarReporte(req, 'actividad_usuario', { usuario: usuario._id, periodo: { inicio: desde, fin: hasta } });
+
+  await enviarReporte(req, res, {
+    archivo: `actividad_usuario_${usuario._id}`,
+    datos: {
+      usuario,
+      periodo: { inicio: desde, fin: hasta },
+      resumen,
+      porAccion,
+      porIp,
+      lineaTiempo,
+      truncado
+    },
+    reporte: {
+      titulo: 'Reporte de actividad de usuario',
+      campos: [
+        ['Usuario', `${usuario.name} (${usuario.email})`],
+        ['Rol', usuario.role],
+        ['Periodo', `${desde.toISOString()} a ${hasta.toISOString()}`],
+        ['Registros', resumen.total],
+        ['Exitosos', resumen.exitosos],
+        ['Fallidos', resumen.fallidos],
+        ['Días con actividad', resumen.diasActivos],
+        ['Primer registro', resumen.primerRegistro],
+        ['Último registro', resumen.ultimoRegistro]
+      ],
+      secciones: [
+        {
+          titulo: 'Acciones',
+          columnas: [
+            { label: 'Acción', value: 'accion' },
+            { label: 'Total', value: 'total' },
+            { label: 'Fallidos', value: 'fallidos' }
+          ],
+          filas: porAccion
+        },
+        {
+          titulo: 'Direcciones IP',
+          columnas: [
+            { label: 'IP', value: 'ip' },
+            { label: 'Registros', value: 'total' },
+            { label: 'Primer registro', value: 'primerRegistro' },
+            { label: 'Último registro', value: 'ultimoRegistro' }
+          ],
+          filas: porIp
+        },
+        {
+          titulo: truncado
+            ? `Línea de tiempo (primeros ${lineaTiempo.length} de ${resumen.total} registros)`
+            : 'Línea de tiempo',
+          columnas: COLUMNAS_LINEA_TIEMPO.filter(columna => columna.value !== 'usuario'),
+          filas: lineaTiempo
+        }
+      ]
+    }
+  });
+});
+
+// Accesos a un expediente: todos los usuarios que lo consultaron o modificaron y su línea de
+// tiempo (el expediente puede ya no existir); los registros archivados solo se incluyen con
+// fechaInicio, igual que en los demás reportes
+exports.getDocumentAccess = catchAsync(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.query.expediente)) {
+    return next(new AppError('Se requiere un ID de expediente válido', 400));
+  }
+
+  const expediente = await Expediente.findById(req.query.expediente)
+    .select('tipo paciente estado folio createdBy createdAt');
+
+  const filtros = { 'entidad.tipo': 'Expediente', 'entidad.id': req.query.expediente };
+  if (req.query.fechaInicio || req.query.fechaFin) {
+    filtros.timestamp = {};
+    if (req.query.fechaInicio) filtros.timestamp.$gte = new Date(req.query.fechaInicio);
+    if (req.query.fechaFin) filtros.timestamp.$lte = new Date(req.query.fechaFin);
+  }
+
+  const usuarios = {};
+  const registros = [];
+  let total = 0;
+
+  for await (const registro of registrosPeriodo(filtros, Boolean(req.query.fechaInicio))) {
+    const fecha = new Date(registro.timestamp);
+    const exitoso = Boolean(registro.resultado && registro.resultado.exitoso);
+    const clave = registro.usuario ? String(registro.usuario) : 'anonymous';
+
+    total++;
+    usuarios[clave] = usuarios[clave] || {
+      usuario: registro.usuario ? String(registro.usuario) : null,
+      rol: registro.rolUsuario,
+      total: 0,
+      fallidos: 0,
+      acciones: {},
+      primerAcceso: fecha,
+      ultimoAcceso: fecha
+    };
+    const acceso = usuarios[clave];
+    acceso.total++;
+    if (!exitoso) acceso.fallidos++;
+    acceso.acciones[registro.accion] = (acceso.acciones[registro.accion] || 0) + 1;
+    acceso.ultimoAcceso = fecha;
+
+    if (registros.length < MAXIMO_LINEA_TIEMPO) {
+      registros.push(registro);
+    }
+  }
+
+  // Nombres de los usuarios
+  const ids = Object.values(usuarios).map(acceso => acceso.usuario).filter(Boolean);
+  const nombres = {};
+  for (const usuario of await User.find({ _id: { $in: ids } }).select('name email role')) {
+    nombres[usuario._id] = usuario;
+  }
+
+  const porUsuario = Object.values(usuarios)
+    .map(acceso => ({
+      ...acceso,
+      nombre: acceso.usuario && nombres[acceso.usuario] ? nombres[acceso.usuario].name : 'Anónimo',
+      email: acceso.usuario && nombres[acceso.usuario] ? nombres[acceso.usuario].email : null,
+      resumenAcciones: Object.entries(acceso.acciones)
+        .map(([accion, conteo]) => `${accion} (${conteo})`)
+        .join(', ')
+    }))
+    .sort((a, b) => b.ultimoAcceso - a.ultimoAcceso);
+
+  const lineaTiempo = registros.map(registro => filaLineaTiempo(
+    registro,
+    registro.usuario && nombres[registro.usuario] ? nombres[registro.usuario].name : 'Anónimo'
+  ));
+  const truncado = total > lineaTiempo.length;
+
+  await registrarReporte(req, 'acceso_expediente', { expediente: req.query.expediente });
+
+  await enviarReporte(req, res, {
+    archivo: `accesos_expediente_${req.query.expediente}`,
+    datos: {
+      expediente: expediente || { _id: req.query.expediente, existe: false },
+      total,
+      porUsuario,
+      lineaTiempo,
+      truncado
+    },
+    reporte: {
+      titulo: 'Reporte de accesos a expediente',
+      campos: [
+        ['Expediente', req.query.expediente],
+        ['Folio', expediente ? expediente.folio : 'El expediente ya no existe'],
+        ['Tipo', expediente && expediente.tipo],
+        ['Paciente', expediente && String(expediente.paciente)],
+        ['Estado', expediente && expediente.estado],
+        ['Registros de auditoría', total],
+        ['Usuarios distintos', porUsuario.length]
+      ],
+      secciones: [
+        {
+          titulo: 'Usuarios con acceso',
+          columnas: [
+            { label: 'Usuario', value: 'nombre' },
+            { label: 'Email', value: 'email' },
+            { label: 'Rol', value: 'rol' },
+            { label: 'Acciones', value: 'resumenAcciones' },
+            { label: 'Fallidos', value: 'fallidos' },
+            { label: 'Primer acceso', value: 'primerAcceso' },
+            { label: 'Último acceso', value: 'ultimoAcceso' }
+          ],
+          filas: porUsuario
+        },
+        {
+          titulo: truncado
+            ? `Línea de tiempo (primeros ${lineaTiempo.length} de ${total} registros)`
+            : 'Línea de tiempo',
+          columnas: COLUMNAS_LINEA_TIEMPO.filter(columna => columna.value !== 'entidad'),
+          filas: lineaTiempo
+        }
+      ]
+    }
+  });
+});
+
+// Uso del sistema por hora del día, rol y acción, en periodos (dia, semana, mes o año)
+// Se calcula sobre los registros de la base de datos (los últimos AUDIT_RETENTION_DAYS días)
+exports.getSystemUsage = catchAsync(async (req, res, next) => {
+  const periodo = FORMATOS_PERIODO[req.query.periodo] ? req.query.periodo : 'dia';
+  const { desde, hasta } = periodoReporte(req.query, 30);
+  const timezone = zonaHoraria();
+
+  const [uso] = await AuditLog.aggregate([
+    { $match: { timestamp: { $gte: desde, $lte: hasta } } },
+    {
+      $addFields: {
+        hora: { $hour: { date: '$timestamp', timezone } },
+        bucket: { $dateToString: { format: FORMATOS_PERIODO[periodo], date: '$timestamp', timezone } },
+        fallido: { $cond: [{ $eq: ['$resultado.exitoso', false] }, 1, 0] }
+      }
+    },
+    {
+      $facet: {
+        porHora: [
+          { $group: { _id: '$hora', total: { $sum: 1 }, usuarios: { $addToSet: '$usuario' } } },
+          { $project: { _id: 0, hora: '$_id', total: 1, usuarios: { $size: '$usuarios' } } },
+          { $sort: { hora: 1 } }
+        ],
+        porRol: [
+          { $group: { _id: '$rolUsuario', total: { $sum: 1 }, fallidos: { $sum: '$fallido' }, usuarios: { $addToSet: '$usuario' } } },
+          { $project: { _id: 0, rol: '$_id', total: 1, fallidos: 1, usuarios: { $size: '$usuarios' } } },
+          { $sort: { total: -1 } }
+        ],
+        porAccion: [
+          { $group: { _id: '$accion', total: { $sum: 1 }, fallidos: { $sum: '$fallido' } } },
+          { $project: { _id: 0, accion: '$_id', total: 1, fallidos: 1 } },
+          { $sort: { total: -1 } }
+        ],
+        serie: [
+          { $group: { _id: '$bucket', total: { $sum: 1 }, fallidos: { $sum: '$fallido' }, usuarios: { $addToSet: '$usuario' } } },
+          { $project: { _id: 0, periodo: '$_id', total: 1, fallidos: 1, usuarios: { $size: '$usuarios' } } },
+          { $sort: { periodo: 1 } }
+        ],
+        serieRol: [
+          { $group: { _id: { periodo: '$bucket', rol: '$rolUsuario' }, total: { $sum: 1 } } }
+        ],
+        serieAccion: [
+          { $group: { _id: { periodo: '$bucket', accion: '$accion' }, total: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  // Desglose por rol y acción de cada periodo
+  const serie = uso.serie.map(punto => ({ ...punto, porRol: {}, porAccion: {} }));
+  const puntos = Object.fromEntries(serie.map(punto => [punto.periodo, punto]));
+  for (const { _id, total } of uso.serieRol) puntos[_id.periodo].porRol[_id.rol] = total;
+  for (const { _id, total } of uso.serieAccion) puntos[_id.periodo].porAccion[_id.accion] = total;
+
+  // Horas sin actividad en cero para que la distribución tenga las 24 horas
+  const porHora = Array.from({ length: 24 }, (_, hora) =>
+    uso.porHora.find(fila => fila.hora === hora) || { hora, total: 0, usuarios: 0 });
+  const total = uso.porRol.reduce((suma, fila) => suma + fila.total, 0);
+
+  await registrarReporte(req, 'uso_sistema', { periodo, rango: { inicio: desde, fin: hasta } });
+
+  const roles = uso.porRol.map(fila => fila.rol);
+  await enviarReporte(req, res, {
+    archivo: `uso_sistema_${fechaLocal(desde)}_${fechaLocal(hasta)}`,
+    datos: {
+      periodo,
+      rango: { inicio: desde, fin: hasta },
+      zonaHoraria: timezone,
+      total,
+      porHora,
+      porRol: uso.porRol,
+      porAccion: uso.porAccion,
+      serie
+    },
+    reporte: {
+      titulo: 'Reporte de uso del sistema',
+      campos: [
+        ['Periodo', `${desde.toISOString()} a ${hasta.toISOString()}`],
+        ['Agrupación', NOMBRES_PERIODO[periodo]],
+        ['Zona horaria', timezone],
+        ['Registros', total]
+      ],
+      secciones: [
+        {
+          titulo: `Uso por ${NOMBRES_PERIODO[periodo]}`,
+          columnas: [
+            { label: 'Periodo', value: 'periodo' },
+            { label: 'Total', value: 'total' },
+            { label: 'Fallidos', value: 'fallidos' },
+            { label: 'Usuarios', value: 'usuarios' },
+            ...roles.map(rol => ({ label: rol, value: `rol_${rol}` }))
+          ],
+          filas: serie.map(punto => ({
+            ...punto,
+            ...Object.fromEntries(roles.map(rol => [`rol_${rol}`, punto.porRol[rol] || 0]))
+          }))
+        },
+        {
+          titulo: 'Uso por hora del día',
+          columnas: [
+            { label: 'Hora', value: 'hora' },
+            { label: 'Total', value: 'total' },
+            { label: 'Usuarios', value: 'usuarios' }
+          ],
+          filas: porHora
+        },
+        {
+          titulo: 'Uso por rol',
+          columnas: [
+            { label: 'Rol', value: 'rol' },
+            { label: 'Total', value: 'total' },
+            { label: 'Fallidos', value: 'fallidos' },
+            { label: 'Usuarios', value: 'usuarios' }
+          ],
+          filas: uso.porRol
+        },
+        {
+          titulo: 'Uso por acción',
+          columnas: [
+            { label: 'Acción', value: 'accion' },
+            { label: 'Total', value: 'total' },
+            { label: 'Fallidos', value: 'fallidos' }
+          ],
+          filas: uso.porAccion
+        }
+      ]
+    }
+  });
+});
+
+// Resumen de actividad del último periodo (dia, semana, mes o año) comparado con el anterior
+exports.getActivitySummary = catchAsync(async (req, res, next) => {
+  const periodo = FORMATOS_PERIODO[req.query.periodo] ? req.query.periodo : 'semana';
+  const hasta = new Date();
+  const desde = inicioPeriodo(periodo, hasta);
+  const desdeAnterior = inicioPeriodo(periodo, desde);
+
+  const [comparacion, [actividad], alertas] = await Promise.all([
+    AuditLog.aggregate([
+      { $match: { timestamp: { $gte: desdeAnterior, $lte: hasta } } },
+      {
+        $group: {
+          _id: { $cond: [{ $gte: ['$timestamp', desde] }, 'actual', 'anterior'] },
+          total: { $sum: 1 },
+          fallidos: { $sum: { $cond: [{ $eq: ['$resultado.exitoso', false] }, 1, 0] } },
+          usuarios: { $addToSet: '$usuario' }
+        }
+      },
+      { $project: { total: 1, fallidos: 1, usuariosActivos: { $size: '$usuarios' } } }
+    ]),
+    AuditLog.aggregate([
+      { $match: { timestamp: { $gte: desde, $lte: hasta } } },
+      {
+        $facet: {
+          topUsuarios: [
+            { $match: { usuario: { $ne: null } } },
+            { $group: { _id: '$usuario', rol: { $first: '$rolUsuario' }, total: { $sum: 1 } } },
+            { $sort: { total: -1 } },
+            { $limit: 10 },
+            { $project: { _id: 0, usuario: '$_id', rol: 1, total: 1 } }
+          ],
+          topAcciones: [
+            { $group: { _id: '$accion', total: { $sum: 1 } } },
+            { $sort: { total: -1 } },
+            { $limit: 10 },
+            { $project: { _id: 0, accion: '$_id', total: 1 } }
+          ],
+          porRol: [
+            { $group: { _id: '$rolUsuario', total: { $sum: 1 } } },
+            { $sort: { total: -1 } },
+            { $project: { _id: 0, rol: '$_id', total: 1 } }
+          ],
+          seguridad: [
+            {
+              $group: {
+                _id: null,
+                intentosFallidos: {
+                  $sum: { $cond: [{ $and: [{ $eq: ['$accion', 'login'] }, { $eq: ['$resultado.exitoso', false] }] }, 1, 0] }
+                },
+                accesosDenegados: { $sum: { $cond: [{ $eq: ['$accion', 'acceso_denegado'] }, 1, 0] } },
+                errores: { $sum: { $cond: [{ $eq: ['$accion', 'error_sistema'] }, 1, 0] } }
+              }
+            },
+            { $project: { _id: 0 } }
+          ]
+        }
+      }
+    ]),
+    AlertaSeguridad.aggregate([
+      { $match: { $or: [{ estado: { $ne: 'resuelta' } }, { createdAt: { $gte: desde } }] } },
+      {
+        $group: {
+          _id: '$nivel',
+          pendientes: { $sum: { $cond: [{ $ne: ['$estado', 'resuelta'] }, 1, 0] } },
+          nuevas: { $sum: { $cond: [{ $gte: ['$createdAt', desde] }, 1, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  await AuditLog.populate(actividad.topUsuarios, { path: 'usuario', model: 'User', select: 'name email role' });
+
+  // Variación porcentual respecto al periodo anterior
+  const vacio = { total: 0, fallidos: 0, usuariosActivos: 0 };
+  const actual = comparacion.find(fila => fila._id === 'actual') || vacio;
+  const anterior = comparacion.find(fila => fila._id === 'anterior') || vacio;
+  const variacion = (campo) => (anterior[campo]
+    ? Math.round(((actual[campo] - anterior[campo]) / anterior[campo]) * 1000) / 10
+    : null);
+  const indicadores = ['total', 'fallidos', 'usuariosActivos'].map(campo => ({
+    indicador: campo,
+    actual: actual[campo],
+    anterior: anterior[campo],
+    variacion: variacion(campo)
+  }));
+
+  const seguridad = actividad.seguridad[0] || { intentosFallidos: 0, accesosDenegados: 0, errores: 0 };
+  const porNivel = ['critico', 'alto', 'medio', 'bajo'].map(nivel => {
+    const fila = alertas.find(alerta => alerta._id === nivel);
+    return { nivel, pendientes: fila ? fila.pendientes : 0, nuevas: fila ? fila.nuevas : 0 };
+  });
+
+  await registrarReporte(req, 'resumen_actividad', { periodo });
+
+  await enviarReporte(req, res, {
+    archivo: `resumen_actividad_${periodo}_${fechaLocal(hasta)}`,
+    datos: {
+      periodo,
+      rango: { inicio: desde, fin: hasta },
+      indicadores,
+      topUsuarios: actividad.topUsuarios,
+      topAcciones: actividad.topAcciones,
+      porRol: actividad.porRol,
+      seguridad: {
+        ...seguridad,
+        alertas: porNivel
+      }
+    },
+    reporte: {
+      titulo: 'Resumen de actividad',
+      campos: [
+        ['Periodo', `${periodo}: ${desde.toISOString()} a ${hasta.toISOString()}`],
+        ['Registros', actual.total],
+        ['Usuarios activos', actual.usuariosActivos],
+        ['Intentos de login fallidos', seguridad.intentosFallidos],
+        ['Accesos denegados', seguridad.accesosDenegados],
+        ['Errores del sistema', seguridad.errores]
+      ],
+      secciones: [
+        {
+          titulo: 'Comparación con el periodo anterior',
+          columnas: [
+            { label: 'Indicador', value: 'indicador' },
+            { label: 'Actual', value: 'actual' },
+            { label: 'Anterior', value: 'anterior' },
+            { label: 'Variación (%)', value: 'variacion' }
+          ],
+          filas: indicadores
+        },
+        {
+          titulo: 'Usuarios más activos',
+          columnas: [
+            { label: 'Usuario', value: 'nombre' },
+            { label: 'Rol', value: 'rol' },
+            { label: 'Registros', value: 'total' }
+          ],
+          filas: actividad.topUsuarios.map(fila => ({
+            ...fila,
+            nombre: fila.usuario && fila.usuario.name ? fila.usuario.name : 'Desconocido'
+          }))
+        },
+        {
+          titulo: 'Acciones más frecuentes',
+          columnas: [
+            { label: 'Acción', value: 'accion' },
+            { label: 'Registros', value: 'total' }
+          ],
+          filas: actividad.topAcciones
+        },
+        {
+          titulo: 'Actividad por rol',
+          columnas: [
+            { label: 'Rol', value: 'rol' },
+            { label: 'Registros', value: 'total' }
+          ],
+          filas: actividad.porRol
+        },
+        {
+          titulo: 'Alertas de seguridad',
+          columnas: [
+            { label: 'Nivel', value: 'nivel' },
+            { label: 'Pendientes', value: 'pendientes' },
+            { label: 'Nuevas en el periodo', value: 'nuevas' }
+          ],
+          filas: porNivel
+        }
+      ]
+    }
+  });
+});
@@ -0,0 +1,70 @@
+const Expediente = require('../models/Expediente');
+const { AppError, catchAsync } = require('../middlewares/errorHandler');
+
+// Nombre legible del tipo de documento
+const TIPOS_DOCUMENTO = {
+  historia_clinica: 'Historia clínica',
+  nota_evolucion: 'Nota de evolución',
+  nota_interconsulta: 'Nota de interconsulta',
+  nota_referencia: 'Nota de referencia',
+  nota_urgencias: 'Nota de urgencias',
+  nota_hospitalizacion: 'Nota de hospitalización',
+  consentimiento_informado: 'Consentimiento informado',
+  resultado_laboratorio: 'Resultado de laboratorio',
+  estudio_imagen: 'Estudio de imagen',
+  receta_medica: 'Receta médica'
+};
+
+// Motivo por el que un documento no es válido según su estado
+const MENSAJES_ESTADO = {
+  borrador: 'El documento no ha sido firmado',
+  en_firma: 'El documento no tiene todas las firmas requeridas',
+  firma_revocada: 'La firma del documento fue revocada',
+  cancelado: 'El documento fue cancelado'
+};
+
+// Verificación pública de un documento por su folio (sin autenticación)
+// Solo devuelve datos mínimos: nunca datos del paciente ni contenido clínico
+exports.verificarDocumento = catchAsync(async (req, res, next) => {
+  const expediente = await Expediente.findOne({ folio: req.params.folio.toUpperCase() })
+    .select('folio tipo estado documento.hash documento.versionCanonica contenido firmas firmaDigital')
+    .populate('firmaDigital.firmante', 'name cedulaProfesional');
+
+  if (!expediente) {
+    return next(new AppError('No se encontró un documento con ese folio', 404));
+  }
+
+  const firmas = expediente.estado === 'borrador' ? null : await expediente.verificarFirmas();
+  const integro = expediente.verificarIntegridad();
+
+  let mensaje;
+  if (!integro) {
+    mensaje = 'El contenido del documento no corresponde al firmado';
+  } else if (MENSAJES_ESTADO[expediente.estado]) {
+    mensaje = MENSAJES_ESTADO[expediente.estado];
+  } else if (!firmas) {
+    mensaje = 'No se encontró la firma del documento';
+  } else {
+    mensaje = firmas.mensaje;
+  }
+
+  const valida = integro && expediente.estado === 'firmado' && Boolean(firmas && firmas.valida);
+  const principal = firmas && firmas.firmantes.find(firmante => firmante.principal);
+  const medico = expediente.firmaDigital && expediente.firmaDigital.firmante;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      folio: expediente.folio,
+      tipoDocumento: TIPOS_DOCUMENTO[expediente.tipo] || expediente.tipo,
+      medico: medico && medico.name
+        ? { nombre: medico.name, cedulaProfesional: medico.cedulaProfesional }
+        : null,
+      fechaFirma: principal ? principal.fechaFirma : (expediente.firmaDigital && expediente.firmaDigital.fechaFirma) || null,
+      hash: expediente.documento.hash,
+      valida,
+      mensaje: valida ? 'Documento auténtico y vigente' : mensaje,
+      verificadoEn: new Date()
+    }
+  });
+});
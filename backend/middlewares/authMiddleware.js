@@ -74,6 +74,20 @@ exports.restrictTo = (...roles) => {
   };
 };
 
+// Middleware para permisos especiales del usuario (además del rol)
+exports.requirePermission = (permiso) => {
+  return async (req, res, next) => {
+    if (!Array.isArray(req.user.permisos) || !req.user.permisos.includes(permiso)) {
+      await registrarIntentoFallido(req, `Acceso denegado: falta el permiso ${permiso}`);
+      return res.status(403).json({
+        status: 'error',
+        message: 'No tiene permiso para realizar esta acción'
+      });
+    }
+    next();
+  };
+};
+
 // Middleware para verificar permisos específicos sobre expedientes
 exports.checkExpedientePermission = async (req, res, next) => {
   try {
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Alerta de seguridad generada por una regla (models/ReglaAlerta) para un grupo de eventos
+// en una ventana de tiempo. Ciclo de vida: abierta => reconocida => resuelta
+const alertaSeguridadSchema = new mongoose.Schema({
+  regla: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReglaAlerta',
+    required: true
+  },
+  // Copia de la regla al generar la alerta (la regla puede cambiar o borrarse después)
+  reglaNombre: {
+    type: String,
+    required: true
+  },
+  nivel: {
+    type: String,
+    enum: ['bajo', 'medio', 'alto', 'critico'],
+    required: true
+  },
+  descripcion: {
+    type: String,
+    required: true
+  },
+
+  // Grupo que alcanzó el umbral: una IP o un usuario (nulo si los eventos son anónimos)
+  clave: {
+    ip: String,
+    usuario: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  ventana: {
+    inicio: {
+      type: Date,
+      required: true
+    },
+    fin: {
+      type: Date,
+      required: true
+    }
+  },
+  medida: {
+    type: Number,
+    required: true
+  },
+  umbral: {
+    type: Number,
+    required: true
+  },
+
+  // Eventos de la ventana: total, periodo y los primeros registros para revisarlos
+  totalEventos: {
+    type: Number,
+    required: true
+  },
+  primerRegistro: Date,
+  ultimoRegistro: Date,
+  registros: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AuditLog'
+  }],
+
+  estado: {
+    type: String,
+    enum: ['abierta', 'reconocida', 'resuelta'],
+    default: 'abierta'
+  },
+  reconocimiento: {
+    usuario: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    fecha: Date,
+    comentario: String
+  },
+  resolucion: {
+    usuario: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    fecha: Date,
+    comentario: String,
+    falsoPositivo: {
+      type: Boolean,
+      default: false
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Una alerta por regla, grupo y ventana: al reevaluar la ventana se actualiza la existente
+alertaSeguridadSchema.index(
+  { regla: 1, 'clave.ip': 1, 'clave.usuario': 1, 'ventana.inicio': 1 },
+  { unique: true }
+);
+alertaSeguridadSchema.index({ estado: 1, nivel: 1, 'ventana.inicio': -1 });
+
+const AlertaSeguridad = mongoose.model('AlertaSeguridad', alertaSeguridadSchema);
+
+module.exports = AlertaSeguridad;
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// Índice de los archivos de auditoría (utils/archivoAuditoria): cada archivo guarda, comprimido
+// y firmado, un tramo contiguo de la cadena de auditoría que ya salió de la base de datos
+const auditArchivoSchema = new mongoose.Schema({
+  // Nombre del archivo .jsonl.gz dentro de AUDIT_ARCHIVE_DIR (la firma va en <archivo>.sig)
+  archivo: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Tramo de la cadena: primera y última secuencia, hash anterior al tramo y hash final
+  // (nulos si el archivo solo contiene registros anteriores al encadenamiento)
+  desdeSecuencia: Number,
+  hastaSecuencia: Number,
+  hashAnterior: String,
+  hashUltimo: String,
+
+  // Periodo cubierto y número de registros
+  fechaInicio: {
+    type: Date,
+    required: true
+  },
+  fechaFin: {
+    type: Date,
+    required: true
+  },
+  registros: {
+    type: Number,
+    required: true
+  },
+
+  // Valores presentes en el archivo, para descartar archivos al buscar
+  usuarios: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  acciones: [String],
+  entidades: [String],
+
+  // Integridad: SHA-256 del archivo comprimido y firma del servidor sobre el manifiesto
+  sha256: {
+    type: String,
+    required: true
+  },
+  firma: {
+    type: String,
+    required: true
+  },
+  huellaLlave: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+auditArchivoSchema.index({ fechaInicio: 1, fechaFin: 1 });
+auditArchivoSchema.index({ hastaSecuencia: 1 });
+
+// Datos firmados del archivo (también se guardan en el manifiesto .sig)
+auditArchivoSchema.methods.datosFirmados = function() {
+  return [
+    'AuditArchivo',
+    this.archivo,
+    this.sha256,
+    this.desdeSecuencia ?? '',
+    this.hastaSecuencia ?? '',
+    this.hashAnterior || '',
+    this.hashUltimo || '',
+    this.registros,
+    this.fechaInicio.toISOString(),
+    this.fechaFin.toISOString()
+  ].join('|');
+};
+
+// Archivos que pueden contener registros del periodo y filtros indicados
+auditArchivoSchema.statics.buscar = function({ fechaInicio, fechaFin, usuario, accion, entidadTipo } = {}) {
+  const query = {};
+  if (fechaInicio) query.fechaFin = { $gte: new Date(fechaInicio) };
+  if (fechaFin) query.fechaInicio = { $lte: new Date(fechaFin) };
+  if (usuario) query.usuarios = usuario;
+  if (accion) query.acciones = accion;
+  if (entidadTipo) query.entidades = entidadTipo;
+  return this.find(query).sort({ fechaFin: -1 });
+};
+
+// El índice no se modifica una vez creado
+auditArchivoSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Los archivos de auditoría no pueden ser modificados'));
+  }
+  next();
+});
+
+const AuditArchivo = mongoose.model('AuditArchivo', auditArchivoSchema);
+
+module.exports = AuditArchivo;
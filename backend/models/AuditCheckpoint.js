@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const {
+  firmarConLlaveServidor,
+  verificarConLlaveServidor,
+  huellaLlaveServidor
+} = require('../utils/llaveServidor');
+
+// Punto de control de la cadena de auditoría: el hash de un registro firmado con la llave
+// del servidor. Quien edite la base de datos puede recalcular la cadena, pero no estas firmas.
+const auditCheckpointSchema = new mongoose.Schema({
+  // Secuencia y hash del registro de auditoría que se firma
+  secuencia: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  fecha: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  firma: {
+    type: String,
+    required: true
+  },
+  // Huella de la llave pública con la que se firmó
+  huellaLlave: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Datos firmados del punto de control
+auditCheckpointSchema.methods.datosFirmados = function() {
+  return `AuditCheckpoint|${this.secuencia}|${this.hash}|${this.fecha.toISOString()}`;
+};
+
+// Verificar la firma con la llave pública del servidor
+auditCheckpointSchema.methods.verificarFirma = function() {
+  if (this.huellaLlave !== huellaLlaveServidor()) {
+    return { valida: false, mensaje: 'El punto de control fue firmado con otra llave' };
+  }
+  return verificarConLlaveServidor(this.datosFirmados(), this.firma)
+    ? { valida: true, mensaje: 'Firma válida' }
+    : { valida: false, mensaje: 'La firma del punto de control no es válida' };
+};
+
+// Firmar un punto de control sobre el registro indicado ({ secuencia, hash })
+auditCheckpointSchema.statics.crear = async function(registro) {
+  const checkpoint = new this({
+    secuencia: registro.secuencia,
+    hash: registro.hash,
+    fecha: new Date()
+  });
+  checkpoint.firma = firmarConLlaveServidor(checkpoint.datosFirmados());
+  checkpoint.huellaLlave = huellaLlaveServidor();
+  await checkpoint.save();
+  return checkpoint;
+};
+
+// Los puntos de control no se modifican
+auditCheckpointSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Los puntos de control de auditoría no pueden ser modificados'));
+  }
+  next();
+});
+
+const AuditCheckpoint = mongoose.model('AuditCheckpoint', auditCheckpointSchema);
+
+module.exports = AuditCheckpoint;
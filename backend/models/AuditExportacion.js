@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Exportación de registros de auditoría: huella del archivo entregado y su firma separada
+// con la llave del servidor, para que un auditor compruebe que el archivo no cambió
+const auditExportacionSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  formato: {
+    type: String,
+    enum: ['csv', 'jsonl', 'xlsx'],
+    required: true
+  },
+  archivo: {
+    type: String,
+    required: true
+  },
+  filtros: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  registros: {
+    type: Number,
+    required: true
+  },
+  fecha: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+
+  // SHA-256 del archivo y firma del servidor sobre datosFirmados()
+  sha256: {
+    type: String,
+    required: true
+  },
+  firma: {
+    type: String,
+    required: true
+  },
+  huellaLlave: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Datos firmados de la exportación
+auditExportacionSchema.methods.datosFirmados = function() {
+  return [
+    'AuditExportacion',
+    this._id.toString(),
+    this.archivo,
+    this.formato,
+    this.sha256,
+    this.registros,
+    this.fecha.toISOString()
+  ].join('|');
+};
+
+// Las exportaciones registradas no se modifican
+auditExportacionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Las exportaciones de auditoría no pueden ser modificadas'));
+  }
+  next();
+});
+
+const AuditExportacion = mongoose.model('AuditExportacion', auditExportacionSchema);
+
+module.exports = AuditExportacion;
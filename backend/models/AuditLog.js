@@ -1,17 +1,32 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const config = require('../config/config');
+const AuditCheckpoint = require('./AuditCheckpoint');
+const AuditArchivo = require('./AuditArchivo');
+const { canonicalizar } = require('../utils/cadenaOriginal');
+const { leerArchivo, verificarArchivo } = require('../utils/archivoAuditoria');
+
+// Cadena de hashes: cada registro guarda el hash del anterior; el primero apunta a GENESIS
+const GENESIS = '0'.repeat(64);
+
+// Cada cuántos registros se firma un punto de control (AUDIT_CHECKPOINT_INTERVAL)
+const intervaloCheckpoint = () => parseInt(config.auditCheckpointInterval, 10) || 1000;
 
 const auditLogSchema = new mongoose.Schema({
-  // Usuario que realizó la acción
+  // Usuario que realizó la acción (sin usuario en accesos anónimos, p. ej. un login fallido
+  // con un email que no existe)
   usuario: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return this.rolUsuario !== 'anonymous';
+    }
   },
 
   // Rol del usuario al momento de la acción
   rolUsuario: {
     type: String,
-    enum: ['admin', 'doctor', 'paciente'],
+    enum: ['admin', 'doctor', 'paciente', 'anonymous'],
     required: true
   },
 
@@ -24,20 +39,56 @@ const auditLogSchema = new mongoose.Schema({
       'logout',
       'reset_password',
       'change_password',
-      
+      'cambiar_password',
+      'solicitar_reset_password',
+
+      // Control de acceso y errores (middlewares)
+      'acceso_exitoso',
+      'acceso_denegado',
+      'error_sistema',
+
       // Acciones CRUD
       'crear',
       'leer',
       'actualizar',
       'eliminar',
-      
+
+      // Consultas
+      'consultar',
+      'listar',
+      'buscar',
+      'consultar_estadisticas',
+      'descargar',
+
       // Acciones específicas del sistema
       'firmar_documento',
       'generar_pdf',
       'subir_archivo',
       'descargar_archivo',
       'otorgar_acceso',
-      'revocar_acceso'
+      'revocar_acceso',
+      'revocar_firma',
+
+      // Acciones sobre pacientes y expedientes
+      'agregar_historial',
+      'firmar',
+      'firmar_lote',
+      'verificar_firma',
+      'crear_addenda',
+      'cancelar',
+
+      // Acciones sobre la auditoría
+      'consultar_auditoria',
+      'exportar_auditoria',
+      'consultar_estadisticas_auditoria',
+      'verificar_auditoria',
+      'archivar_auditoria',
+      'revelar_datos',
+
+      // Alertas de seguridad
+      'reconocer_alerta',
+      'resolver_alerta',
+      'evaluar_alertas'
     ],
     required: true
   },
@@ -46,29 +97,28 @@ const auditLogSchema = new mongoose.Schema({
   entidad: {
     tipo: {
       type: String,
-      enum: ['Usuario', 'Paciente', 'Expediente', 'Documento'],
+      enum: ['Usuario', 'Paciente', 'Expediente', 'Documento', 'Firma', 'PlantillaPDF', 'AuditLog', 'Sistema',
+        'AlertaSeguridad', 'ReglaAlerta'],
       required: true
     },
+    // Las acciones sobre la propia auditoría o el sistema, las consultas de listados y los lotes
+    // no tienen una entidad concreta
     id: {
       type: mongoose.Schema.Types.ObjectId,
-      required: true
+      required: function() {
+        return !['AuditLog', 'Sistema'].includes(this.entidad.tipo) &&
+          !['consultar', 'listar', 'buscar', 'consultar_estadisticas', 'evaluar_alertas', 'firmar_lote']
+            .includes(this.accion);
+      }
     }
   },
 
   // Detalles de la acción
+  // Estructura libre según la acción, p. ej. cambios { anterior, nuevo },
+  // metadata { navegador, sistemaOperativo, dispositivo } o el motivo de una revocación
   detalles: {
-    // Cambios realizados (para actualizaciones)
-    cambios: {
-      anterior: mongoose.Schema.Types.Mixed,
-      nuevo: mongoose.Schema.Types.Mixed
-    },
-    
-    // Metadata adicional
-    metadata: {
-      navegador: String,
-      sistemaOperativo: String,
-      dispositivo: String
-    }
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
   },
 
   // Información de seguridad
@@ -96,14 +146,19 @@ const auditLogSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
     required: true
-  }
+  },
+
+  // Encadenamiento: posición en la cadena, hash del registro anterior y hash propio
+  secuencia: {
+    type: Number,
+    unique: true,
+    sparse: true
+  },
+  hashAnterior: String,
+  hash: String
 }, {
-  timestamps: true,
-  // No permitir modificaciones una vez creado
-  capped: {
-    size: 5242880, // 5MB
-    max: 10000     // máximo 10,000 documentos
-  }
+  // Sin colección limitada: los registros antiguos se archivan (utils/archivoAuditoria)
+  timestamps: true
 });
 
 // Índices para consultas frecuentes
@@ -111,36 +166,223 @@ auditLogSchema.index({ timestamp: -1 });
 auditLogSchema.index({ usuario: 1, timestamp: -1 });
 auditLogSchema.index({ 'entidad.tipo': 1, 'entidad.id': 1 });
 auditLogSchema.index({ accion: 1, timestamp: -1 });
+auditLogSchema.index({ 'seguridad.ip': 1, timestamp: -1 });
+
+// Campos cubiertos por el hash (createdAt/updatedAt los pone Mongoose al guardar)
+const CAMPOS_HASH = [
+  'secuencia',
+  'hashAnterior',
+  'usuario',
+  'rolUsuario',
+  'accion',
+  'entidad',
+  'detalles',
+  'seguridad',
+  'resultado',
+  'timestamp'
+];
+
+// Hash SHA-256 del JSON canónico de un registro (documento u objeto lean)
+const hashRegistro = (registro) => {
+  const campos = {};
+  for (const campo of CAMPOS_HASH) {
+    campos[campo] = registro[campo];
+  }
+  return crypto.createHash('sha256').update(canonicalizar(campos)).digest('hex');
+};
+
+auditLogSchema.methods.calcularHash = function() {
+  return hashRegistro(this.toObject());
+};
+
+// Agregar un registro al final de la cadena
+// Con varias instancias del servidor dos registros pueden tomar la misma secuencia:
+// el índice único rechaza el segundo y se reintenta sobre el nuevo último registro
+const agregarACadena = async (Modelo, datos) => {
+  for (let intento = 1; ; intento++) {
+    const ultimo = await Modelo.findOne({ secuencia: { $exists: true } })
+      .sort({ secuencia: -1 })
+      .select('secuencia hash');
+
+    const log = new Modelo({
+      ...datos,
+      secuencia: ultimo ? ultimo.secuencia + 1 : 1,
+      hashAnterior: ultimo ? ultimo.hash : GENESIS
+    });
+    log.hash = log.calcularHash();
+
+    try {
+      await log.save();
+      return log;
+    } catch (error) {
+      if (error.code !== 11000 || intento >= 5) throw error;
+    }
+  }
+};
+
+// Los registros se encadenan de uno en uno dentro del proceso
+let cola = Promise.resolve();
 
 // Método estático para crear un nuevo registro de auditoría
-auditLogSchema.statics.registrar = async function(datos) {
-  try {
-    const log = new this({
-      usuario: datos.usuario,
-      rolUsuario: datos.rolUsuario,
-      accion: datos.accion,
-      entidad: datos.entidad,
-      detalles: datos.detalles || {},
-      seguridad: {
-        ip: datos.ip,
-        userAgent: datos.userAgent,
-        sessionId: datos.sessionId
-      },
-      resultado: {
-        exitoso: datos.exitoso,
-        mensaje: datos.mensaje,
-        codigoError: datos.codigoError
+auditLogSchema.statics.registrar = function(datos) {
+  const registro = cola.then(async () => {
+    try {
+      const log = await agregarACadena(this, {
+        usuario: datos.usuario,
+        rolUsuario: datos.rolUsuario,
+        accion: datos.accion,
+        entidad: datos.entidad,
+        // Los detalles se guardan como JSON simple para que el hash no dependa de tipos BSON
+        detalles: JSON.parse(JSON.stringify(datos.detalles || {})),
+        // Se aceptan los datos planos o agrupados en seguridad/resultado
+        seguridad: datos.seguridad || {
+          ip: datos.ip,
+          userAgent: datos.userAgent,
+          sessionId: datos.sessionId
+        },
+        resultado: datos.resultado || {
+          exitoso: datos.exitoso,
+          mensaje: datos.mensaje,
+          codigoError: datos.codigoError
+        }
+      });
+
+      // Punto de control firmado periódicamente
+      if (log.secuencia % intervaloCheckpoint() === 0) {
+        await AuditCheckpoint.crear(log).catch(error => {
+          console.error('Error al firmar el punto de control de auditoría:', error);
+        });
       }
-    });
 
-    await log.save();
-    return log;
-  } catch (error) {
-    console.error('Error al registrar auditoría:', error);
-    // En caso de error al registrar auditoría, no debemos fallar la operación principal
-    // pero debemos asegurarnos de loggearlo
+      return log;
+    } catch (error) {
+      console.error('Error al registrar auditoría:', error);
+      // En caso de error al registrar auditoría, no debemos fallar la operación principal
+      // pero debemos asegurarnos de loggearlo
+      return null;
+    }
+  });
+  cola = registro;
+  return registro;
+};
+
+// Firmar un punto de control sobre el último registro de la cadena
+auditLogSchema.statics.crearCheckpoint = async function() {
+  const ultimo = await this.findOne({ secuencia: { $exists: true } })
+    .sort({ secuencia: -1 })
+    .select('secuencia hash');
+  if (!ultimo) {
+    return null;
+  }
+  return (await AuditCheckpoint.findOne({ secuencia: ultimo.secuencia })) ||
+    AuditCheckpoint.crear(ultimo);
+};
+
+// Verificar la cadena completa (archivos y base de datos) contra los hashes y los puntos
+// de control firmados. Se detiene en el primer eslabón roto:
+// { tipo: 'faltante' | 'enlace' | 'alterado' | 'checkpoint' | 'archivo', ... }
+auditLogSchema.statics.verificarCadena = async function() {
+  const checkpoints = await AuditCheckpoint.find().sort({ secuencia: 1 });
+  const pendientes = [...checkpoints];
+  let esperado = 1;
+  let hashAnterior = GENESIS;
+  let checkpointsVerificados = 0;
+
+  // Revisar el siguiente registro de la cadena; devuelve el error o null
+  const revisar = (registro) => {
+    const eslabon = { secuencia: registro.secuencia, registroId: registro._id };
+
+    if (registro.secuencia !== esperado) {
+      return {
+        tipo: 'faltante',
+        secuencia: esperado,
+        mensaje: `Faltan los registros ${esperado} a ${registro.secuencia - 1}`
+      };
+    }
+    if (registro.hashAnterior !== hashAnterior) {
+      return { ...eslabon, tipo: 'enlace', mensaje: 'El registro no apunta al hash del registro anterior' };
+    }
+    if (hashRegistro(registro) !== registro.hash) {
+      return { ...eslabon, tipo: 'alterado', mensaje: 'El contenido del registro no corresponde a su hash' };
+    }
+
+    while (pendientes.length > 0 && pendientes[0].secuencia === registro.secuencia) {
+      const checkpoint = pendientes.shift();
+      const firma = checkpoint.verificarFirma();
+      if (!firma.valida) {
+        return { ...eslabon, tipo: 'checkpoint', checkpointId: checkpoint._id, mensaje: firma.mensaje };
+      }
+      if (checkpoint.hash !== registro.hash) {
+        return {
+          ...eslabon,
+          tipo: 'checkpoint',
+          checkpointId: checkpoint._id,
+          mensaje: 'La cadena fue recalculada: el registro no coincide con el punto de control firmado'
+        };
+      }
+      checkpointsVerificados++;
+    }
+
+    hashAnterior = registro.hash;
+    esperado++;
     return null;
+  };
+
+  let primerError = null;
+
+  // Primero los tramos archivados, en orden
+  const archivos = await AuditArchivo.find({ desdeSecuencia: { $ne: null } }).sort({ desdeSecuencia: 1 });
+  for (const archivo of archivos) {
+    const integridad = await verificarArchivo(archivo);
+    if (!integridad.valida) {
+      primerError = {
+        tipo: 'archivo',
+        secuencia: archivo.desdeSecuencia,
+        archivoId: archivo._id,
+        archivo: archivo.archivo,
+        mensaje: integridad.mensaje
+      };
+      break;
+    }
+    for await (const registro of leerArchivo(archivo)) {
+      if (registro.secuencia === undefined) continue;
+      primerError = revisar(registro);
+      if (primerError) break;
+    }
+    if (primerError) break;
+  }
+
+  // Después lo que sigue en la base de datos
+  if (!primerError) {
+    const cursor = this.find({ secuencia: { $gte: esperado } }).sort({ secuencia: 1 }).lean().cursor();
+    for await (const registro of cursor) {
+      primerError = revisar(registro);
+      if (primerError) break;
+    }
   }
+
+  // Un punto de control posterior al último registro revela registros borrados al final
+  if (!primerError && pendientes.length > 0) {
+    primerError = {
+      tipo: 'faltante',
+      secuencia: esperado,
+      checkpointId: pendientes[0]._id,
+      mensaje: `Faltan los registros ${esperado} a ${pendientes[0].secuencia}`
+    };
+  }
+
+  return {
+    valida: !primerError,
+    registrosVerificados: esperado - 1,
+    registrosArchivados: archivos.reduce((suma, archivo) => suma + archivo.registros, 0),
+    ultimoHash: hashAnterior,
+    puntosControl: {
+      total: checkpoints.length,
+      verificados: checkpointsVerificados
+    },
+    primerError,
+    verificadoEn: new Date()
+  };
 };
 
 // Método estático para buscar registros con filtros comunes
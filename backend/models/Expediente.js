@@ -1,5 +1,98 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const {
+  VERSION_CADENA,
+  VERSION_CANONICA,
+  VERSIONES_CANONICAS,
+  hashContenido,
+  construirCadena
+} = require('../utils/cadenaOriginal');
+const { obtenerFlujo, rolesPendientes } = require('../utils/flujosFirma');
+
+// Folio de verificación pública: 12 caracteres base32 de Crockford (sin I, L, O ni U) en grupos de 4
+const ALFABETO_FOLIO = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const generarFolio = () =>
+  [...crypto.randomBytes(12)]
+    .map(byte => ALFABETO_FOLIO[byte % 32])
+    .join('')
+    .match(/.{4}/g)
+    .join('-');
+
+// Addenda: correcciones o aclaraciones firmadas sobre un expediente ya firmado
+const addendaSchema = new mongoose.Schema({
+  tipo: {
+    type: String,
+    enum: {
+      values: ['correccion', 'aclaracion'],
+      message: 'Tipo de addenda no válido'
+    },
+    required: [true, 'El tipo de addenda es requerido']
+  },
+  // Campo del contenido original al que se refiere (opcional)
+  campo: String,
+  texto: {
+    type: String,
+    required: [true, 'El texto de la addenda es requerido']
+  },
+  autor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fecha: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  hash: String,           // Hash SHA-256 de la addenda
+  firma: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firma'
+  },
+  fechaFirma: Date
+});
+
+// Hash de la addenda (se calcula una sola vez, al crearla)
+addendaSchema.methods.calcularHash = function() {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      tipo: this.tipo,
+      campo: this.campo,
+      texto: this.texto,
+      autor: this.autor.toString(),
+      fecha: this.fecha.toISOString()
+    }))
+    .digest('hex');
+};
+
+// Firma de uno de los participantes del flujo de firma (paciente, médico, testigos)
+const firmaParticipanteSchema = new mongoose.Schema({
+  rol: {
+    type: String,
+    required: true
+  },
+  firmante: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  firma: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firma',
+    required: true
+  },
+  fechaFirma: {
+    type: Date,
+    required: true
+  },
+  // Parentesco o carácter de quien firma en representación del paciente
+  representacion: String,
+  revocada: {
+    type: Boolean,
+    default: false
+  }
+});
 
 const expedienteSchema = new mongoose.Schema({
   // Referencia al paciente
@@ -64,11 +157,39 @@ const expedienteSchema = new mongoose.Schema({
     }
   },
 
+  // Folio impreso en el PDF (con su código QR) para verificar el documento sin autenticarse
+  folio: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+
   // Documento PDF generado
   documento: {
     url: String,          // URL o path al PDF
     hash: String,         // Hash SHA-256 del contenido
-    createdAt: Date      // Fecha de generación
+    // Serialización usada para el hash (utils/cadenaOriginal); sin valor = 1
+    versionCanonica: {
+      type: Number,
+      enum: VERSIONES_CANONICAS
+    },
+    // Plantilla con la que se generó el PDF (versión 0 = predeterminada)
+    plantilla: {
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PlantillaPDF'
+      },
+      tipo: String,
+      version: Number
+    },
+    createdAt: Date,     // Fecha de generación
+    // PDF con las firmas PAdES incrustadas; se conserva aparte porque el PDF de url se regenera
+    firmado: {
+      url: String,
+      hash: String,       // Hash SHA-256 del PDF firmado
+      firmas: Number,     // Firmas incrustadas
+      actualizadoEn: Date
+    }
   },
 
   // Firma digital (FIEL o e.firma)
@@ -76,11 +197,15 @@ const expedienteSchema = new mongoose.Schema({
     firmante: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true
+      required: function() { return this.estado === 'firmado'; }
     },
     fechaFirma: {
       type: Date,
-      required: true
+      required: function() { return this.estado === 'firmado'; }
+    },
+    firma: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Firma'
     },
     certificado: {
       numeroSerie: String,
@@ -91,9 +216,22 @@ const expedienteSchema = new mongoose.Schema({
       }
     },
     selloDigital: String,     // Firma RSA-SHA256 en base64
-    cadenaOriginal: String    // Datos que se firmaron
+    cadenaOriginal: String,   // Datos que se firmaron
+
+    // En caso de revocación de la firma
+    revocacion: {
+      fecha: Date,
+      motivo: String,
+      revocadaPor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }
   },
 
+  // Firmas de todos los participantes según el flujo del tipo de expediente
+  firmas: [firmaParticipanteSchema],
+
   // Control de acceso y auditoría
   permisos: [{
     usuario: {
@@ -124,13 +262,31 @@ const expedienteSchema = new mongoose.Schema({
     ip: String
   }],
 
+  // Addenda firmadas (el contenido firmado nunca se modifica)
+  addenda: [addendaSchema],
+
   // Estado del expediente
   estado: {
     type: String,
-    enum: ['borrador', 'firmado', 'cancelado'],
+    // en_firma: tiene firmas, pero faltan roles del flujo de firma
+    enum: ['borrador', 'en_firma', 'firmado', 'firma_revocada', 'cancelado'],
     default: 'borrador'
   },
 
+  // En caso de cancelación
+  cancelacion: {
+    motivo: {
+      type: String,
+      required: [function() { return this.estado === 'cancelado'; }, 'El motivo de cancelación es requerido']
+    },
+    fecha: Date,
+    canceladoPor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    estadoAnterior: String
+  },
+
   // Campos de control
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -157,27 +313,126 @@ expedienteSchema.index({ paciente: 1, fecha: -1 });
 expedienteSchema.index({ 'firmaDigital.fechaFirma': -1 });
 expedienteSchema.index({ estado: 1 });
 
+// Un expediente firmado o cancelado no puede modificar su contenido
+expedienteSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('contenido') && this.estado !== 'borrador') {
+    return next(new Error('El contenido de un expediente firmado o cancelado no puede ser modificado'));
+  }
+  next();
+});
+
+// Hash del contenido con la serialización indicada
+// La versión 1 conserva el JSON.stringify original para verificar documentos anteriores
+expedienteSchema.methods.calcularHashContenido = function(version = VERSION_CANONICA) {
+  const contenido = version === 1
+    ? this.contenido
+    : this.toObject({ virtuals: false, depopulate: true }).contenido;
+  return hashContenido(contenido, version);
+};
+
 // Middleware para generar hash del contenido antes de guardar
 expedienteSchema.pre('save', function(next) {
   if (this.isModified('contenido')) {
-    const contenidoString = JSON.stringify(this.contenido);
-    this.documento.hash = crypto
-      .createHash('sha256')
-      .update(contenidoString)
-      .digest('hex');
+    this.documento.hash = this.calcularHashContenido(VERSION_CANONICA);
+    this.documento.versionCanonica = VERSION_CANONICA;
     this.documento.createdAt = new Date();
   }
   next();
 });
 
+// Asignar el folio de verificación (nunca el que venga en la solicitud)
+expedienteSchema.pre('save', function(next) {
+  if (this.isNew || !this.folio) {
+    this.folio = generarFolio();
+  }
+  next();
+});
+
+expedienteSchema.statics.generarFolio = generarFolio;
+
 // Método para verificar integridad del documento
 expedienteSchema.methods.verificarIntegridad = function() {
-  const contenidoString = JSON.stringify(this.contenido);
-  const hashCalculado = crypto
-    .createHash('sha256')
-    .update(contenidoString)
-    .digest('hex');
-  return hashCalculado === this.documento.hash;
+  const version = this.documento.versionCanonica || 1;
+  return this.calcularHashContenido(version) === this.documento.hash;
+};
+
+// Método para generar la cadena original que se firma (campos separados por |, estilo SAT)
+expedienteSchema.methods.generarCadenaOriginal = function({ firmante, rol = 'medico', numeroSerie, fecha, addenda = null }) {
+  const campos = [
+    VERSION_CADENA,
+    this._id,
+    this.tipo,
+    this.paciente._id || this.paciente,
+    this.contenido.fecha.toISOString(),
+    this.contenido.metadata.version || 1,
+    addenda ? addenda._id : '',
+    addenda ? addenda.hash : this.documento.hash,
+    addenda ? '' : this.documento.versionCanonica || 1,
+    firmante,
+    rol,
+    numeroSerie,
+    fecha.toISOString()
+  ];
+  return construirCadena(campos);
+};
+
+// Verificar la firma de cada participante del flujo de firma
+expedienteSchema.methods.verificarFirmas = async function() {
+  const Firma = mongoose.model('Firma');
+  let participantes = this.firmas || [];
+
+  // Expedientes firmados antes de los flujos de firma: una sola firma
+  if (participantes.length === 0) {
+    const firma = this.firmaDigital && this.firmaDigital.firma
+      ? await Firma.findById(this.firmaDigital.firma)
+      : await Firma.findOne({ expediente: this._id, addenda: null }).sort('-createdAt');
+    if (!firma) {
+      return null;
+    }
+    participantes = [{
+      rol: firma.rol,
+      firmante: firma.firmante,
+      firma: firma._id,
+      fechaFirma: firma.timestamp.fecha,
+      revocada: firma.estado === 'revocada'
+    }];
+  }
+
+  const flujo = obtenerFlujo(this.tipo);
+  const firmantes = [];
+  for (const participante of participantes) {
+    const firma = await Firma.findById(participante.firma).populate('firmante', 'name');
+    const definicion = flujo.roles.find(candidato => candidato.rol === participante.rol);
+    const resultado = firma
+      ? await firma.verificarFirma(this)
+      : { valida: false, mensaje: 'No se encontró el registro de la firma' };
+    firmantes.push({
+      rol: participante.rol,
+      etiqueta: definicion ? definicion.etiqueta : participante.rol,
+      principal: Boolean(definicion && definicion.principal),
+      firmante: firma ? firma.firmante : participante.firmante,
+      fechaFirma: participante.fechaFirma,
+      representacion: participante.representacion,
+      // Revocación de la firma en el sistema (distinta de la del certificado ante la CA)
+      revocacionFirma: firma && firma.estado === 'revocada' ? firma.revocacion : null,
+      ...resultado
+    });
+  }
+
+  const pendientes = rolesPendientes({ tipo: this.tipo, firmas: participantes })
+    .map(({ rol, etiqueta }) => ({ rol, etiqueta }));
+  const invalida = firmantes.find(firmante => !firmante.valida);
+  return {
+    valida: !invalida && pendientes.length === 0,
+    completa: pendientes.length === 0,
+    mensaje: invalida
+      ? `${invalida.etiqueta}: ${invalida.mensaje}`
+      : pendientes.length > 0 ? 'Faltan firmas requeridas' : 'Todas las firmas son válidas',
+    verificadoEn: new Date(),
+    estadoExpediente: this.estado,
+    firmantes,
+    pendientes
+  };
 };
 
 // Método para registrar acceso
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
-const crypto = require('crypto');
+const { verificarSello } = require('../utils/efirma');
+const { verificarCertificado } = require('../utils/confianza');
+const { verificarSelloTiempo } = require('../utils/tsa');
+const { ROLES_FIRMANTE } = require('../utils/flujosFirma');
 
 const firmaSchema = new mongoose.Schema({
   // Referencia al expediente firmado
@@ -9,13 +12,25 @@ const firmaSchema = new mongoose.Schema({
     required: [true, 'El expediente es requerido']
   },
 
-  // Firmante (doctor o personal autorizado)
+  // Addenda firmada (si la firma corresponde a una addenda y no al expediente)
+  addenda: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  // Firmante (doctor, paciente o testigo)
   firmante: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'El firmante es requerido']
   },
 
+  // Rol del firmante en el flujo de firma del expediente
+  rol: {
+    type: String,
+    enum: ROLES_FIRMANTE,
+    default: 'medico'
+  },
+
   // Información del certificado digital
   certificado: {
     // Número de serie del certificado (e.firma/FIEL)
@@ -32,6 +47,13 @@ const firmaSchema = new mongoose.Schema({
       pais: String            // Country (C)
     },
     
+    // Titular del certificado (subject)
+    sujeto: {
+      nombre: String,
+      rfc: String,
+      curp: String
+    },
+
     // Vigencia del certificado
     vigencia: {
       inicio: {
@@ -89,7 +111,7 @@ const firmaSchema = new mongoose.Schema({
     // Opcional: Timestamp de una autoridad de sellado de tiempo (TSA)
     selloTiempo: {
       autoridad: String,
-      sello: String,
+      sello: String,     // Token RFC 3161 (DER en base64) sobre el sello digital
       fecha: Date
     }
   },
@@ -117,7 +139,8 @@ const firmaSchema = new mongoose.Schema({
         'nota_medica',
         'receta',
         'consentimiento_informado',
-        'resultado_laboratorio'
+        'resultado_laboratorio',
+        'addenda'
       ],
       required: true
     }
@@ -133,7 +156,10 @@ const firmaSchema = new mongoose.Schema({
   // En caso de revocación
   revocacion: {
     fecha: Date,
-    motivo: String,
+    motivo: {
+      type: String,
+      required: [function() { return this.estado === 'revocada'; }, 'El motivo de revocación es requerido']
+    },
     revocadaPor: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -149,51 +175,108 @@ firmaSchema.index({ firmante: 1 });
 firmaSchema.index({ 'certificado.numeroSerie': 1 });
 firmaSchema.index({ estado: 1 });
 
+// Versión de la serialización canónica con la que se calculó el hash firmado
+// (la cadena 2.0 la incluye después del hash; las anteriores usan la versión 1)
+firmaSchema.methods.versionCanonicaFirmada = function() {
+  const campos = this.firma.cadenaOriginal.replace(/^\|\|/, '').replace(/\|\|$/, '').split('|');
+  return campos[0] === '2.0' ? Number(campos[8]) || 1 : 1;
+};
+
 // Método para verificar la validez de la firma
-firmaSchema.methods.verificarFirma = async function() {
+// Reporta cada comprobación realizada (sello, vigencia, cadena de certificación y revocación)
+// Con el expediente, la integridad compara el hash firmado con el de su contenido actual
+firmaSchema.methods.verificarFirma = async function(expediente = null) {
+  const verificadoEn = new Date();
+  const comprobaciones = [];
+  const comprobar = (tipo, exitosa, mensaje) => {
+    comprobaciones.push({ tipo, exitosa, mensaje, fecha: new Date() });
+  };
+
   try {
-    // 1. Verificar que el certificado no haya expirado
-    const ahora = new Date();
-    if (ahora < this.certificado.vigencia.inicio || ahora > this.certificado.vigencia.fin) {
-      return {
-        valida: false,
-        mensaje: 'El certificado ha expirado'
-      };
+    // 0. Con un sello de tiempo válido, la fecha de referencia es la de la TSA y no el reloj actual
+    let fechaReferencia = verificadoEn;
+    let selloTiempo = null;
+    if (this.timestamp.selloTiempo && this.timestamp.selloTiempo.sello) {
+      selloTiempo = verificarSelloTiempo(
+        Buffer.from(this.timestamp.selloTiempo.sello, 'base64'),
+        Buffer.from(this.firma.selloDigital, 'base64')
+      );
+      comprobar('sello_tiempo', selloTiempo.valido, selloTiempo.mensaje);
+      if (selloTiempo.valido) {
+        fechaReferencia = selloTiempo.fecha;
+      }
     }
 
-    // 2. Verificar que la firma no esté revocada
-    if (this.estado === 'revocada') {
-      return {
-        valida: false,
-        mensaje: 'La firma ha sido revocada',
-        detalles: this.revocacion
-      };
-    }
+    // 1. Verificar que el certificado estuviera vigente en la fecha de referencia
+    const vigente = fechaReferencia >= this.certificado.vigencia.inicio &&
+      fechaReferencia <= this.certificado.vigencia.fin;
+    comprobar('vigencia', vigente, vigente ? 'Certificado vigente' : 'El certificado ha expirado');
+
+    // 2. Verificar que la firma no esté revocada localmente
+    const noRevocada = this.estado !== 'revocada';
+    comprobar('estado', noRevocada, noRevocada ? 'Firma no revocada' : 'La firma ha sido revocada');
 
     // 3. Verificar la integridad del documento
-    const verificacion = crypto.createVerify(this.firma.algoritmo);
-    verificacion.update(this.firma.cadenaOriginal);
+    // La cadena original debe contener el hash firmado y este debe ser el del contenido actual
+    // (del expediente con la serialización firmada, o de la addenda)
+    let integra = this.firma.cadenaOriginal.includes(`|${this.firma.hashDocumento}|`);
+    let mensajeIntegridad = integra
+      ? 'La cadena original corresponde al documento firmado'
+      : 'La cadena original no corresponde al documento firmado';
+    if (integra && expediente) {
+      const addenda = this.addenda ? expediente.addenda.id(this.addenda) : null;
+      const hashActual = this.addenda
+        ? addenda && addenda.calcularHash()
+        : expediente.calcularHashContenido(this.versionCanonicaFirmada());
+      integra = hashActual === this.firma.hashDocumento;
+      if (!integra) {
+        mensajeIntegridad = 'El contenido del documento no corresponde al firmado';
+      }
+    }
+    comprobar('integridad', integra, mensajeIntegridad);
 
-    const certificadoPublico = this.certificado.certificadoPublico;
-    const selloDigital = Buffer.from(this.firma.selloDigital, 'base64');
+    const selloValido = verificarSello(
+      this.firma.cadenaOriginal,
+      this.firma.selloDigital,
+      this.certificado.certificadoPublico
+    );
+    comprobar('sello', selloValido, selloValido ? 'Sello digital válido' : 'Firma inválida');
 
-    const firmaValida = verificacion.verify(certificadoPublico, selloDigital);
+    // 4. Verificar cadena de certificación y estado de revocación ante la CA
+    const { cadena, revocacion } = await verificarCertificado(
+      this.certificado.certificadoPublico,
+      fechaReferencia
+    );
+    comprobar('cadena', cadena.estado === 'confiable', cadena.mensaje);
+    comprobar('revocacion', revocacion.estado === 'valido', revocacion.mensaje);
+
+    const fallida = comprobaciones.find(comprobacion => !comprobacion.exitosa);
 
     return {
-      valida: firmaValida,
-      mensaje: firmaValida ? 'Firma válida' : 'Firma inválida'
+      valida: !fallida,
+      mensaje: fallida ? fallida.mensaje : 'Firma válida',
+      verificadoEn,
+      fechaReferencia,
+      selloTiempo,
+      cadena,
+      revocacion,
+      comprobaciones,
+      detalles: noRevocada ? undefined : this.revocacion
     };
   } catch (error) {
     return {
       valida: false,
       mensaje: 'Error al verificar la firma',
-      error: error.message
+      error: error.message,
+      verificadoEn,
+      comprobaciones
     };
   }
 };
 
 // Método para revocar una firma
-firmaSchema.methods.revocar = async function(usuario, motivo) {
+// contexto: datos de seguridad de la solicitud ({ ip, userAgent, sessionId })
+firmaSchema.methods.revocar = async function(usuario, motivo, contexto = {}) {
   this.estado = 'revocada';
   this.revocacion = {
     fecha: new Date(),
@@ -213,8 +296,14 @@ firmaSchema.methods.revocar = async function(usuario, motivo) {
     },
     detalles: {
       expediente: this.expediente,
+      addenda: this.addenda,
       motivo
     },
+    seguridad: {
+      ip: contexto.ip,
+      userAgent: contexto.userAgent,
+      sessionId: contexto.sessionId
+    },
     resultado: {
       exitoso: true,
       mensaje: 'Firma revocada exitosamente'
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const { plantillaPredeterminada } = require('../utils/plantillasPDF');
+
+// Campo impreso por la plantilla (ruta relativa a expediente.contenido)
+const campoPlantillaSchema = new mongoose.Schema({
+  ruta: {
+    type: String,
+    required: [true, 'La ruta del campo es requerida']
+  },
+  etiqueta: {
+    type: String,
+    required: [true, 'La etiqueta del campo es requerida']
+  },
+  tipo: {
+    type: String,
+    enum: ['texto', 'tabla', 'auto'],
+    default: 'texto'
+  },
+  // Columnas de una tabla (rutas relativas a cada registro)
+  columnas: [{
+    _id: false,
+    ruta: String,
+    etiqueta: String
+  }],
+  // Los campos requeridos se imprimen aunque no tengan valor
+  requerido: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const plantillaPDFSchema = new mongoose.Schema({
+  // Tipo de expediente al que aplica
+  tipo: {
+    type: String,
+    enum: {
+      values: [
+        'historia_clinica',
+        'nota_evolucion',
+        'nota_interconsulta',
+        'nota_referencia',
+        'nota_urgencias',
+        'nota_hospitalizacion',
+        'consentimiento_informado',
+        'resultado_laboratorio',
+        'estudio_imagen',
+        'receta_medica'
+      ],
+      message: 'Tipo de expediente no válido'
+    },
+    required: [true, 'El tipo de expediente es requerido']
+  },
+
+  // Versión consecutiva por tipo (la 0 es la plantilla integrada en el código)
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  nombre: String,
+
+  // Título impreso del documento (p. ej. "RECETA MÉDICA")
+  titulo: {
+    type: String,
+    required: [true, 'El título es requerido']
+  },
+
+  // Identidad institucional
+  institucion: {
+    nombre: String,
+    razonSocial: String,
+    direccion: String,
+    telefono: String,
+    clues: String,          // Clave Única de Establecimientos de Salud
+    logo: String            // Imagen PNG o JPG en base64
+  },
+
+  secciones: [{
+    _id: false,
+    titulo: {
+      type: String,
+      required: true
+    },
+    campos: [campoPlantillaSchema]
+  }],
+
+  // Texto legal al final del documento
+  leyenda: String,
+
+  // Solo una versión activa por tipo
+  activa: {
+    type: Boolean,
+    default: false
+  },
+  activadaPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activadaEn: Date,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+plantillaPDFSchema.index({ tipo: 1, version: -1 }, { unique: true });
+plantillaPDFSchema.index({ tipo: 1, activa: 1 });
+
+// Una versión publicada no cambia (los PDF generados la referencian); solo se activa o desactiva
+plantillaPDFSchema.pre('save', function(next) {
+  const permitidos = ['activa', 'activadaPor', 'activadaEn', 'updatedAt'];
+  if (!this.isNew && this.modifiedPaths().some(ruta => !permitidos.includes(ruta))) {
+    return next(new Error('Una versión de plantilla no puede modificarse; cree una nueva versión'));
+  }
+  next();
+});
+
+// Identidad institucional configurada para el despliegue
+const institucionPredeterminada = () => ({
+  nombre: config.institucionNombre,
+  direccion: config.institucionDireccion,
+  telefono: config.institucionTelefono,
+  clues: config.institucionClues,
+  logoPath: config.institucionLogoPath
+});
+
+// Plantilla vigente de un tipo: la versión activa o, si no hay, la predeterminada
+plantillaPDFSchema.statics.obtenerVigente = async function(tipo) {
+  const activa = await this.findOne({ tipo, activa: true }).lean();
+  const plantilla = activa || plantillaPredeterminada(tipo);
+
+  // Los datos institucionales no definidos en la plantilla se toman de la configuración
+  const institucion = { ...institucionPredeterminada() };
+  for (const [llave, valor] of Object.entries((plantilla && plantilla.institucion) || {})) {
+    if (valor) institucion[llave] = valor;
+  }
+
+  return { ...plantilla, institucion };
+};
+
+plantillaPDFSchema.statics.institucionPredeterminada = institucionPredeterminada;
+
+const PlantillaPDF = mongoose.model('PlantillaPDF', plantillaPDFSchema);
+
+module.exports = PlantillaPDF;
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const AuditLog = require('./AuditLog');
+
+// Regla de alerta de seguridad (utils/motorAlertas): los eventos de auditoría que cumplen la
+// condición se agrupan por IP o usuario en ventanas fijas y la alerta salta cuando un grupo
+// alcanza el umbral dentro de una ventana
+const reglaAlertaSchema = new mongoose.Schema({
+  nombre: {
+    type: String,
+    required: [true, 'El nombre de la regla es requerido'],
+    unique: true,
+    trim: true,
+    match: [/^[a-z0-9_]+$/, 'El nombre solo puede tener minúsculas, números y guiones bajos']
+  },
+  descripcion: {
+    type: String,
+    required: [true, 'La descripción de la regla es requerida']
+  },
+  nivel: {
+    type: String,
+    enum: {
+      values: ['bajo', 'medio', 'alto', 'critico'],
+      message: 'Nivel de alerta no válido'
+    },
+    required: [true, 'El nivel de la alerta es requerido']
+  },
+  activa: {
+    type: Boolean,
+    default: true
+  },
+
+  // Eventos que evalúa la regla
+  condicion: {
+    acciones: {
+      type: [{
+        type: String,
+        enum: {
+          values: AuditLog.schema.path('accion').enumValues,
+          message: 'Acción de auditoría no válida'
+        }
+      }],
+      validate: {
+        validator: (acciones) => acciones.length > 0,
+        message: 'La regla debe evaluar al menos una acción'
+      }
+    },
+    // Sin valor se evalúan los eventos exitosos y los fallidos
+    exitoso: Boolean,
+    roles: [{
+      type: String,
+      enum: ['admin', 'doctor', 'paciente', 'anonymous']
+    }],
+    entidadTipo: String
+  },
+
+  // Agrupación de los eventos y medida comparada con el umbral en cada ventana:
+  // el número de eventos o, con distintos, el de IP, usuarios o cuentas diferentes
+  agrupacion: {
+    type: String,
+    enum: ['ip', 'usuario'],
+    required: [true, 'La agrupación es requerida']
+  },
+  distintos: {
+    type: String,
+    enum: ['ip', 'usuario', 'cuenta']
+  },
+  umbral: {
+    type: Number,
+    required: [true, 'El umbral es requerido'],
+    min: 1
+  },
+  ventanaMinutos: {
+    type: Number,
+    min: 1,
+    max: 1440,
+    default: 15
+  },
+
+  // Horario laboral: si está activo solo cuentan los eventos fuera de él
+  // (horas de 0 a 24 y días ISO, 1 = lunes)
+  fueraDeHorario: {
+    activo: {
+      type: Boolean,
+      default: false
+    },
+    horaInicio: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 7
+    },
+    horaFin: {
+      type: Number,
+      min: 1,
+      max: 24,
+      default: 21
+    },
+    dias: {
+      type: [{ type: Number, min: 1, max: 7 }],
+      default: [1, 2, 3, 4, 5, 6]
+    },
+    zonaHoraria: {
+      type: String,
+      default: () => config.securityTimezone || 'America/Mexico_City'
+    }
+  },
+
+  // Reglas creadas por el sistema al no haber ninguna configurada
+  predeterminada: {
+    type: Boolean,
+    default: false
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Consulta de los eventos de la regla en un periodo
+reglaAlertaSchema.methods.consultaEventos = function(desde, hasta) {
+  const query = {
+    accion: { $in: this.condicion.acciones },
+    timestamp: { $gte: desde, $lte: hasta }
+  };
+  if (typeof this.condicion.exitoso === 'boolean') {
+    query['resultado.exitoso'] = this.condicion.exitoso;
+  }
+  if (this.condicion.roles && this.condicion.roles.length > 0) {
+    query.rolUsuario = { $in: this.condicion.roles };
+  }
+  if (this.condicion.entidadTipo) {
+    query['entidad.tipo'] = this.condicion.entidadTipo;
+  }
+
+  if (this.fueraDeHorario && this.fueraDeHorario.activo) {
+    const { horaInicio, horaFin, dias, zonaHoraria } = this.fueraDeHorario;
+    const fecha = { date: '$timestamp', timezone: zonaHoraria };
+    query.$expr = {
+      $or: [
+        { $lt: [{ $hour: fecha }, horaInicio] },
+        { $gte: [{ $hour: fecha }, horaFin] },
+        { $not: [{ $in: [{ $isoDayOfWeek: fecha }, dias] }] }
+      ]
+    };
+  }
+
+  return query;
+};
+
+const ReglaAlerta = mongoose.model('ReglaAlerta', reglaAlertaSchema);
+
+module.exports = ReglaAlerta;
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const revisionExpedienteSchema = new mongoose.Schema({
+  // Expediente al que pertenece la revisión
+  expediente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expediente',
+    required: [true, 'El expediente es requerido']
+  },
+
+  // Versión del contenido que se conserva
+  version: {
+    type: Number,
+    required: [true, 'La versión es requerida'],
+    min: 1
+  },
+
+  // Copia íntegra del contenido en esa versión
+  contenido: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Hash SHA-256 del contenido en esa versión
+  hash: {
+    type: String,
+    required: true
+  },
+
+  // Serialización con la que se calculó el hash (utils/cadenaOriginal)
+  versionCanonica: {
+    type: Number,
+    default: 1
+  },
+
+  // Autor de la versión conservada
+  modificadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Vigencia de la versión (desde su creación hasta que fue reemplazada)
+  vigencia: {
+    inicio: Date,
+    fin: {
+      type: Date,
+      required: true
+    }
+  },
+
+  // Usuario que reemplazó esta versión
+  reemplazadaPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices
+revisionExpedienteSchema.index({ expediente: 1, version: -1 }, { unique: true });
+
+// Las revisiones son inmutables (NOM-004: conservar lo que decía la nota en cada momento)
+revisionExpedienteSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    const error = new Error('Las revisiones de expediente no pueden ser modificadas');
+    return next(error);
+  }
+  next();
+});
+
+revisionExpedienteSchema.pre(/^(updateOne|updateMany|findOneAndUpdate|deleteOne|deleteMany|findOneAndDelete)$/, function(next) {
+  next(new Error('Las revisiones de expediente no pueden ser modificadas'));
+});
+
+const RevisionExpediente = mongoose.model('RevisionExpediente', revisionExpedienteSchema);
+
+module.exports = RevisionExpediente;
@@ -1,7 +1,9 @@
 const express = require('express');
-const { query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const auditController = require('../controllers/auditController');
-const { protect, restrictTo } = require('../middlewares/authMiddleware');
+const alertaController = require('../controllers/alertaController');
+const reporteController = require('../controllers/reporteController');
+const { protect, restrictTo, requirePermission } = require('../middlewares/authMiddleware');
 
 const router = express.Router();
 
@@ -83,13 +85,22 @@ router.get('/',
   auditController.getAuditLogs
 );
 
-// Exportar registros a CSV
+// Exportar registros (CSV, JSON Lines o XLSX) y obtener la firma separada del archivo
 router.get('/export',
   validateDateRange,
   validateQueryFilters,
+  query('formato')
+    .optional()
+    .isIn(['csv', 'jsonl', 'xlsx'])
+    .withMessage('Formato de exportación inválido (csv, jsonl o xlsx)'),
   auditController.exportAuditLogs
 );
 
+router.get('/export/:id/signature',
+  param('id').isMongoId().withMessage('ID de exportación inválido'),
+  auditController.getExportSignature
+);
+
 // Obtener estadísticas de auditoría
 router.get('/stats',
   validateDateRange,
@@ -115,57 +126,289 @@ router.get('/expedientes',
   auditController.getAuditLogs
 );
 
+// Validaciones para los reportes de seguridad: ventana y umbral de agrupación y filtros
+// para obtener los registros de un grupo
+const validateSecurityReport = [
+  query('ventana')
+    .optional()
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('Ventana inválida (1-1440 minutos)'),
+  query('umbral')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Umbral inválido'),
+  query('ip')
+    .optional()
+    .isIP()
+    .withMessage('Dirección IP inválida'),
+  query('usuario')
+    .optional()
+    .isMongoId()
+    .withMessage('ID de usuario inválido'),
+  query('email')
+    .optional()
+    .isEmail()
+    .withMessage('Email inválido'),
+  query('ventanaInicio')
+    .optional()
+    .isISO8601()
+    .withMessage('Formato de inicio de ventana inválido'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Página inválida'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Límite inválido (1-100)')
+];
+
 // Rutas para monitoreo de seguridad
 router.get('/security/failed-logins',
   validateDateRange,
+  validateSecurityReport,
   auditController.getFailedLogins
 );
 
 router.get('/security/access-denied',
   validateDateRange,
+  validateSecurityReport,
   auditController.getAccessDenied
 );
 
 router.get('/security/suspicious-activity',
   validateDateRange,
+  validateSecurityReport,
+  query('indicador')
+    .optional()
+    .isIn(['fuerza_bruta', 'multiples_cuentas', 'multiples_ips', 'consulta_masiva'])
+    .withMessage('Indicador inválido'),
   auditController.getSuspiciousActivity
 );
 
+// Formato de los reportes
+const validateFormatoReporte = query('formato')
+  .optional()
+  .isIn(['json', 'csv', 'pdf'])
+  .withMessage('Formato de reporte inválido (json, csv o pdf)');
+
+// Validación del periodo de agrupación de los reportes
+const validatePeriodo = query('periodo')
+  .optional()
+  .isIn(['dia', 'semana', 'mes', 'año'])
+  .withMessage('Periodo inválido');
+
 // Rutas para reportes específicos
 router.get('/reports/user-activity',
   validateDateRange,
+  validateFormatoReporte,
   query('usuario').isMongoId().withMessage('ID de usuario requerido'),
-  auditController.getUserActivity
+  reporteController.getUserActivity
 );
 
 router.get('/reports/document-access',
   validateDateRange,
+  validateFormatoReporte,
   query('expediente').isMongoId().withMessage('ID de expediente requerido'),
-  auditController.getDocumentAccess
+  reporteController.getDocumentAccess
 );
 
 router.get('/reports/system-usage',
   validateDateRange,
-  auditController.getSystemUsage
+  validateFormatoReporte,
+  validatePeriodo,
+  reporteController.getSystemUsage
 );
 
 // Ruta para obtener resumen de actividad
 router.get('/summary',
-  query('periodo')
+  validateFormatoReporte,
+  validatePeriodo,
+  reporteController.getActivitySummary
+);
+
+// Rutas para verificar la cadena de auditoría y firmar puntos de control
+router.get('/integrity',
+  auditController.verifyAuditChain
+);
+
+router.post('/integrity/checkpoints',
+  auditController.createAuditCheckpoint
+);
+
+// Rutas para el archivo de registros antiguos
+router.route('/archives')
+  .get(
+    validateDateRange,
+    auditController.getAuditArchives
+  )
+  .post(
+    body('antesDe')
+      .optional()
+      .isISO8601()
+      .withMessage('Formato de fecha inválido')
+      .custom(value => new Date(value) <= new Date())
+      .withMessage('La fecha de corte no puede ser futura'),
+    auditController.archiveAuditLogs
+  );
+
+// Ruta para revelar los datos sensibles protegidos de un registro (permiso especial)
+router.post('/:id/reveal',
+  requirePermission('revelar_datos_auditoria'),
+  param('id').isMongoId().withMessage('ID de registro inválido'),
+  body('motivo')
+    .trim()
+    .isLength({ min: 10 })
+    .withMessage('El motivo debe tener al menos 10 caracteres'),
+  body('rutas')
     .optional()
-    .isIn(['dia', 'semana', 'mes', 'año'])
-    .withMessage('Periodo inválido'),
-  auditController.getActivitySummary
+    .isArray({ min: 1 })
+    .withMessage('Las rutas deben ser una lista'),
+  auditController.revealAuditDetails
 );
 
-// Ruta para obtener alertas de seguridad
+// Validaciones para reglas de alerta (en una modificación todos los campos son opcionales)
+const validateReglaAlerta = (parcial) => {
+  const campo = (nombre) => (parcial ? body(nombre).optional() : body(nombre));
+  return [
+    ...(parcial ? [] : [
+      body('nombre')
+        .trim()
+        .matches(/^[a-z0-9_]+$/)
+        .withMessage('El nombre solo puede tener minúsculas, números y guiones bajos')
+    ]),
+    campo('descripcion')
+      .trim()
+      .notEmpty()
+      .withMessage('La descripción es requerida'),
+    campo('nivel')
+      .isIn(['bajo', 'medio', 'alto', 'critico'])
+      .withMessage('Nivel de alerta inválido'),
+    campo('condicion.acciones')
+      .isArray({ min: 1 })
+      .withMessage('La regla debe evaluar al menos una acción'),
+    body('condicion.exitoso')
+      .optional()
+      .isBoolean()
+      .withMessage('El valor de exitoso debe ser true o false'),
+    body('condicion.roles')
+      .optional()
+      .isArray()
+      .withMessage('Los roles deben ser una lista'),
+    campo('agrupacion')
+      .isIn(['ip', 'usuario'])
+      .withMessage('Agrupación inválida (ip o usuario)'),
+    body('distintos')
+      .optional({ nullable: true })
+      .isIn(['ip', 'usuario', 'cuenta'])
+      .withMessage('Medida de valores distintos inválida'),
+    campo('umbral')
+      .isInt({ min: 1 })
+      .withMessage('Umbral inválido'),
+    body('ventanaMinutos')
+      .optional()
+      .isInt({ min: 1, max: 1440 })
+      .withMessage('Ventana inválida (1-1440 minutos)'),
+    body('activa')
+      .optional()
+      .isBoolean()
+      .withMessage('El valor de activa debe ser true o false'),
+    body('fueraDeHorario.horaInicio')
+      .optional()
+      .isInt({ min: 0, max: 23 })
+      .withMessage('Hora de inicio inválida'),
+    body('fueraDeHorario.horaFin')
+      .optional()
+      .isInt({ min: 1, max: 24 })
+      .withMessage('Hora de fin inválida'),
+    body('fueraDeHorario.dias')
+      .optional()
+      .isArray()
+      .withMessage('Los días deben ser una lista (1 = lunes)')
+  ];
+};
+
+// Rutas para alertas de seguridad
 router.get('/alerts',
   validateDateRange,
   query('nivel')
     .optional()
     .isIn(['bajo', 'medio', 'alto', 'critico'])
     .withMessage('Nivel de alerta inválido'),
-  auditController.getSecurityAlerts
+  query('estado')
+    .optional()
+    .isIn(['abierta', 'reconocida', 'resuelta'])
+    .withMessage('Estado de alerta inválido'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Página inválida'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Límite inválido (1-100)'),
+  alertaController.getSecurityAlerts
+);
+
+// Evaluar ahora las reglas sobre un periodo
+router.post('/alerts/evaluate',
+  body('fechaInicio')
+    .optional()
+    .isISO8601()
+    .withMessage('Formato de fecha inicial inválido'),
+  body('fechaFin')
+    .optional()
+    .isISO8601()
+    .withMessage('Formato de fecha final inválido'),
+  alertaController.evaluateSecurityAlerts
+);
+
+// Configuración de reglas de alerta
+router.route('/alerts/rules')
+  .get(alertaController.getAlertRules)
+  .post(
+    validateReglaAlerta(false),
+    alertaController.createAlertRule
+  );
+
+router.route('/alerts/rules/:id')
+  .patch(
+    param('id').isMongoId().withMessage('ID de regla inválido'),
+    validateReglaAlerta(true),
+    alertaController.updateAlertRule
+  )
+  .delete(
+    param('id').isMongoId().withMessage('ID de regla inválido'),
+    alertaController.deleteAlertRule
+  );
+
+router.get('/alerts/:id',
+  param('id').isMongoId().withMessage('ID de alerta inválido'),
+  alertaController.getSecurityAlert
+);
+
+// Ciclo de vida de una alerta: reconocer y resolver
+router.patch('/alerts/:id/acknowledge',
+  param('id').isMongoId().withMessage('ID de alerta inválido'),
+  body('comentario')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('El comentario no puede exceder 1000 caracteres'),
+  alertaController.acknowledgeSecurityAlert
+);
+
+router.patch('/alerts/:id/resolve',
+  param('id').isMongoId().withMessage('ID de alerta inválido'),
+  body('comentario')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('El comentario debe tener entre 10 y 1000 caracteres'),
+  body('falsoPositivo')
+    .optional()
+    .isBoolean()
+    .withMessage('El valor de falsoPositivo debe ser true o false'),
+  alertaController.resolveSecurityAlert
 );
 
 module.exports = router;
@@ -1,35 +1,30 @@
 const express = require('express');
+const multer = require('multer');
 const { body, param, query } = require('express-validator');
 const expedienteController = require('../controllers/expedienteController');
 const { protect, restrictTo, checkExpedientePermission } = require('../middlewares/authMiddleware');
+const { ROLES_FIRMANTE } = require('../utils/flujosFirma');
 
 const router = express.Router();
 
 // Proteger todas las rutas
 router.use(protect);
 
-// Validaciones comunes
-const validateExpedienteData = [
-  body('paciente')
-    .isMongoId()
-    .withMessage('ID de paciente inválido'),
-  body('tipo')
-    .trim()
-    .notEmpty()
-    .withMessage('El tipo de expediente es requerido')
-    .isIn([
-      'historia_clinica',
-      'nota_evolucion',
-      'nota_interconsulta',
-      'nota_referencia',
-      'nota_urgencias',
-      'nota_hospitalizacion',
-      'consentimiento_informado',
-      'resultado_laboratorio',
-      'estudio_imagen',
-      'receta_medica'
-    ])
-    .withMessage('Tipo de expediente inválido'),
+const TIPOS_EXPEDIENTE = [
+  'historia_clinica',
+  'nota_evolucion',
+  'nota_interconsulta',
+  'nota_referencia',
+  'nota_urgencias',
+  'nota_hospitalizacion',
+  'consentimiento_informado',
+  'resultado_laboratorio',
+  'estudio_imagen',
+  'receta_medica'
+];
+
+// Validaciones del contenido clínico
+const validateContenidoData = [
   body('contenido')
     .isObject()
     .withMessage('El contenido es requerido'),
@@ -49,22 +44,117 @@ const validateExpedienteData = [
     .withMessage('El diagnóstico no puede estar vacío')
 ];
 
+// Validaciones comunes
+const validateExpedienteData = [
+  body('paciente')
+    .isMongoId()
+    .withMessage('ID de paciente inválido'),
+  body('tipo')
+    .trim()
+    .notEmpty()
+    .withMessage('El tipo de expediente es requerido')
+    .isIn(TIPOS_EXPEDIENTE)
+    .withMessage('Tipo de expediente inválido'),
+  ...validateContenidoData
+];
+
+// Validaciones para actualización de borradores
+const validateExpedienteUpdate = [
+  body('paciente')
+    .optional()
+    .isMongoId()
+    .withMessage('ID de paciente inválido'),
+  body('version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Versión inválida'),
+  ...validateContenidoData
+];
+
+// Archivos de e.firma (.cer y .key): se procesan en memoria, nunca se escriben a disco
+const uploadEfirma = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 64 * 1024, files: 2 }
+}).fields([
+  { name: 'archivoCer', maxCount: 1 },
+  { name: 'archivoKey', maxCount: 1 }
+]);
+
 // Validaciones para firma digital
+// Los datos del certificado (serie, emisor, vigencia) se obtienen del .cer, no del cliente
 const validateFirmaData = [
-  body('certificado.numeroSerie')
+  body('contrasena')
+    .notEmpty()
+    .withMessage('La contraseña de la llave privada es requerida')
+];
+
+// Validaciones del rol con el que se firma (flujos de varios firmantes)
+const validateFirmanteData = [
+  body('rol')
+    .optional()
+    .isIn(ROLES_FIRMANTE)
+    .withMessage('Rol de firmante inválido'),
+  body('representacion')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('La representación no puede exceder 100 caracteres')
+];
+
+// Validaciones para firma en lote (multipart: un campo expedientes por ID)
+const validateLoteData = [
+  body('expedientes')
+    .customSanitizer(valor => [].concat(valor || []))
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Se requiere una lista de 1 a 100 expedientes'),
+  body('expedientes.*')
+    .isMongoId()
+    .withMessage('ID de expediente inválido')
+];
+
+// Validaciones para addenda
+const validateAddendaData = [
+  body('tipo')
+    .trim()
+    .isIn(['correccion', 'aclaracion'])
+    .withMessage('Tipo de addenda inválido'),
+  body('campo')
+    .optional()
     .trim()
     .notEmpty()
-    .withMessage('El número de serie del certificado es requerido'),
-  body('certificado.emisor')
+    .withMessage('El campo no puede estar vacío'),
+  body('texto')
     .trim()
     .notEmpty()
-    .withMessage('El emisor del certificado es requerido'),
-  body('certificado.vigencia.inicio')
-    .isISO8601()
-    .withMessage('Fecha de inicio de vigencia inválida'),
-  body('certificado.vigencia.fin')
-    .isISO8601()
-    .withMessage('Fecha de fin de vigencia inválida')
+    .withMessage('El texto de la addenda es requerido')
+];
+
+// Validaciones para cancelación
+const validateCancelacion = [
+  body('motivo')
+    .trim()
+    .notEmpty()
+    .withMessage('El motivo de cancelación es requerido')
+    .isLength({ min: 10 })
+    .withMessage('El motivo debe tener al menos 10 caracteres')
+];
+
+// Validaciones para revocación de firma
+const validateRevocacion = [
+  body('motivo')
+    .trim()
+    .notEmpty()
+    .withMessage('El motivo de revocación es requerido')
+    .isLength({ min: 10 })
+    .withMessage('El motivo debe tener al menos 10 caracteres')
+];
+
+// Validaciones de los filtros de estadísticas
+const validateEstadisticas = [
+  query('fechaInicio').optional().isISO8601().withMessage('Fecha inicial inválida'),
+  query('fechaFin').optional().isISO8601().withMessage('Fecha final inválida'),
+  query('diasBorrador').optional().isInt({ min: 1 }).withMessage('Días de antigüedad inválidos'),
+  query('actualizar').optional().isBoolean().withMessage('Valor de actualizar inválido')
 ];
 
 // Rutas para crear y listar expedientes (solo doctores)
@@ -81,6 +171,25 @@ router.route('/')
     expedienteController.getExpedientes
   );
 
+// Ruta para firmar en lote borradores con una sola carga de la e.firma
+router.post('/firmar-lote',
+  restrictTo('doctor'),
+  uploadEfirma,
+  validateFirmaData,
+  validateLoteData,
+  expedienteController.firmarLote
+);
+
+// Ruta para descargar en un solo PDF los expedientes de un paciente
+router.get('/paciente/:pacienteId/pdf',
+  restrictTo('doctor', 'paciente', 'admin'),
+  param('pacienteId').isMongoId().withMessage('ID de paciente inválido'),
+  query('desde').optional().isISO8601().withMessage('Fecha inicial inválida'),
+  query('hasta').optional().isISO8601().withMessage('Fecha final inválida'),
+  query('tipo').optional().isIn(TIPOS_EXPEDIENTE).withMessage('Tipo de expediente inválido'),
+  expedienteController.downloadExpedienteCompleto
+);
+
 // Rutas específicas por ID
 router.route('/:id')
   .get(
@@ -92,18 +201,49 @@ router.route('/:id')
     restrictTo('doctor'),
     param('id').isMongoId().withMessage('ID inválido'),
     checkExpedientePermission,
-    validateExpedienteData,
+    validateExpedienteUpdate,
     expedienteController.updateExpediente
   );
 
-// Ruta para firmar expediente
+// Ruta para firmar expediente (médico, paciente o testigo según el flujo de firma)
 router.post('/:id/firmar',
-  restrictTo('doctor'),
+  restrictTo('doctor', 'paciente', 'admin'),
   param('id').isMongoId().withMessage('ID inválido'),
+  uploadEfirma,
   validateFirmaData,
+  validateFirmanteData,
   expedienteController.firmarExpediente
 );
 
+// Ruta para agregar addenda firmada
+router.post('/:id/addenda',
+  restrictTo('doctor'),
+  param('id').isMongoId().withMessage('ID inválido'),
+  checkExpedientePermission,
+  uploadEfirma,
+  validateAddendaData,
+  validateFirmaData,
+  expedienteController.addAddenda
+);
+
+// Ruta para cancelar expediente
+router.post('/:id/cancelar',
+  restrictTo('doctor', 'admin'),
+  param('id').isMongoId().withMessage('ID inválido'),
+  checkExpedientePermission,
+  validateCancelacion,
+  expedienteController.cancelarExpediente
+);
+
+// Ruta para revocar la firma del expediente
+router.post('/:id/revocar-firma',
+  restrictTo('doctor', 'admin'),
+  param('id').isMongoId().withMessage('ID inválido'),
+  checkExpedientePermission,
+  validateRevocacion,
+  expedienteController.revocarFirma
+);
+
 // Ruta para verificar firma
 router.get('/:id/verificar-firma',
   param('id').isMongoId().withMessage('ID inválido'),
@@ -111,9 +251,24 @@ router.get('/:id/verificar-firma',
   expedienteController.verificarFirma
 );
 
+// Rutas para historial de versiones
+router.get('/:id/revisiones',
+  param('id').isMongoId().withMessage('ID inválido'),
+  checkExpedientePermission,
+  expedienteController.getRevisiones
+);
+
+router.get('/:id/revisiones/:version',
+  param('id').isMongoId().withMessage('ID inválido'),
+  param('version').isInt({ min: 1 }).withMessage('Versión inválida'),
+  checkExpedientePermission,
+  expedienteController.getRevision
+);
+
 // Ruta para descargar PDF
 router.get('/:id/pdf',
   param('id').isMongoId().withMessage('ID inválido'),
+  query('version').optional().isIn(['firmado', 'actual']).withMessage('Versión de PDF inválida'),
   checkExpedientePermission,
   expedienteController.downloadPDF
 );
@@ -130,17 +285,20 @@ router.use(restrictTo('admin'));
 
 // Ruta para obtener estadísticas de expedientes
 router.get('/stats/general',
+  validateEstadisticas,
   expedienteController.getExpedienteStats
 );
 
 // Ruta para obtener expedientes por doctor
 router.get('/stats/por-doctor',
   query('doctor').optional().isMongoId().withMessage('ID de doctor inválido'),
+  validateEstadisticas,
   expedienteController.getExpedientesPorDoctor
 );
 
 // Ruta para obtener expedientes por tipo
 router.get('/stats/por-tipo',
+  validateEstadisticas,
   expedienteController.getExpedientesPorTipo
 );
 
@@ -0,0 +1,96 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const plantillaController = require('../controllers/plantillaController');
+const { protect, restrictTo } = require('../middlewares/authMiddleware');
+
+const router = express.Router();
+
+const TIPOS_EXPEDIENTE = [
+  'historia_clinica',
+  'nota_evolucion',
+  'nota_interconsulta',
+  'nota_referencia',
+  'nota_urgencias',
+  'nota_hospitalizacion',
+  'consentimiento_informado',
+  'resultado_laboratorio',
+  'estudio_imagen',
+  'receta_medica'
+];
+
+// Proteger todas las rutas y restringir a administradores
+router.use(protect);
+router.use(restrictTo('admin'));
+
+// Validaciones para una nueva versión de plantilla
+const validatePlantillaData = [
+  body('tipo')
+    .isIn(TIPOS_EXPEDIENTE)
+    .withMessage('Tipo de expediente inválido'),
+  body('titulo')
+    .trim()
+    .notEmpty()
+    .withMessage('El título es requerido'),
+  body('secciones')
+    .isArray({ min: 1 })
+    .withMessage('Se requiere al menos una sección'),
+  body('secciones.*.titulo')
+    .trim()
+    .notEmpty()
+    .withMessage('Cada sección requiere un título'),
+  body('secciones.*.campos')
+    .isArray()
+    .withMessage('Los campos de la sección deben ser una lista'),
+  body('secciones.*.campos.*.ruta')
+    .matches(/^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/)
+    .withMessage('Ruta de campo inválida'),
+  body('secciones.*.campos.*.etiqueta')
+    .trim()
+    .notEmpty()
+    .withMessage('Cada campo requiere una etiqueta'),
+  body('secciones.*.campos.*.tipo')
+    .optional()
+    .isIn(['texto', 'tabla', 'auto'])
+    .withMessage('Tipo de campo inválido'),
+  body('institucion.logo')
+    .optional()
+    .isBase64()
+    .withMessage('El logotipo debe estar en base64')
+    .isLength({ max: 700000 })
+    .withMessage('El logotipo no puede exceder 500 KB')
+];
+
+// Rutas para listar y crear versiones
+router.route('/')
+  .get(
+    query('tipo').optional().isIn(TIPOS_EXPEDIENTE).withMessage('Tipo de expediente inválido'),
+    plantillaController.getPlantillas
+  )
+  .post(
+    validatePlantillaData,
+    plantillaController.createPlantilla
+  );
+
+// Plantilla vigente de un tipo
+router.get('/vigente/:tipo',
+  param('tipo').isIn(TIPOS_EXPEDIENTE).withMessage('Tipo de expediente inválido'),
+  plantillaController.getPlantillaVigente
+);
+
+router.get('/:id',
+  param('id').isMongoId().withMessage('ID inválido'),
+  plantillaController.getPlantilla
+);
+
+// Activar o desactivar una versión
+router.patch('/:id/activar',
+  param('id').isMongoId().withMessage('ID inválido'),
+  plantillaController.activarPlantilla
+);
+
+router.patch('/:id/desactivar',
+  param('id').isMongoId().withMessage('ID inválido'),
+  plantillaController.desactivarPlantilla
+);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const { param } = require('express-validator');
+const verificacionController = require('../controllers/verificacionController');
+
+const router = express.Router();
+
+// Ruta pública (sin autenticación): la consultan farmacias y aseguradoras con el folio
+// o el código QR impreso en el PDF
+router.get('/:folio',
+  param('folio')
+    .matches(/^[0-9A-HJKMNP-TV-Z]{4}-[0-9A-HJKMNP-TV-Z]{4}-[0-9A-HJKMNP-TV-Z]{4}$/i)
+    .withMessage('Folio de verificación inválido'),
+  verificacionController.verificarDocumento
+);
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const config = require('./helpers/config');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
+const AuditArchivo = require('../models/AuditArchivo');
+const {
+  archivarAuditoria,
+  leerArchivo,
+  verificarArchivo,
+  buscarEnArchivos
+} = require('../utils/archivoAuditoria');
+const { enMemoria } = require('./helpers/memoria');
+
+const auditoria = enMemoria(AuditLog);
+const checkpoints = enMemoria(AuditCheckpoint);
+const archivos = enMemoria(AuditArchivo);
+
+const usuario = new mongoose.Types.ObjectId();
+
+const registrarVarios = async (cantidad) => {
+  for (let i = 0; i < cantidad; i++) {
+    await AuditLog.registrar({
+      usuario,
+      rolUsuario: 'admin',
+      accion: i % 2 ? 'leer' : 'actualizar',
+      entidad: { tipo: 'Paciente', id: new mongoose.Types.ObjectId() },
+      detalles: { indice: i },
+      seguridad: { ip: '127.0.0.1' },
+      resultado: { exitoso: true }
+    });
+  }
+};
+
+// Todo lo registrado hasta ahora queda antes de la fecha de corte
+const archivarTodo = () => archivarAuditoria({ antesDe: new Date(Date.now() + 1000) });
+
+describe('archivo de auditoría', () => {
+  beforeEach(() => {
+    auditoria.limpiar();
+    checkpoints.limpiar();
+    archivos.limpiar();
+    fs.rmSync(config.auditArchiveDir, { recursive: true, force: true });
+  });
+
+  it('mueve los registros antiguos a un archivo firmado y deja el último para continuar la cadena', async () => {
+    await registrarVarios(6);
+    const [archivo] = await archivarTodo();
+
+    assert.equal(archivo.registros, 5);
+    assert.equal(archivo.desdeSecuencia, 1);
+    assert.equal(archivo.hastaSecuencia, 5);
+    assert.deepEqual(auditoria.registros.map(registro => registro.secuencia), [6]);
+    assert.ok(fs.existsSync(path.join(config.auditArchiveDir, `${archivo.archivo}.sig`)));
+
+    assert.deepEqual(await verificarArchivo(archivo), { valida: true, mensaje: 'Archivo íntegro' });
+    const leidos = [];
+    for await (const registro of leerArchivo(archivo)) leidos.push(registro.secuencia);
+    assert.deepEqual(leidos, [1, 2, 3, 4, 5]);
+  });
+
+  it('verifica la cadena completa entre los archivos y la base de datos', async () => {
+    await registrarVarios(6);
+    await archivarTodo();
+    await registrarVarios(2);
+
+    const resultado = await AuditLog.verificarCadena();
+    assert.equal(resultado.valida, true, resultado.primerError && resultado.primerError.mensaje);
+    assert.equal(resultado.registrosVerificados, 8);
+    assert.equal(resultado.registrosArchivados, 5);
+    assert.deepEqual(resultado.puntosControl, { total: 2, verificados: 2 });
+  });
+
+  it('busca en los archivos con los filtros de consulta', async () => {
+    await registrarVarios(6);
+    await archivarTodo();
+
+    const { total, registros } = await buscarEnArchivos({ accion: 'leer' }, { limit: 10 });
+    assert.equal(total, 2);
+    assert.deepEqual(registros.map(registro => registro.detalles.indice), [3, 1]);
+    assert.ok(registros.every(registro => registro.archivado));
+  });
+
+  it('detecta un archivo modificado después de firmarse', async () => {
+    await registrarVarios(4);
+    const [archivo] = await archivarTodo();
+
+    const ruta = path.join(config.auditArchiveDir, archivo.archivo);
+    const lineas = zlib.gunzipSync(fs.readFileSync(ruta)).toString().replace('"indice":1', '"indice":7');
+    fs.writeFileSync(ruta, zlib.gzipSync(lineas));
+
+    assert.equal((await verificarArchivo(archivo)).mensaje, 'El archivo fue modificado después de firmarse');
+    const { valida, primerError } = await AuditLog.verificarCadena();
+    assert.equal(valida, false);
+    assert.equal(primerError.tipo, 'archivo');
+  });
+
+  it('no archiva sobre una colección limitada de una instalación anterior', async (t) => {
+    await registrarVarios(3);
+    t.mock.method(AuditLog.collection, 'isCapped', async () => true);
+
+    await assert.rejects(archivarTodo(), /limitada \(capped\)/);
+    assert.equal(auditoria.registros.length, 3);
+    assert.equal(archivos.registros.length, 0);
+  });
+});
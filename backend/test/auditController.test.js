@@ -0,0 +1,106 @@
+require('./helpers/config');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
+const AuditArchivo = require('../models/AuditArchivo');
+const { revealAuditDetails, exportAuditLogs } = require('../controllers/auditController');
+const { diferencias } = require('../utils/redaccion');
+const { enMemoria } = require('./helpers/memoria');
+
+const auditoria = enMemoria(AuditLog);
+enMemoria(AuditCheckpoint);
+enMemoria(AuditArchivo);
+
+const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+const solicitud = (datos) => ({
+  user: admin,
+  ip: '127.0.0.1',
+  params: {},
+  query: {},
+  body: {},
+  get: () => 'pruebas',
+  ...datos
+});
+
+// Respuesta mínima: guarda el estado, los encabezados y el JSON enviados
+// alTerminar se llama cuando el controlador responde
+const respuesta = (alTerminar = () => {}) => ({
+  estado: null,
+  encabezados: {},
+  cuerpo: null,
+  status(codigo) { this.estado = codigo; return this; },
+  setHeader(nombre, valor) { this.encabezados[nombre] = valor; },
+  json(cuerpo) { this.cuerpo = cuerpo; alTerminar(); return this; }
+});
+
+// Ejecutar un controlador (catchAsync no devuelve la promesa) y resolver con la respuesta
+// y el error que pasó a next, si hubo
+const ejecutar = (controlador, datos) => new Promise((resolver) => {
+  const res = respuesta(() => resolver({ res, error: null }));
+  controlador(solicitud(datos), res, (error) => resolver({ res, error }));
+});
+
+const registroConDatos = () => AuditLog.registrar({
+  usuario: admin._id,
+  rolUsuario: 'doctor',
+  accion: 'actualizar',
+  entidad: { tipo: 'Paciente', id: new mongoose.Types.ObjectId() },
+  detalles: { cambios: diferencias('Paciente', { nombre: 'María' }, { nombre: 'Mariana' }) },
+  seguridad: { ip: '127.0.0.1' },
+  resultado: { exitoso: true }
+});
+
+describe('revelación de datos protegidos de auditoría', () => {
+  beforeEach(() => auditoria.limpiar());
+
+  it('exige un motivo y una lista de rutas', async () => {
+    const log = await registroConDatos();
+    for (const body of [{}, { motivo: '  corto   ' }, { motivo: 'Revisión de queja 123', rutas: 'nombre' }, { motivo: 'Revisión de queja 123', rutas: [] }]) {
+      const { res, error } = await ejecutar(revealAuditDetails, { params: { id: log._id }, body });
+      assert.equal(error.statusCode, 400);
+      assert.equal(res.cuerpo, null);
+    }
+  });
+
+  it('entrega los datos y audita la revelación', async () => {
+    const log = await registroConDatos();
+    const { res, error } = await ejecutar(revealAuditDetails, {
+      params: { id: log._id },
+      body: { motivo: 'Revisión de queja 123', rutas: ['nombre'] }
+    });
+
+    assert.equal(error, null);
+    assert.equal(res.estado, 200);
+    assert.deepEqual(res.cuerpo.data.cambios, [
+      { ruta: 'nombre', operacion: 'modificado', anterior: 'María', nuevo: 'Mariana' }
+    ]);
+    const revelacion = auditoria.registros.find(registro => registro.accion === 'revelar_datos');
+    assert.equal(revelacion.detalles.motivo, 'Revisión de queja 123');
+    assert.deepEqual(revelacion.detalles.rutas, ['nombre']);
+  });
+
+  it('no entrega los datos si la revelación no se pudo auditar', async (t) => {
+    const log = await registroConDatos();
+    t.mock.method(AuditLog, 'registrar', async () => null);
+    const { res, error } = await ejecutar(revealAuditDetails, {
+      params: { id: log._id },
+      body: { motivo: 'Revisión de queja 123' }
+    });
+
+    assert.equal(error.statusCode, 500);
+    assert.equal(error.errorCode, 'AUDITORIA_FALLIDA');
+    assert.equal(res.cuerpo, null);
+  });
+});
+
+describe('exportación de auditoría', () => {
+  it('rechaza un formato no soportado antes de enviar encabezados', async () => {
+    const { res, error } = await ejecutar(exportAuditLogs, { query: { formato: 'pdf' } });
+
+    assert.equal(error.statusCode, 400);
+    assert.deepEqual(res.encabezados, {});
+  });
+});
@@ -0,0 +1,132 @@
+require('./helpers/config');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
+const AuditArchivo = require('../models/AuditArchivo');
+const { enMemoria } = require('./helpers/memoria');
+
+const auditoria = enMemoria(AuditLog);
+const checkpoints = enMemoria(AuditCheckpoint);
+enMemoria(AuditArchivo);
+
+const usuario = new mongoose.Types.ObjectId();
+
+const registrar = (accion, entidad, detalles = {}) => AuditLog.registrar({
+  usuario,
+  rolUsuario: 'doctor',
+  accion,
+  entidad,
+  detalles,
+  seguridad: { ip: '127.0.0.1' },
+  resultado: { exitoso: true }
+});
+
+const registrarVarios = async (cantidad) => {
+  for (let i = 0; i < cantidad; i++) {
+    await registrar('leer', { tipo: 'Expediente', id: new mongoose.Types.ObjectId() }, { indice: i });
+  }
+};
+
+describe('registro de auditoría', () => {
+  beforeEach(() => {
+    auditoria.limpiar();
+    checkpoints.limpiar();
+  });
+
+  it('guarda el registro de un lote de firma, que no tiene un expediente concreto', async () => {
+    const expediente = new mongoose.Types.ObjectId();
+    const log = await registrar('firmar_lote', { tipo: 'Expediente', id: null }, {
+      total: 2,
+      firmados: 1,
+      fallidos: 1,
+      expedientes: [{ expediente, exitoso: true }, { expediente: 'no-es-un-id', exitoso: false }]
+    });
+
+    assert.ok(log, 'el registro del lote no se guardó');
+    assert.equal(auditoria.registros.length, 1);
+    assert.equal(auditoria.registros[0].accion, 'firmar_lote');
+    assert.equal(String(auditoria.registros[0].detalles.expedientes[0].expediente), expediente.toString());
+  });
+
+  it('no guarda una acción sobre un expediente sin su ID', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const log = await registrar('firmar', { tipo: 'Expediente', id: null });
+    assert.equal(log, null);
+    assert.equal(auditoria.registros.length, 0);
+  });
+});
+
+describe('cadena de hashes de auditoría', () => {
+  beforeEach(() => {
+    auditoria.limpiar();
+    checkpoints.limpiar();
+  });
+
+  it('encadena los registros y firma un punto de control periódicamente', async () => {
+    await registrarVarios(7);
+
+    const registros = [...auditoria.registros].sort((a, b) => a.secuencia - b.secuencia);
+    assert.deepEqual(registros.map(registro => registro.secuencia), [1, 2, 3, 4, 5, 6, 7]);
+    assert.equal(registros[0].hashAnterior, '0'.repeat(64));
+    for (let i = 1; i < registros.length; i++) {
+      assert.equal(registros[i].hashAnterior, registros[i - 1].hash);
+    }
+    // AUDIT_CHECKPOINT_INTERVAL = 3 en la configuración de pruebas
+    assert.deepEqual(checkpoints.registros.map(checkpoint => checkpoint.secuencia), [3, 6]);
+
+    const resultado = await AuditLog.verificarCadena();
+    assert.equal(resultado.valida, true);
+    assert.equal(resultado.registrosVerificados, 7);
+    assert.deepEqual(resultado.puntosControl, { total: 2, verificados: 2 });
+  });
+
+  it('detecta un registro modificado', async () => {
+    await registrarVarios(5);
+    auditoria.registros.find(registro => registro.secuencia === 2).detalles.indice = 99;
+
+    const { valida, primerError } = await AuditLog.verificarCadena();
+    assert.equal(valida, false);
+    assert.equal(primerError.tipo, 'alterado');
+    assert.equal(primerError.secuencia, 2);
+  });
+
+  it('detecta un registro borrado', async () => {
+    await registrarVarios(5);
+    await AuditLog.deleteMany({ secuencia: 4 });
+
+    const { valida, primerError } = await AuditLog.verificarCadena();
+    assert.equal(valida, false);
+    assert.equal(primerError.tipo, 'faltante');
+    assert.equal(primerError.secuencia, 4);
+  });
+
+  it('detecta registros borrados al final de la cadena con el punto de control', async () => {
+    await registrarVarios(6);
+    await AuditLog.deleteMany({ secuencia: { $gte: 5 } });
+
+    const { valida, primerError } = await AuditLog.verificarCadena();
+    assert.equal(valida, false);
+    assert.equal(primerError.tipo, 'faltante');
+    assert.equal(primerError.mensaje, 'Faltan los registros 5 a 6');
+  });
+
+  it('detecta la cadena recalculada después de modificar un registro', async () => {
+    await registrarVarios(4);
+    // Quien edita la base de datos puede recalcular los hashes, pero no firmar el punto de control
+    const registros = [...auditoria.registros].sort((a, b) => a.secuencia - b.secuencia);
+    registros[0].detalles.indice = 99;
+    let hashAnterior = '0'.repeat(64);
+    for (const registro of registros) {
+      registro.hashAnterior = hashAnterior;
+      registro.hash = AuditLog.hydrate(registro).calcularHash();
+      hashAnterior = registro.hash;
+    }
+
+    const { valida, primerError } = await AuditLog.verificarCadena();
+    assert.equal(valida, false);
+    assert.equal(primerError.tipo, 'checkpoint');
+    assert.equal(primerError.secuencia, 3);
+  });
+});
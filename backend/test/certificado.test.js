@@ -0,0 +1,36 @@
+require('./helpers/config');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { parsearCertificado, validarTitular } = require('../utils/certificado');
+const { fixture, medico } = require('./helpers/efirma');
+
+describe('certificado de e.firma', () => {
+  const datos = parsearCertificado(new crypto.X509Certificate(fixture('efirma.cer')));
+
+  it('extrae el número de certificado, el titular y el emisor', () => {
+    assert.equal(datos.numeroSerie, '30001000000500003416');
+    assert.deepEqual(datos.sujeto, {
+      nombre: 'MARIA LOPEZ PEREZ',
+      rfc: 'LOPM800101AB1',
+      curp: 'LOPM800101MDFPRR09'
+    });
+    assert.equal(datos.emisor.nombreComun, 'AC de pruebas');
+    assert.ok(datos.vigencia.inicio < datos.vigencia.fin);
+  });
+
+  it('acepta al titular y rechaza a otro usuario', () => {
+    assert.doesNotThrow(() => validarTitular(datos, medico));
+    assert.throws(
+      () => validarTitular(datos, { ...medico, rfc: 'XAXX010101000' }),
+      { statusCode: 403, errorCode: 'EFIRMA_TITULAR_INVALIDO' }
+    );
+  });
+
+  it('rechaza el certificado fuera de su vigencia', () => {
+    assert.throws(
+      () => validarTitular(datos, medico, new Date(datos.vigencia.fin.getTime() + 1000)),
+      { errorCode: 'EFIRMA_CERTIFICADO_NO_VIGENTE' }
+    );
+  });
+});
@@ -0,0 +1,47 @@
+require('./helpers/config');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const asn1 = require('../utils/asn1');
+const { verificarCadena, verificarCertificado } = require('../utils/confianza');
+const { fixture } = require('./helpers/efirma');
+
+describe('cadena de certificación y revocación', () => {
+  it('confía en un certificado emitido por una CA del almacén', async () => {
+    const { cadena, revocacion } = await verificarCertificado(fixture('efirma.cer'));
+    assert.equal(cadena.estado, 'confiable');
+    assert.equal(cadena.certificados.length, 2);
+    assert.equal(revocacion.metodo, 'crl');
+    assert.equal(revocacion.estado, 'valido');
+  });
+
+  it('no acepta como emisor un certificado que no es CA', () => {
+    const cadena = verificarCadena(new crypto.X509Certificate(fixture('emitido-sin-ac.crt')));
+    assert.equal(cadena.estado, 'invalida');
+    assert.equal(cadena.mensaje, 'Un certificado emisor de la cadena no es una autoridad certificadora');
+  });
+
+  it('rechaza la cadena si la CA no estaba vigente en la fecha de referencia', () => {
+    const cadena = verificarCadena(new crypto.X509Certificate(fixture('efirma.cer')), new Date('2000-01-01'));
+    assert.equal(cadena.estado, 'invalida');
+    assert.equal(cadena.mensaje, 'Un certificado de la autoridad certificadora no estaba vigente');
+  });
+});
+
+describe('ASN.1', () => {
+  const der = fixture('efirma.cer');
+
+  it('decodifica un certificado completo', () => {
+    const certificado = asn1.decodificar(der);
+    assert.equal(certificado.tag, asn1.TAG.SEQUENCE);
+    assert.equal(certificado.hijos.length, 3);
+  });
+
+  it('rechaza estructuras truncadas o con longitudes imposibles', () => {
+    assert.throws(() => asn1.decodificar(der.subarray(0, der.length - 1)), /truncada/);
+    assert.throws(() => asn1.decodificar(Buffer.from([0x30])), /truncada/);
+    assert.throws(() => asn1.decodificar(Buffer.from([0x04, 0x85, 1, 2, 3, 4, 5])), /Longitud ASN.1 inválida/);
+    // Un hijo que se sale de su nodo padre aunque quepa en el buffer
+    assert.throws(() => asn1.decodificar(Buffer.from([0x30, 0x02, 0x04, 0x03, 0x00, 0x00, 0x00])), /truncada/);
+  });
+});
@@ -0,0 +1,46 @@
+require('./helpers/config');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { cargarEfirma, firmarCadena, verificarSello } = require('../utils/efirma');
+const { fixture, CONTRASENA } = require('./helpers/efirma');
+
+describe('e.firma', () => {
+  it('carga el certificado y la llave cifrada y firma la cadena original', () => {
+    const efirma = cargarEfirma(fixture('efirma.cer'), fixture('efirma.key'), CONTRASENA);
+    assert.equal(efirma.algoritmo, 'RSA-SHA256');
+
+    const cadena = '||2.0|expediente|nota_evolucion||';
+    const sello = firmarCadena(cadena, efirma.llave);
+    assert.equal(verificarSello(cadena, sello, efirma.certificado.pem), true);
+    assert.equal(verificarSello(`${cadena}x`, sello, efirma.certificado.pem), false);
+  });
+
+  it('rechaza una contraseña incorrecta', () => {
+    assert.throws(
+      () => cargarEfirma(fixture('efirma.cer'), fixture('efirma.key'), 'otra-contrasena'),
+      { statusCode: 400, errorCode: 'EFIRMA_CONTRASENA_INVALIDA' }
+    );
+  });
+
+  it('rechaza una llave que no corresponde al certificado', () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const otraLlave = privateKey.export({
+      type: 'pkcs8',
+      format: 'der',
+      cipher: 'aes-256-cbc',
+      passphrase: CONTRASENA
+    });
+    assert.throws(
+      () => cargarEfirma(fixture('efirma.cer'), otraLlave, CONTRASENA),
+      { errorCode: 'EFIRMA_PAR_INVALIDO' }
+    );
+  });
+
+  it('rechaza un archivo que no es certificado', () => {
+    assert.throws(
+      () => cargarEfirma(Buffer.from('no es un certificado'), fixture('efirma.key'), CONTRASENA),
+      { errorCode: 'EFIRMA_CERTIFICADO_INVALIDO' }
+    );
+  });
+});
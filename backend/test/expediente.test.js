@@ -0,0 +1,55 @@
+require('./helpers/config');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Expediente = require('../models/Expediente');
+const { enMemoria } = require('./helpers/memoria');
+
+enMemoria(Expediente);
+
+const autor = new mongoose.Types.ObjectId();
+
+const expedienteFirmado = () => Expediente.create({
+  paciente: new mongoose.Types.ObjectId(),
+  tipo: 'nota_evolucion',
+  contenido: {
+    fecha: new Date('2026-03-01T10:00:00Z'),
+    motivo: 'Control de hipertensión',
+    diagnostico: 'Hipertensión arterial controlada',
+    datosEspecificos: { presionArterial: '120/80' }
+  },
+  estado: 'firmado',
+  firmaDigital: { firmante: autor, fechaFirma: new Date() },
+  createdBy: autor
+});
+
+describe('expediente', () => {
+  it('calcula el hash del contenido y lo verifica', async () => {
+    const expediente = await expedienteFirmado();
+    assert.match(expediente.documento.hash, /^[0-9a-f]{64}$/);
+    assert.equal(expediente.verificarIntegridad(), true);
+
+    expediente.contenido.diagnostico = 'Hipertensión arterial descontrolada';
+    assert.equal(expediente.verificarIntegridad(), false);
+  });
+
+  it('no modifica el contenido de un expediente firmado', async () => {
+    const expediente = await expedienteFirmado();
+    expediente.contenido.diagnostico = 'Hipertensión arterial descontrolada';
+    expediente.markModified('contenido');
+    await assert.rejects(expediente.save(), /no puede ser modificado/);
+  });
+
+  it('no se cancela sin motivo', async () => {
+    const expediente = await expedienteFirmado();
+    expediente.estado = 'cancelado';
+    expediente.cancelacion = { fecha: new Date(), canceladoPor: autor, estadoAnterior: 'firmado' };
+    await assert.rejects(expediente.save(), (error) =>
+      error instanceof mongoose.Error.ValidationError &&
+      error.errors['cancelacion.motivo'].message === 'El motivo de cancelación es requerido');
+
+    expediente.cancelacion.motivo = 'Nota duplicada por error de captura';
+    await expediente.save();
+    assert.equal((await Expediente.findById(expediente._id)).cancelacion.motivo, 'Nota duplicada por error de captura');
+  });
+});
@@ -0,0 +1,106 @@
+require('./helpers/config');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Expediente = require('../models/Expediente');
+const Firma = require('../models/Firma');
+const AuditLog = require('../models/AuditLog');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
+const { cargarEfirma, firmarCadena } = require('../utils/efirma');
+const { enMemoria } = require('./helpers/memoria');
+const { fixture, CONTRASENA, medico } = require('./helpers/efirma');
+
+enMemoria(Expediente);
+enMemoria(Firma);
+const auditoria = enMemoria(AuditLog);
+enMemoria(AuditCheckpoint);
+
+const efirma = cargarEfirma(fixture('efirma.cer'), fixture('efirma.key'), CONTRASENA);
+
+// Expediente guardado y firmado como lo hace el controlador (crearFirma)
+const expedienteFirmado = async () => {
+  const expediente = await Expediente.create({
+    paciente: new mongoose.Types.ObjectId(),
+    tipo: 'nota_evolucion',
+    contenido: {
+      fecha: new Date('2026-03-01T10:00:00Z'),
+      motivo: 'Control de hipertensión',
+      diagnostico: 'Hipertensión arterial controlada',
+      datosEspecificos: { presionArterial: '120/80' }
+    },
+    createdBy: medico._id
+  });
+
+  const fecha = new Date();
+  const { numeroSerie, emisor, sujeto, vigencia } = efirma.certificado.datos;
+  const cadenaOriginal = expediente.generarCadenaOriginal({ firmante: medico._id, numeroSerie, fecha });
+  const firma = await Firma.create({
+    expediente: expediente._id,
+    firmante: medico._id,
+    certificado: { numeroSerie, emisor, sujeto, vigencia, certificadoPublico: efirma.certificado.pem },
+    firma: {
+      algoritmo: efirma.algoritmo,
+      cadenaOriginal,
+      selloDigital: firmarCadena(cadenaOriginal, efirma.llave),
+      hashDocumento: expediente.documento.hash
+    },
+    timestamp: { fecha },
+    metadata: { proposito: 'nota_medica' }
+  });
+  return { expediente, firma };
+};
+
+describe('firma de expedientes', () => {
+  beforeEach(() => auditoria.limpiar());
+
+  it('verifica sello, vigencia, cadena, revocación e integridad', async () => {
+    const { expediente, firma } = await expedienteFirmado();
+    const resultado = await firma.verificarFirma(expediente);
+
+    assert.equal(resultado.valida, true, resultado.mensaje);
+    assert.deepEqual(
+      resultado.comprobaciones.map(({ tipo, exitosa }) => [tipo, exitosa]),
+      [['vigencia', true], ['estado', true], ['integridad', true], ['sello', true], ['cadena', true], ['revocacion', true]]
+    );
+  });
+
+  it('detecta el contenido modificado después de firmar', async () => {
+    const { expediente, firma } = await expedienteFirmado();
+    expediente.contenido.diagnostico = 'Hipertensión arterial descontrolada';
+
+    const resultado = await firma.verificarFirma(expediente);
+    assert.equal(resultado.valida, false);
+    assert.equal(resultado.mensaje, 'El contenido del documento no corresponde al firmado');
+  });
+
+  it('detecta un sello digital alterado', async () => {
+    const { expediente, firma } = await expedienteFirmado();
+    firma.firma.selloDigital = firmarCadena(`${firma.firma.cadenaOriginal}x`, efirma.llave);
+
+    const resultado = await firma.verificarFirma(expediente);
+    assert.equal(resultado.valida, false);
+    assert.equal(resultado.mensaje, 'Firma inválida');
+  });
+
+  it('revoca la firma con su motivo y lo audita', async () => {
+    const { expediente, firma } = await expedienteFirmado();
+    await firma.revocar(medico, 'Error en el diagnóstico registrado', { ip: '127.0.0.1' });
+
+    const guardada = await Firma.findById(firma._id);
+    assert.equal(guardada.estado, 'revocada');
+    assert.equal(guardada.revocacion.motivo, 'Error en el diagnóstico registrado');
+    assert.equal((await firma.verificarFirma(expediente)).mensaje, 'La firma ha sido revocada');
+
+    const [registro] = auditoria.registros;
+    assert.equal(registro.accion, 'revocar_firma');
+    assert.equal(registro.detalles.motivo, 'Error en el diagnóstico registrado');
+  });
+
+  it('no revoca una firma sin motivo', async () => {
+    const { firma } = await expedienteFirmado();
+    await assert.rejects(firma.revocar(medico, undefined, { ip: '127.0.0.1' }), mongoose.Error.ValidationError);
+
+    assert.equal((await Firma.findById(firma._id)).estado, 'valida');
+    assert.equal(auditoria.registros.length, 0);
+  });
+});
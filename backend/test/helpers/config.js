@@ -0,0 +1,41 @@
+const Module = require('module');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// config/config.js depende de cada instalación y no forma parte del repositorio: las pruebas
+// usan esta configuración, con llaves y directorios temporales. Se carga antes que los módulos
+// probados para que require('../config/config') resuelva a este archivo.
+
+const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'ehr-pruebas-'));
+process.on('exit', () => fs.rmSync(directorio, { recursive: true, force: true }));
+
+// Llave del servidor para los puntos de control y archivos de auditoría
+const llaveServidor = path.join(directorio, 'servidor.key');
+fs.writeFileSync(
+  llaveServidor,
+  crypto.generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' })
+);
+
+const config = {
+  env: 'test',
+  privateKeyPath: llaveServidor,
+  auditCheckpointInterval: 3,
+  auditRetentionDays: 90,
+  auditArchiveDir: path.join(directorio, 'auditoria'),
+  auditPhiKey: crypto.randomBytes(32).toString('hex'),
+  trustStoreDir: path.join(__dirname, '..', 'fixtures', 'almacen'),
+  crlDir: path.join(__dirname, '..', 'fixtures', 'crl')
+};
+
+const rutaConfig = path.join(__dirname, '..', '..', 'config', 'config');
+const resolverOriginal = Module._resolveFilename;
+Module._resolveFilename = function(solicitud, padre, ...resto) {
+  if (padre && padre.filename && path.resolve(path.dirname(padre.filename), solicitud) === rutaConfig) {
+    return __filename;
+  }
+  return resolverOriginal.call(this, solicitud, padre, ...resto);
+};
+
+module.exports = config;
@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+// e.firma de prueba: certificado emitido por test/fixtures/almacen/ac.crt para
+// MARIA LOPEZ PEREZ (RFC LOPM800101AB1, CURP LOPM800101MDFPRR09) y su llave PKCS#8 cifrada
+
+const fixture = (archivo) => fs.readFileSync(path.join(__dirname, '..', 'fixtures', archivo));
+
+const CONTRASENA = '12345678a';
+
+const medico = {
+  _id: new mongoose.Types.ObjectId(),
+  role: 'doctor',
+  rfc: 'LOPM800101AB1',
+  curp: 'LOPM800101MDFPRR09'
+};
+
+module.exports = {
+  fixture,
+  CONTRASENA,
+  medico
+};
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const sift = require('sift');
+
+const { BSON } = mongoose.mongo;
+
+// Persistencia en memoria para probar modelos sin un servidor de MongoDB. Reemplaza en el modelo
+// las operaciones que usan los modelos y utilidades probados; los documentos pasan por BSON al
+// guardarse y al leerse, como con la base de datos (ObjectId y fechas conservan su tipo).
+
+const clonar = (objeto) => BSON.deserialize(BSON.serialize(objeto, { ignoreUndefined: true }));
+
+// Valor comparable de un campo con notación de punto
+const valorOrden = (registro, campo) => {
+  const valor = campo.split('.').reduce((actual, parte) => (actual == null ? actual : actual[parte]), registro);
+  if (valor instanceof Date) return valor.getTime();
+  if (valor instanceof mongoose.Types.ObjectId) return valor.toHexString();
+  return valor;
+};
+
+// Los valores ausentes van primero en orden ascendente, como en MongoDB
+const comparar = (orden) => (a, b) => {
+  for (const [campo, direccion] of Object.entries(orden)) {
+    const [valorA, valorB] = [valorOrden(a, campo), valorOrden(b, campo)];
+    if (valorA === valorB) continue;
+    if (valorA == null) return -direccion;
+    if (valorB == null) return direccion;
+    return (valorA < valorB ? -1 : 1) * direccion;
+  }
+  return 0;
+};
+
+const enMemoria = (Modelo) => {
+  const registros = [];
+
+  const filtrar = (filtro = {}) => registros.filter(sift(filtro));
+
+  // Consulta encadenable: sort, select, populate, limit, skip, lean, cursor y await
+  const consulta = (filtro, { uno = false } = {}) => {
+    const opciones = { orden: null, limite: null, salto: 0, plano: false };
+    const resultados = () => {
+      let encontrados = filtrar(filtro);
+      if (opciones.orden) encontrados.sort(comparar(opciones.orden));
+      encontrados = encontrados.slice(opciones.salto, opciones.limite ? opciones.salto + opciones.limite : undefined);
+      const documentos = encontrados.map(registro =>
+        (opciones.plano ? clonar(registro) : Modelo.hydrate(clonar(registro))));
+      return uno ? documentos[0] || null : documentos;
+    };
+    const query = {
+      sort: (orden) => Object.assign(opciones, { orden }) && query,
+      select: () => query,
+      populate: () => query,
+      limit: (limite) => Object.assign(opciones, { limite }) && query,
+      skip: (salto) => Object.assign(opciones, { salto }) && query,
+      lean: () => Object.assign(opciones, { plano: true }) && query,
+      exec: async () => resultados(),
+      then: (resolver, rechazar) => query.exec().then(resolver, rechazar),
+      cursor: () => (async function* () {
+        yield* resultados();
+      })()
+    };
+    return query;
+  };
+
+  Modelo.find = (filtro) => consulta(filtro);
+  Modelo.findOne = (filtro) => consulta(filtro, { uno: true });
+  Modelo.findById = (id) => consulta({ _id: id }, { uno: true });
+  Modelo.countDocuments = async (filtro) => filtrar(filtro).length;
+  Modelo.deleteMany = async (filtro) => {
+    const borrar = new Set(filtrar(filtro));
+    const restantes = registros.filter(registro => !borrar.has(registro));
+    registros.splice(0, registros.length, ...restantes);
+    return { deletedCount: borrar.size };
+  };
+  Modelo.create = async (datos) => new Modelo(datos).save();
+
+  // Los middlewares pre('save') del esquema, incluida la validación, corren como al guardar
+  Modelo.prototype.save = async function() {
+    await new Promise((resolver, rechazar) =>
+      Modelo.hooks.execPre('save', this, [{}], error => (error ? rechazar(error) : resolver())));
+    const objeto = clonar(this.toObject({ depopulate: true }));
+    const indice = registros.findIndex(registro => registro._id.equals(this._id));
+    if (indice === -1) {
+      registros.push(objeto);
+    } else {
+      registros[indice] = objeto;
+    }
+    // Como después de guardar en la base de datos: el documento ya no tiene cambios pendientes
+    this.$__reset();
+    this.isNew = false;
+    return this;
+  };
+
+  // Colección no limitada (la prueba de una instalación anterior la reemplaza)
+  Modelo.collection.isCapped = async () => false;
+
+  return {
+    registros,
+    limpiar: () => registros.splice(0, registros.length)
+  };
+};
+
+module.exports = { enMemoria };
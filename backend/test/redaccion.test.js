@@ -0,0 +1,78 @@
+const config = require('./helpers/config');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { diferencias, redactar, revelarCambios } = require('../utils/redaccion');
+
+const paciente = {
+  nombre: 'María',
+  apellidoPaterno: 'López',
+  curp: 'LOPM800101MDFPRR09',
+  email: 'maria.lopez@example.com',
+  fechaNacimiento: '1980-01-01T00:00:00.000Z',
+  alergias: ['Penicilina'],
+  active: true
+};
+
+describe('redacción de datos sensibles en la auditoría', () => {
+  it('protege los campos sensibles y deja en claro los públicos', () => {
+    const cambios = redactar('Paciente', paciente);
+    const porRuta = Object.fromEntries(cambios.map(cambio => [cambio.ruta, cambio.nuevo]));
+
+    assert.equal(porRuta.active, true);
+    assert.equal(porRuta.nombre.mascara, 'M***');
+    assert.equal(porRuta.curp.mascara, '**************RR09');
+    assert.equal(porRuta.email.mascara, 'm***@example.com');
+    assert.equal(porRuta.fechaNacimiento.mascara, '1980-**-**');
+    assert.equal(porRuta['alergias.0'].mascara, undefined);
+
+    const serializado = JSON.stringify(cambios);
+    for (const valor of ['María', 'López', 'LOPM800101MDFPRR09', 'maria.lopez', 'Penicilina']) {
+      assert.ok(!serializado.includes(valor), `${valor} quedó en claro en la auditoría`);
+    }
+  });
+
+  it('registra solo los campos que cambiaron', () => {
+    const cambios = diferencias('Paciente', paciente, { ...paciente, email: 'mlopez@example.com', alergias: [] });
+
+    assert.deepEqual(cambios.map(({ ruta, operacion }) => [ruta, operacion]), [
+      ['alergias', 'agregado'],
+      ['alergias.0', 'eliminado'],
+      ['email', 'modificado']
+    ]);
+    const email = cambios.find(cambio => cambio.ruta === 'email');
+    assert.notEqual(email.anterior.hash, email.nuevo.hash);
+  });
+
+  it('revela los valores de las rutas solicitadas', () => {
+    const cambios = diferencias('Paciente', paciente, { ...paciente, nombre: 'Mariana', curp: 'LOPM800101MDFPRR10' });
+
+    assert.deepEqual(revelarCambios(cambios, ['nombre']), [
+      { ruta: 'nombre', operacion: 'modificado', anterior: 'María', nuevo: 'Mariana' }
+    ]);
+    assert.deepEqual(revelarCambios(cambios).map(cambio => cambio.ruta), ['curp', 'nombre']);
+  });
+
+  it('no revela un valor cifrado movido a otro campo', () => {
+    const cambios = redactar('Paciente', paciente);
+    const curp = cambios.find(cambio => cambio.ruta === 'curp');
+    const nombre = cambios.find(cambio => cambio.ruta === 'nombre');
+    nombre.nuevo = curp.nuevo;
+
+    assert.throws(() => revelarCambios([nombre]), /authenticate/);
+  });
+
+  it('no carga sin la llave de datos sensibles', (t) => {
+    const ruta = require.resolve('../utils/redaccion');
+    const llave = config.auditPhiKey;
+    t.after(() => {
+      config.auditPhiKey = llave;
+      delete require.cache[ruta];
+    });
+
+    for (const [valor, error] of [['', /AUDIT_PHI_KEY/], ['corta', /al menos 32 bytes/]]) {
+      config.auditPhiKey = valor;
+      delete require.cache[ruta];
+      assert.throws(() => require('../utils/redaccion'), error);
+    }
+  });
+});
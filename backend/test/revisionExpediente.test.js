@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const RevisionExpediente = require('../models/RevisionExpediente');
+const { enMemoria } = require('./helpers/memoria');
+
+const revisiones = enMemoria(RevisionExpediente);
+
+const autor = new mongoose.Types.ObjectId();
+
+const revision = () => new RevisionExpediente({
+  expediente: new mongoose.Types.ObjectId(),
+  version: 1,
+  contenido: { diagnostico: 'Hipertensión arterial controlada' },
+  hash: 'a'.repeat(64),
+  vigencia: { inicio: new Date('2026-03-01'), fin: new Date('2026-03-02') },
+  reemplazadaPor: autor
+});
+
+describe('revisiones de expediente', () => {
+  it('exige los datos de la versión conservada', async () => {
+    const incompleta = revision();
+    incompleta.vigencia.fin = undefined;
+    incompleta.reemplazadaPor = undefined;
+    await assert.rejects(incompleta.save(), (error) =>
+      error instanceof mongoose.Error.ValidationError &&
+      ['vigencia.fin', 'reemplazadaPor'].every(ruta => ruta in error.errors));
+  });
+
+  it('no permite modificar ni borrar una revisión guardada', async () => {
+    const guardada = await revision().save();
+    guardada.hash = 'b'.repeat(64);
+    await assert.rejects(guardada.save(), /no pueden ser modificadas/);
+
+    await assert.rejects(RevisionExpediente.updateOne({ _id: guardada._id }, { hash: 'c'.repeat(64) }), /no pueden ser modificadas/);
+    await assert.rejects(RevisionExpediente.deleteOne({ _id: guardada._id }), /no pueden ser modificadas/);
+    await assert.rejects(RevisionExpediente.findOneAndDelete({ _id: guardada._id }), /no pueden ser modificadas/);
+    assert.equal(revisiones.registros[0].hash, 'a'.repeat(64));
+  });
+});
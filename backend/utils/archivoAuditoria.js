@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const AuditArchivo = require('../models/AuditArchivo');
+const {
+  firmarConLlaveServidor,
+  verificarConLlaveServidor,
+  huellaLlaveServidor
+} = require('./llaveServidor');
+
+// Archivo de auditoría: los registros con más de AUDIT_RETENTION_DAYS días salen de la base de
+// datos a archivos JSON Lines comprimidos, firmados con la llave del servidor e indexados en
+// AuditArchivo. Los archivos no se borran: la NOM-004 exige conservar el expediente (y su
+// auditoría) al menos cinco años.
+
+// Registros por archivo
+const MAXIMO_POR_ARCHIVO = 100000;
+
+const directorioArchivos = () => config.auditArchiveDir || path.join('archivos', 'auditoria');
+const rutaArchivo = (archivo) => path.join(directorioArchivos(), path.basename(archivo));
+
+// Fecha antes de la cual los registros se archivan
+const fechaCorte = () => {
+  const dias = parseInt(config.auditRetentionDays, 10) || 90;
+  return new Date(Date.now() - dias * 24 * 60 * 60 * 1000);
+};
+
+// SHA-256 de un archivo leído por partes
+const hashArchivo = async (ruta) => {
+  const hash = crypto.createHash('sha256');
+  for await (const parte of fs.createReadStream(ruta)) {
+    hash.update(parte);
+  }
+  return hash.digest('hex');
+};
+
+// Registros de un archivo (objetos JSON: ObjectId y fechas quedan como texto)
+async function* leerArchivo(archivo) {
+  const lineas = readline.createInterface({
+    input: fs.createReadStream(rutaArchivo(archivo.archivo)).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity
+  });
+  for await (const linea of lineas) {
+    if (linea) yield JSON.parse(linea);
+  }
+}
+
+// Comprobar que el archivo no cambió desde que se firmó
+const verificarArchivo = async (archivo) => {
+  if (archivo.huellaLlave !== huellaLlaveServidor()) {
+    return { valida: false, mensaje: 'El archivo fue firmado con otra llave' };
+  }
+  if (!verificarConLlaveServidor(archivo.datosFirmados(), archivo.firma)) {
+    return { valida: false, mensaje: 'La firma del índice del archivo no es válida' };
+  }
+  const sha256 = await hashArchivo(rutaArchivo(archivo.archivo)).catch(() => null);
+  if (!sha256) {
+    return { valida: false, mensaje: 'No se encontró el archivo' };
+  }
+  if (sha256 !== archivo.sha256) {
+    return { valida: false, mensaje: 'El archivo fue modificado después de firmarse' };
+  }
+  return { valida: true, mensaje: 'Archivo íntegro' };
+};
+
+// Borrar de la base de datos lo que ya está archivado (si un archivado anterior se interrumpió
+// entre crear el índice y borrar los registros)
+const limpiarArchivados = async (AuditLog) => {
+  const ultimo = await AuditArchivo.findOne().sort({ fechaFin: -1 });
+  if (!ultimo) return;
+  if (ultimo.hastaSecuencia) {
+    await AuditLog.deleteMany({ secuencia: { $lte: ultimo.hastaSecuencia } });
+  }
+  await AuditLog.deleteMany({ secuencia: { $exists: false }, timestamp: { $lte: ultimo.fechaFin } });
+};
+
+// Escribir un archivo con los registros de la consulta y registrarlo en el índice
+const escribirArchivo = async (AuditLog, query, nombre) => {
+  const resumen = {
+    registros: 0,
+    usuarios: new Set(),
+    acciones: new Set(),
+    entidades: new Set(),
+    fechaInicio: null,
+    fechaFin: null,
+    desdeSecuencia: null,
+    hastaSecuencia: null,
+    hashAnterior: null,
+    hashUltimo: null
+  };
+
+  async function* lineas() {
+    const cursor = AuditLog.find(query).sort({ secuencia: 1, timestamp: 1 }).lean().cursor();
+    for await (const registro of cursor) {
+      resumen.registros++;
+      if (registro.usuario) resumen.usuarios.add(String(registro.usuario));
+      resumen.acciones.add(registro.accion);
+      resumen.entidades.add(registro.entidad && registro.entidad.tipo);
+      if (!resumen.fechaInicio || registro.timestamp < resumen.fechaInicio) resumen.fechaInicio = registro.timestamp;
+      if (!resumen.fechaFin || registro.timestamp > resumen.fechaFin) resumen.fechaFin = registro.timestamp;
+      if (registro.secuencia) {
+        if (resumen.desdeSecuencia === null) {
+          resumen.desdeSecuencia = registro.secuencia;
+          resumen.hashAnterior = registro.hashAnterior;
+        }
+        resumen.hastaSecuencia = registro.secuencia;
+        resumen.hashUltimo = registro.hash;
+      }
+      yield `${JSON.stringify(registro)}\n`;
+    }
+  }
+
+  // Se escribe con otro nombre y se renombra al terminar para no dejar archivos a medias
+  const ruta = rutaArchivo(nombre);
+  await fs.promises.mkdir(path.dirname(ruta), { recursive: true });
+  await pipeline(Readable.from(lineas()), zlib.createGzip(), fs.createWriteStream(`${ruta}.tmp`));
+  if (resumen.registros === 0) {
+    await fs.promises.unlink(`${ruta}.tmp`);
+    return null;
+  }
+  await fs.promises.rename(`${ruta}.tmp`, ruta);
+
+  const archivo = new AuditArchivo({
+    archivo: nombre,
+    desdeSecuencia: resumen.desdeSecuencia,
+    hastaSecuencia: resumen.hastaSecuencia,
+    hashAnterior: resumen.hashAnterior,
+    hashUltimo: resumen.hashUltimo,
+    fechaInicio: resumen.fechaInicio,
+    fechaFin: resumen.fechaFin,
+    registros: resumen.registros,
+    usuarios: [...resumen.usuarios],
+    acciones: [...resumen.acciones].filter(Boolean),
+    entidades: [...resumen.entidades].filter(Boolean),
+    sha256: await hashArchivo(ruta)
+  });
+  archivo.firma = firmarConLlaveServidor(archivo.datosFirmados());
+  archivo.huellaLlave = huellaLlaveServidor();
+
+  // Manifiesto firmado junto al archivo, para verificarlo fuera del sistema
+  await fs.promises.writeFile(`${ruta}.sig`, JSON.stringify({
+    datosFirmados: archivo.datosFirmados(),
+    firma: archivo.firma,
+    huellaLlave: archivo.huellaLlave
+  }, null, 2));
+
+  await archivo.save();
+  await AuditLog.deleteMany(query);
+  return archivo;
+};
+
+// Las instalaciones anteriores crearon la colección de auditoría limitada (capped), que no admite
+// borrados; quitar la opción del esquema no cambia una colección que ya existe
+// (isCapped falla si la colección todavía no existe)
+const esColeccionLimitada = (AuditLog) => AuditLog.collection.isCapped().catch(() => false);
+
+// Migración única para esas instalaciones: copia la colección a una sin límite y la reemplaza
+// Debe ejecutarse con el servidor detenido: lo que se registre durante la copia se perdería
+const migrarColeccionLimitada = async () => {
+  const AuditLog = mongoose.model('AuditLog');
+  if (!(await esColeccionLimitada(AuditLog))) {
+    return false;
+  }
+
+  const nombre = AuditLog.collection.collectionName;
+  const temporal = `${nombre}_sin_limite`;
+  await AuditLog.collection.aggregate([{ $out: temporal }]).toArray();
+
+  const [original, copia] = await Promise.all([
+    AuditLog.collection.countDocuments(),
+    AuditLog.db.collection(temporal).countDocuments()
+  ]);
+  if (original !== copia) {
+    throw new Error(`La copia de la auditoría está incompleta (${copia} de ${original} registros)`);
+  }
+
+  await AuditLog.db.db.renameCollection(temporal, nombre, { dropTarget: true });
+  // $out no copia los índices
+  await AuditLog.createIndexes();
+  return true;
+};
+
+// Archivar los registros anteriores a la fecha de corte; devuelve los archivos creados
+// El último registro encadenado siempre queda en la base de datos para continuar la cadena
+let enCurso = false;
+const archivarAuditoria = async ({ antesDe = fechaCorte() } = {}) => {
+  if (enCurso) {
+    throw new Error('Ya hay un archivado de auditoría en curso');
+  }
+  enCurso = true;
+  try {
+    const AuditLog = mongoose.model('AuditLog');
+    if (await esColeccionLimitada(AuditLog)) {
+      throw new Error('La colección de auditoría es limitada (capped) y no admite borrados; ' +
+        'ejecute migrarColeccionLimitada() con el servidor detenido antes de archivar');
+    }
+    await limpiarArchivados(AuditLog);
+    const archivos = [];
+
+    // Registros anteriores al encadenamiento
+    const legado = await escribirArchivo(
+      AuditLog,
+      { secuencia: { $exists: false }, timestamp: { $lt: antesDe } },
+      `auditoria_legado_${Date.now()}.jsonl.gz`
+    );
+    if (legado) archivos.push(legado);
+
+    const ultimo = await AuditLog.findOne({ secuencia: { $exists: true } }).sort({ secuencia: -1 }).select('secuencia');
+    const ultimoAntiguo = await AuditLog.findOne({ secuencia: { $exists: true }, timestamp: { $lt: antesDe } })
+      .sort({ secuencia: -1 })
+      .select('secuencia');
+    if (!ultimo || !ultimoAntiguo) {
+      return archivos;
+    }
+    const hasta = Math.min(ultimoAntiguo.secuencia, ultimo.secuencia - 1);
+
+    for (;;) {
+      const primero = await AuditLog.findOne({ secuencia: { $exists: true } }).sort({ secuencia: 1 }).select('secuencia');
+      if (!primero || primero.secuencia > hasta) break;
+      const fin = Math.min(hasta, primero.secuencia + MAXIMO_POR_ARCHIVO - 1);
+      const archivo = await escribirArchivo(
+        AuditLog,
+        { secuencia: { $gte: primero.secuencia, $lte: fin } },
+        `auditoria_${String(primero.secuencia).padStart(10, '0')}-${String(fin).padStart(10, '0')}.jsonl.gz`
+      );
+      if (!archivo) break;
+      archivos.push(archivo);
+    }
+
+    return archivos;
+  } finally {
+    enCurso = false;
+  }
+};
+
+// Valor de un campo con notación de punto ('entidad.tipo')
+const valorCampo = (registro, campo) =>
+  campo.split('.').reduce((valor, parte) => (valor === null || valor === undefined ? valor : valor[parte]), registro);
+
+// Evaluar sobre un registro archivado los filtros de consulta de getAuditLogs
+// (igualdad y, para timestamp, $gte/$lte)
+const coincideFiltros = (registro, filtros) =>
+  Object.entries(filtros).every(([campo, condicion]) => {
+    const valor = valorCampo(registro, campo);
+    if (campo === 'timestamp') {
+      const fecha = new Date(valor);
+      return (!condicion.$gte || fecha >= condicion.$gte) && (!condicion.$lte || fecha <= condicion.$lte);
+    }
+    return String(valor) === String(condicion);
+  });
+
+// Archivos que pueden contener registros con los filtros (del más reciente al más antiguo)
+const archivosFiltrados = (filtros) => AuditArchivo.buscar({
+    fechaInicio: filtros.timestamp && filtros.timestamp.$gte,
+    fechaFin: filtros.timestamp && filtros.timestamp.$lte,
+    usuario: filtros.usuario,
+    accion: filtros.accion,
+    entidadTipo: filtros['entidad.tipo']
+  });
+
+// Buscar registros archivados con los filtros de getAuditLogs, del más reciente al más antiguo
+// Se recorre cada archivo dos veces (contar y extraer) para no cargarlo completo en memoria
+const buscarEnArchivos = async (filtros, { skip = 0, limit = 50 } = {}) => {
+  const archivos = await archivosFiltrados(filtros);
+
+  const conteos = [];
+  for (const archivo of archivos) {
+    let coincidencias = 0;
+    for await (const registro of leerArchivo(archivo)) {
+      if (coincideFiltros(registro, filtros)) coincidencias++;
+    }
+    conteos.push(coincidencias);
+  }
+
+  // Los archivos van del más reciente al más antiguo y sus registros en orden cronológico
+  const registros = [];
+  let inicio = 0;
+  for (let indice = 0; indice < archivos.length && registros.length < limit; indice++) {
+    const total = conteos[indice];
+    if (inicio + total > skip && total > 0) {
+      const desde = Math.max(0, skip - inicio);
+      const hasta = Math.min(total, desde + limit - registros.length);
+      const pagina = [];
+      let posicion = 0;
+      for await (const registro of leerArchivo(archivos[indice])) {
+        if (!coincideFiltros(registro, filtros)) continue;
+        const descendente = total - 1 - posicion++;
+        if (descendente >= desde && descendente < hasta) {
+          pagina[descendente - desde] = { ...registro, archivado: true };
+        }
+      }
+      registros.push(...pagina);
+    }
+    inicio += total;
+  }
+
+  return {
+    total: conteos.reduce((suma, conteo) => suma + conteo, 0),
+    registros
+  };
+};
+
+// Registros archivados que cumplen los filtros, en orden cronológico
+async function* registrosArchivados(filtros) {
+  const archivos = await archivosFiltrados(filtros);
+  for (const archivo of archivos.reverse()) {
+    for await (const registro of leerArchivo(archivo)) {
+      if (coincideFiltros(registro, filtros)) {
+        yield { ...registro, archivado: true };
+      }
+    }
+  }
+}
+
+// Archivado periódico (AUDIT_ARCHIVE_INTERVAL_HOURS); no se inicia solo: el punto de entrada del
+// servidor debe llamarlo una vez, después de conectar a MongoDB (o usar POST /audit/archives)
+const programarArchivado = () => {
+  const horas = parseFloat(config.auditArchiveIntervalHours) || 24;
+  const temporizador = setInterval(() => {
+    archivarAuditoria().catch(error => {
+      console.error('Error al archivar la auditoría:', error);
+    });
+  }, horas * 60 * 60 * 1000);
+  temporizador.unref();
+  return temporizador;
+};
+
+module.exports = {
+  archivarAuditoria,
+  migrarColeccionLimitada,
+  programarArchivado,
+  leerArchivo,
+  verificarArchivo,
+  buscarEnArchivos,
+  registrosArchivados
+};
@@ -0,0 +1,298 @@
+// Utilidades mínimas de ASN.1 DER para CRLs, OCSP y sellos de tiempo
+
+// Etiquetas universales utilizadas
+const TAG = {
+  BOOLEAN: 0x01,
+  INTEGER: 0x02,
+  BIT_STRING: 0x03,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  ENUMERATED: 0x0a,
+  UTF8_STRING: 0x0c,
+  PRINTABLE_STRING: 0x13,
+  IA5_STRING: 0x16,
+  UTC_TIME: 0x17,
+  GENERALIZED_TIME: 0x18,
+  SEQUENCE: 0x30,
+  SET: 0x31
+};
+
+// Leer un nodo TLV (y sus hijos si es construido) a partir de una posición
+// El nodo debe caber completo antes de limite (el fin del buffer o del nodo padre)
+const leer = (buffer, inicio = 0, limite = buffer.length) => {
+  if (inicio + 2 > limite) {
+    throw new Error('Estructura ASN.1 truncada');
+  }
+  const tag = buffer[inicio];
+  let posicion = inicio + 1;
+  let longitud = buffer[posicion++];
+
+  if (longitud & 0x80) {
+    const bytes = longitud & 0x7f;
+    if (bytes === 0 || bytes > 4 || posicion + bytes > limite) {
+      throw new Error('Longitud ASN.1 inválida');
+    }
+    longitud = 0;
+    for (let i = 0; i < bytes; i++) {
+      longitud = longitud * 256 + buffer[posicion++];
+    }
+  }
+
+  const fin = posicion + longitud;
+  if (fin > limite) {
+    throw new Error('Estructura ASN.1 truncada');
+  }
+
+  const nodo = {
+    tag,
+    clase: tag >> 6,               // 0 universal, 2 específica de contexto
+    construido: (tag & 0x20) !== 0,
+    numero: tag & 0x1f,
+    contenido: buffer.subarray(posicion, fin),
+    raw: buffer.subarray(inicio, fin),
+    hijos: []
+  };
+
+  if (nodo.construido) {
+    let hijo = posicion;
+    while (hijo < fin) {
+      const nodoHijo = leer(buffer, hijo, fin);
+      nodo.hijos.push(nodoHijo);
+      hijo += nodoHijo.raw.length;
+    }
+  }
+
+  return nodo;
+};
+
+// Decodificar un DER completo
+const decodificar = (der) => leer(Buffer.isBuffer(der) ? der : Buffer.from(der), 0);
+
+// Buscar el hijo con etiqueta específica de contexto [n]
+const contexto = (nodo, numero) =>
+  nodo.hijos.find(hijo => hijo.clase === 2 && hijo.numero === numero);
+
+// Decodificadores de valores primitivos
+const aOid = (nodo) => {
+  const bytes = nodo.contenido;
+  const partes = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+  let valor = 0;
+  for (let i = 1; i < bytes.length; i++) {
+    valor = valor * 128 + (bytes[i] & 0x7f);
+    if (!(bytes[i] & 0x80)) {
+      partes.push(valor);
+      valor = 0;
+    }
+  }
+  return partes.join('.');
+};
+
+const aEnteroHex = (nodo) => {
+  let bytes = nodo.contenido;
+  while (bytes.length > 1 && bytes[0] === 0) {
+    bytes = bytes.subarray(1);
+  }
+  return bytes.toString('hex').toUpperCase();
+};
+
+const aEntero = (nodo) => parseInt(nodo.contenido.toString('hex') || '0', 16);
+
+const aFecha = (nodo) => {
+  const texto = nodo.contenido.toString('ascii');
+  if (nodo.tag === TAG.UTC_TIME) {
+    // AAMMDDhhmmssZ (años 50-99 => 19xx)
+    const anio = parseInt(texto.slice(0, 2), 10);
+    return aFechaISO(`${anio >= 50 ? '19' : '20'}${texto}`);
+  }
+  return aFechaISO(texto);
+};
+
+// AAAAMMDDhhmmss[.fff]Z => Date
+const aFechaISO = (texto) => {
+  const [, a, m, d, h, mi, s, fraccion] =
+    texto.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\.\d+)?Z$/) || [];
+  if (!a) {
+    throw new Error(`Fecha ASN.1 no soportada: ${texto}`);
+  }
+  return new Date(`${a}-${m}-${d}T${h}:${mi}:${s}${fraccion || ''}Z`);
+};
+
+// Contenido de un BIT STRING sin el byte de bits no usados
+const aBits = (nodo) => nodo.contenido.subarray(1);
+
+// Codificadores
+const codificarLongitud = (longitud) => {
+  if (longitud < 0x80) {
+    return Buffer.from([longitud]);
+  }
+  const bytes = [];
+  while (longitud > 0) {
+    bytes.unshift(longitud & 0xff);
+    longitud = Math.floor(longitud / 256);
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+};
+
+const codificar = (tag, ...contenidos) => {
+  const contenido = Buffer.concat(contenidos);
+  return Buffer.concat([Buffer.from([tag]), codificarLongitud(contenido.length), contenido]);
+};
+
+const secuencia = (...elementos) => codificar(TAG.SEQUENCE, ...elementos);
+const conjunto = (...elementos) => codificar(TAG.SET, ...elementos);
+const octetos = (buffer) => codificar(TAG.OCTET_STRING, buffer);
+const nulo = () => codificar(TAG.NULL);
+const booleano = (valor) => codificar(TAG.BOOLEAN, Buffer.from([valor ? 0xff : 0x00]));
+const bits = (buffer) => codificar(TAG.BIT_STRING, Buffer.from([0]), buffer);
+const explicito = (numero, ...elementos) => codificar(0xa0 | numero, ...elementos);
+
+// SET OF en DER: los elementos deben ir ordenados por su codificación
+const conjuntoOrdenado = (...elementos) =>
+  conjunto(...[...elementos].sort(Buffer.compare));
+
+const entero = (valor) => {
+  let bytes;
+  if (Buffer.isBuffer(valor)) {
+    bytes = valor;
+  } else {
+    let hex = BigInt(valor).toString(16);
+    if (hex.length % 2) hex = `0${hex}`;
+    bytes = Buffer.from(hex, 'hex');
+  }
+  // Quitar ceros iniciales redundantes y evitar que se interprete como negativo
+  while (bytes.length > 1 && bytes[0] === 0 && !(bytes[1] & 0x80)) {
+    bytes = bytes.subarray(1);
+  }
+  if (bytes[0] & 0x80) {
+    bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  }
+  return codificar(TAG.INTEGER, bytes);
+};
+
+const oid = (texto) => {
+  const partes = texto.split('.').map(Number);
+  const bytes = [partes[0] * 40 + partes[1]];
+  for (const parte of partes.slice(2)) {
+    const grupo = [parte & 0x7f];
+    let valor = Math.floor(parte / 128);
+    while (valor > 0) {
+      grupo.unshift((valor & 0x7f) | 0x80);
+      valor = Math.floor(valor / 128);
+    }
+    bytes.push(...grupo);
+  }
+  return codificar(TAG.OID, Buffer.from(bytes));
+};
+
+const fechaGeneralizada = (fecha) => {
+  const texto = fecha.toISOString().replace(/[-:T]/g, '').replace(/\.\d+Z$/, 'Z');
+  return codificar(TAG.GENERALIZED_TIME, Buffer.from(texto, 'ascii'));
+};
+
+// AlgorithmIdentifier { algorithm, parameters NULL }
+const algoritmo = (identificador, conParametros = true) =>
+  conParametros ? secuencia(oid(identificador), nulo()) : secuencia(oid(identificador));
+
+// Identificadores de objeto utilizados
+const OID = {
+  sha1: '1.3.14.3.2.26',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  sha384: '2.16.840.1.101.3.4.2.2',
+  sha512: '2.16.840.1.101.3.4.2.3',
+  rsaEncryption: '1.2.840.113549.1.1.1',
+  sha1WithRSAEncryption: '1.2.840.113549.1.1.5',
+  sha256WithRSAEncryption: '1.2.840.113549.1.1.11',
+  sha384WithRSAEncryption: '1.2.840.113549.1.1.12',
+  sha512WithRSAEncryption: '1.2.840.113549.1.1.13',
+  ecdsaWithSHA256: '1.2.840.10045.4.3.2',
+  ecdsaWithSHA384: '1.2.840.10045.4.3.3',
+  ecdsaWithSHA512: '1.2.840.10045.4.3.4',
+  crlReason: '2.5.29.21',
+  ocspBasic: '1.3.6.1.5.5.7.48.1.1',
+  ocspNonce: '1.3.6.1.5.5.7.48.1.2',
+  keyUsage: '2.5.29.15',
+  extKeyUsage: '2.5.29.37',
+  timeStamping: '1.3.6.1.5.5.7.3.8'
+};
+
+// Algoritmo de hash de Node según el OID del algoritmo de firma o de hash
+const HASH_POR_OID = {
+  [OID.sha1]: 'sha1',
+  [OID.sha256]: 'sha256',
+  [OID.sha384]: 'sha384',
+  [OID.sha512]: 'sha512',
+  [OID.sha1WithRSAEncryption]: 'sha1',
+  [OID.sha256WithRSAEncryption]: 'sha256',
+  [OID.sha384WithRSAEncryption]: 'sha384',
+  [OID.sha512WithRSAEncryption]: 'sha512',
+  [OID.ecdsaWithSHA256]: 'sha256',
+  [OID.ecdsaWithSHA384]: 'sha384',
+  [OID.ecdsaWithSHA512]: 'sha512'
+};
+
+const hashDeAlgoritmo = (nodoAlgoritmo) => {
+  const identificador = aOid(nodoAlgoritmo.hijos[0]);
+  const hash = HASH_POR_OID[identificador];
+  if (!hash) {
+    throw new Error(`Algoritmo no soportado: ${identificador}`);
+  }
+  return hash;
+};
+
+// Partes de un certificado X.509 que no expone crypto.X509Certificate
+const partesCertificado = (der) => {
+  const tbs = decodificar(der).hijos[0];
+  // Si existe la versión explícita [0], los campos se desplazan una posición
+  const desplazamiento = contexto(tbs, 0) ? 1 : 0;
+  const spki = tbs.hijos[desplazamiento + 5];
+  return {
+    numeroSerie: tbs.hijos[desplazamiento],
+    emisor: tbs.hijos[desplazamiento + 2].raw,
+    sujeto: tbs.hijos[desplazamiento + 4].raw,
+    llavePublica: aBits(spki.hijos[1])
+  };
+};
+
+// Extensiones de un certificado X.509: Map de OID a { critica, valor } (valor = DER del extnValue)
+const extensionesCertificado = (der) => {
+  const tbs = decodificar(der).hijos[0];
+  const extensiones = new Map();
+  const nodo = contexto(tbs, 3);
+  if (!nodo || !nodo.hijos[0]) return extensiones;
+
+  for (const extension of nodo.hijos[0].hijos) {
+    const [identificador, ...resto] = extension.hijos;
+    const critica = resto.length > 1 && resto[0].tag === TAG.BOOLEAN && resto[0].contenido[0] !== 0;
+    extensiones.set(aOid(identificador), { critica, valor: resto[resto.length - 1].contenido });
+  }
+  return extensiones;
+};
+
+module.exports = {
+  TAG,
+  OID,
+  decodificar,
+  contexto,
+  aOid,
+  aEntero,
+  aEnteroHex,
+  aFecha,
+  aBits,
+  codificar,
+  secuencia,
+  conjunto,
+  conjuntoOrdenado,
+  octetos,
+  nulo,
+  booleano,
+  bits,
+  explicito,
+  entero,
+  oid,
+  fechaGeneralizada,
+  algoritmo,
+  hashDeAlgoritmo,
+  partesCertificado,
+  extensionesCertificado
+};
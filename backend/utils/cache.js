@@ -0,0 +1,43 @@
+// Caché en memoria con vencimiento para resultados costosos (p. ej. respuestas OCSP o
+// estadísticas de tableros)
+// Es local a cada proceso: con varias instancias cada una calcula y guarda sus propios valores
+
+const crearCache = ({ ttlMs, maximo = 100 } = {}) => {
+  const entradas = new Map();
+
+  const vigente = (entrada) => entrada && entrada.expira > Date.now();
+
+  // Devuelve el valor guardado o lo calcula; las solicitudes simultáneas de la misma clave
+  // comparten el cálculo en curso y un cálculo fallido no se guarda
+  const obtener = (clave, calcular, { actualizar = false } = {}) => {
+    const entrada = entradas.get(clave);
+    if (!actualizar && vigente(entrada)) {
+      return entrada.valor;
+    }
+
+    const valor = Promise.resolve()
+      .then(calcular)
+      .catch((error) => {
+        if (entradas.get(clave) && entradas.get(clave).valor === valor) {
+          entradas.delete(clave);
+        }
+        throw error;
+      });
+
+    // Map conserva el orden de inserción: se descarta la entrada más antigua
+    entradas.delete(clave);
+    if (entradas.size >= maximo) {
+      entradas.delete(entradas.keys().next().value);
+    }
+    entradas.set(clave, { valor, expira: Date.now() + ttlMs });
+    return valor;
+  };
+
+  const limpiar = () => entradas.clear();
+
+  return { obtener, limpiar };
+};
+
+module.exports = {
+  crearCache
+};
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+
+// Serialización canónica del contenido clínico para hash y firma
+//
+// Versiones de la serialización (documento.versionCanonica):
+//   1 - JSON.stringify del contenido tal como lo entrega Mongoose (documentos anteriores;
+//       depende del orden de las llaves, solo se conserva para verificarlos)
+//   2 - JSON canónico según RFC 8785 (JCS): llaves ordenadas por unidades UTF-16,
+//       sin espacios, números y cadenas con la serialización de ECMAScript
+//
+// Antes de canonicalizar, los tipos de Mongoose/BSON se convierten a JSON:
+//   Date => ISO 8601 en UTC, ObjectId => hexadecimal, Buffer => base64,
+//   Decimal128 => texto, Map => objeto; las propiedades undefined se omiten
+const VERSION_CANONICA = 2;
+const VERSIONES_CANONICAS = [1, 2];
+
+// Convertir un valor de Mongoose/BSON a un valor JSON simple
+const normalizar = (valor) => {
+  if (valor === null || valor === undefined) return valor;
+  if (valor instanceof Date) return valor.toISOString();
+  if (Buffer.isBuffer(valor)) return valor.toString('base64');
+  if (valor instanceof Map) return normalizar(Object.fromEntries(valor));
+  if (Array.isArray(valor)) return valor.map(elemento => normalizar(elemento));
+
+  if (typeof valor === 'object') {
+    // ObjectId y Decimal128 (BSON)
+    if (valor._bsontype === 'ObjectId' || valor._bsontype === 'ObjectID') return valor.toHexString();
+    if (valor._bsontype === 'Decimal128') return valor.toString();
+    // Subdocumentos y objetos anidados de Mongoose
+    if (typeof valor.toObject === 'function') return normalizar(valor.toObject());
+
+    const objeto = {};
+    for (const [llave, elemento] of Object.entries(valor)) {
+      if (elemento !== undefined && typeof elemento !== 'function') {
+        objeto[llave] = normalizar(elemento);
+      }
+    }
+    return objeto;
+  }
+
+  return valor;
+};
+
+// Serializar un valor JSON según RFC 8785
+const serializar = (valor) => {
+  if (valor === null) return 'null';
+
+  switch (typeof valor) {
+    case 'boolean':
+      return valor ? 'true' : 'false';
+    case 'number':
+      if (!Number.isFinite(valor)) {
+        throw new Error('JSON canónico no admite NaN ni Infinity');
+      }
+      // ECMAScript Number.prototype.toString, como exige la RFC 8785
+      return JSON.stringify(valor);
+    case 'string':
+      return JSON.stringify(valor);
+    case 'object':
+      if (Array.isArray(valor)) {
+        return `[${valor.map(elemento => serializar(elemento === undefined ? null : elemento)).join(',')}]`;
+      }
+      return `{${Object.keys(valor)
+        .filter(llave => valor[llave] !== undefined)
+        .sort()
+        .map(llave => `${JSON.stringify(llave)}:${serializar(valor[llave])}`)
+        .join(',')}}`;
+    default:
+      throw new Error(`Tipo no serializable en JSON canónico: ${typeof valor}`);
+  }
+};
+
+// JSON canónico (RFC 8785) de un valor que puede contener tipos de Mongoose
+const canonicalizar = (valor) => serializar(normalizar(valor));
+
+// Serialización del contenido según la versión indicada
+const serializarContenido = (contenido, version = VERSION_CANONICA) => {
+  if (version === 1) {
+    return JSON.stringify(contenido);
+  }
+  if (version === 2) {
+    return canonicalizar(contenido);
+  }
+  throw new Error(`Versión de serialización canónica no soportada: ${version}`);
+};
+
+// Hash SHA-256 (hex) del contenido según la versión indicada
+const hashContenido = (contenido, version = VERSION_CANONICA) =>
+  crypto
+    .createHash('sha256')
+    .update(serializarContenido(contenido, version), 'utf8')
+    .digest('hex');
+
+// Versión del formato de la cadena original que se firma
+//   1.0 - ||1.0|expediente|tipo|paciente|fecha|version|addenda|hash|firmante|serie|fechaFirma||
+//   1.1 - agrega el rol del firmante después del firmante
+//   2.0 - agrega la versión de serialización canónica después del hash
+const VERSION_CADENA = '2.0';
+
+// Cadena original estilo SAT: ||campo1|campo2|...||
+// En cada campo, | se reemplaza por / y los espacios consecutivos se reducen a uno
+const construirCadena = (campos) => {
+  const normalizados = campos.map(campo =>
+    String(campo === undefined || campo === null ? '' : campo)
+      .replace(/\|/g, '/')
+      .replace(/\s+/g, ' ')
+      .trim()
+  );
+  return `||${normalizados.join('|')}||`;
+};
+
+module.exports = {
+  VERSION_CADENA,
+  VERSION_CANONICA,
+  VERSIONES_CANONICAS,
+  canonicalizar,
+  serializarContenido,
+  hashContenido,
+  construirCadena
+};
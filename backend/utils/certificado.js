@@ -0,0 +1,89 @@
+const { AppError } = require('../middlewares/errorHandler');
+
+// Atributos del nombre distinguido (DN) que se conservan en Firma.certificado
+const ATRIBUTOS_EMISOR = {
+  CN: 'nombreComun',
+  O: 'organizacion',
+  OU: 'unidad',
+  C: 'pais'
+};
+
+// Convertir el DN que entrega X509Certificate ("CN=...\nO=...") a objeto
+const parsearNombre = (dn) => {
+  const atributos = {};
+  for (const linea of dn.split('\n')) {
+    const separador = linea.indexOf('=');
+    if (separador === -1) continue;
+    const clave = linea.slice(0, separador).trim();
+    const valor = linea.slice(separador + 1).replace(/\\(.)/g, '$1').trim();
+    // Si un atributo se repite se conserva el primero
+    if (!(clave in atributos)) {
+      atributos[clave] = valor;
+    }
+  }
+  return atributos;
+};
+
+// El SAT codifica el número de certificado (20 dígitos) como ASCII en el serial
+const numeroSerieSAT = (serialHex) => {
+  const hex = serialHex.length % 2 === 0 ? serialHex : `0${serialHex}`;
+  const texto = Buffer.from(hex, 'hex').toString('latin1');
+  return /^[0-9]+$/.test(texto) ? texto : serialHex.toUpperCase();
+};
+
+// Primer valor de un atributo SAT con formato "TITULAR / REPRESENTANTE"
+const primerValor = (valor) => {
+  if (!valor) return undefined;
+  const titular = valor.split('/')[0].trim().toUpperCase();
+  return titular || undefined;
+};
+
+// Extraer los datos de un certificado X.509 (crypto.X509Certificate)
+const parsearCertificado = (x509) => {
+  const emisorDN = parsearNombre(x509.issuer);
+  const sujetoDN = parsearNombre(x509.subject);
+
+  const emisor = {};
+  for (const [clave, campo] of Object.entries(ATRIBUTOS_EMISOR)) {
+    if (emisorDN[clave]) emisor[campo] = emisorDN[clave];
+  }
+
+  return {
+    numeroSerie: numeroSerieSAT(x509.serialNumber),
+    emisor,
+    sujeto: {
+      nombre: sujetoDN.CN || sujetoDN.name,
+      // e.firma: x500UniqueIdentifier = "RFC / RFC representante", serialNumber = "CURP / CURP representante"
+      rfc: primerValor(sujetoDN.x500UniqueIdentifier),
+      curp: primerValor(sujetoDN.serialNumber)
+    },
+    vigencia: {
+      inicio: new Date(x509.validFrom),
+      fin: new Date(x509.validTo)
+    }
+  };
+};
+
+// Validar que el certificado pertenezca al usuario y esté vigente al momento de firmar
+const validarTitular = (datos, usuario, fecha = new Date()) => {
+  if (fecha < datos.vigencia.inicio || fecha > datos.vigencia.fin) {
+    throw new AppError('El certificado no está vigente', 400, 'EFIRMA_CERTIFICADO_NO_VIGENTE');
+  }
+
+  const rfc = usuario.rfc && usuario.rfc.toUpperCase();
+  const curp = usuario.curp && usuario.curp.toUpperCase();
+
+  if (!rfc && !curp) {
+    throw new AppError('El usuario no tiene RFC ni CURP registrados para validar su e.firma', 400, 'EFIRMA_SIN_IDENTIDAD');
+  }
+
+  if ((rfc && datos.sujeto.rfc !== rfc) || (curp && datos.sujeto.curp !== curp)) {
+    throw new AppError('El certificado no corresponde al RFC/CURP registrado del firmante', 403, 'EFIRMA_TITULAR_INVALIDO');
+  }
+};
+
+module.exports = {
+  parsearNombre,
+  parsearCertificado,
+  validarTitular
+};
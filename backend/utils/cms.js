@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const asn1 = require('./asn1');
+
+// Firma CMS (RFC 5652) separada con los atributos de CAdES-BES que exige PAdES:
+// contentType, messageDigest y signingCertificateV2; el sello de tiempo va como atributo no firmado
+
+const OID_DATA = '1.2.840.113549.1.7.1';
+const OID_SIGNED_DATA = '1.2.840.113549.1.7.2';
+const OID_CONTENT_TYPE = '1.2.840.113549.1.9.3';
+const OID_MESSAGE_DIGEST = '1.2.840.113549.1.9.4';
+const OID_SIGNING_CERTIFICATE_V2 = '1.2.840.113549.1.9.16.2.47';
+const OID_SIGNATURE_TIMESTAMP = '1.2.840.113549.1.9.16.2.14';
+
+// Algoritmo de firma CMS según el algoritmo de la e.firma (utils/efirma)
+const ALGORITMOS_FIRMA = {
+  'RSA-SHA256': () => asn1.algoritmo(asn1.OID.sha256WithRSAEncryption),
+  'ECDSA-P256-SHA256': () => asn1.algoritmo(asn1.OID.ecdsaWithSHA256, false)
+};
+
+// Attribute { attrType, attrValues SET }
+const atributo = (identificador, ...valores) =>
+  asn1.secuencia(asn1.oid(identificador), asn1.conjuntoOrdenado(...valores));
+
+// SigningCertificateV2 { certs SEQUENCE OF ESSCertIDv2 } (RFC 5035); hashAlgorithm por omisión SHA-256
+const certificadoFirmante = (certificado) => {
+  const partes = asn1.partesCertificado(certificado.raw);
+  const issuerSerial = asn1.secuencia(
+    asn1.secuencia(asn1.explicito(4, partes.emisor)),   // GeneralNames { directoryName }
+    partes.numeroSerie.raw
+  );
+  return asn1.secuencia(asn1.secuencia(asn1.secuencia(
+    asn1.octetos(crypto.createHash('sha256').update(certificado.raw).digest()),
+    issuerSerial
+  )));
+};
+
+// Cambiar la etiqueta SET OF por [n] IMPLICIT
+const implicito = (numero, conjuntoDer) =>
+  Buffer.concat([Buffer.from([0xa0 | numero]), conjuntoDer.subarray(1)]);
+
+// Crear la firma CMS separada (ContentInfo DER) de los datos
+// obtenerSelloTiempo(firma) puede devolver un token RFC 3161 sobre el valor de la firma, o null
+const firmarCMS = async (datos, { certificado, cadena = [], llave, algoritmo, obtenerSelloTiempo = null }) => {
+  if (!ALGORITMOS_FIRMA[algoritmo]) {
+    throw new Error(`Algoritmo de firma no soportado: ${algoritmo}`);
+  }
+
+  const digest = crypto.createHash('sha256').update(datos).digest();
+  const atributosFirmados = asn1.conjuntoOrdenado(
+    atributo(OID_CONTENT_TYPE, asn1.oid(OID_DATA)),
+    atributo(OID_MESSAGE_DIGEST, asn1.octetos(digest)),
+    atributo(OID_SIGNING_CERTIFICATE_V2, certificadoFirmante(certificado))
+  );
+
+  // Los atributos firmados se firman codificados como SET OF
+  const firma = crypto.sign('sha256', atributosFirmados, llave);
+  const selloTiempo = obtenerSelloTiempo ? await obtenerSelloTiempo(firma) : null;
+
+  const partes = asn1.partesCertificado(certificado.raw);
+  const signerInfo = asn1.secuencia(
+    asn1.entero(1),
+    asn1.secuencia(partes.emisor, partes.numeroSerie.raw),   // IssuerAndSerialNumber
+    asn1.algoritmo(asn1.OID.sha256),
+    implicito(0, atributosFirmados),
+    ALGORITMOS_FIRMA[algoritmo](),
+    asn1.octetos(firma),
+    ...(selloTiempo
+      ? [implicito(1, asn1.conjunto(atributo(OID_SIGNATURE_TIMESTAMP, selloTiempo)))]
+      : [])
+  );
+
+  const signedData = asn1.secuencia(
+    asn1.entero(1),
+    asn1.conjunto(asn1.algoritmo(asn1.OID.sha256)),
+    asn1.secuencia(asn1.oid(OID_DATA)),                       // contenido separado
+    implicito(0, asn1.conjunto(certificado.raw, ...cadena.map(ca => ca.raw))),
+    asn1.conjunto(signerInfo)
+  );
+
+  return {
+    cms: asn1.secuencia(asn1.oid(OID_SIGNED_DATA), asn1.explicito(0, signedData)),
+    selloTiempo
+  };
+};
+
+module.exports = {
+  firmarCMS
+};
@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const asn1 = require('./asn1');
+const { consultarOCSP } = require('./ocsp');
+const { crearCache } = require('./cache');
+
+// Motivos de revocación (RFC 5280, CRLReason)
+const MOTIVOS_REVOCACION = [
+  'no_especificado',
+  'llave_comprometida',
+  'ca_comprometida',
+  'cambio_afiliacion',
+  'reemplazado',
+  'cese_operaciones',
+  'certificado_suspendido',
+  null,
+  'eliminado_de_crl',
+  'privilegio_retirado',
+  'aa_comprometida'
+];
+
+// Respuestas OCSP por certificado durante OCSP_CACHE_MINUTES: la verificación pública no
+// debe generar una consulta al responder por cada solicitud
+const respuestasOCSP = crearCache({
+  ttlMs: (parseFloat(config.ocspCacheMinutes) || 10) * 60 * 1000,
+  maximo: 1000
+});
+
+// Almacén de confianza y CRLs en memoria (se cargan una vez desde disco)
+let almacen = null;
+let crls = null;
+
+// Leer los archivos de un directorio (si está configurado y existe)
+const leerDirectorio = (directorio) => {
+  if (!directorio || !fs.existsSync(directorio)) {
+    return [];
+  }
+  return fs.readdirSync(directorio)
+    .map(nombre => path.join(directorio, nombre))
+    .filter(archivo => fs.statSync(archivo).isFile())
+    .map(archivo => ({ archivo, contenido: fs.readFileSync(archivo) }));
+};
+
+// Separar un archivo PEM con varios bloques del tipo indicado
+const bloquesPem = (contenido, etiqueta) => {
+  const texto = contenido.toString('utf8');
+  const patron = new RegExp(`-----BEGIN ${etiqueta}-----[\\s\\S]+?-----END ${etiqueta}-----`, 'g');
+  return texto.match(patron) || [];
+};
+
+const pemADer = (pem) => Buffer.from(
+  pem.replace(/-----(BEGIN|END) [^-]+-----/g, '').replace(/\s+/g, ''),
+  'base64'
+);
+
+// Cargar los certificados de las autoridades certificadoras de confianza
+const cargarAlmacen = () => {
+  if (almacen) return almacen;
+
+  almacen = [];
+  for (const { archivo, contenido } of leerDirectorio(config.trustStoreDir)) {
+    const bloques = bloquesPem(contenido, 'CERTIFICATE');
+    const certificados = bloques.length > 0 ? bloques : [contenido];
+    for (const certificado of certificados) {
+      try {
+        almacen.push(new crypto.X509Certificate(certificado));
+      } catch (error) {
+        console.error(`Certificado de confianza inválido en ${archivo}:`, error.message);
+      }
+    }
+  }
+  return almacen;
+};
+
+// Interpretar una CRL (CertificateList, RFC 5280)
+const parsearCRL = (der, archivo) => {
+  const certificateList = asn1.decodificar(der);
+  const [tbs, algoritmoFirma, firma] = certificateList.hijos;
+
+  // TBSCertList: version?, signature, issuer, thisUpdate, nextUpdate?, revokedCertificates?, [0] extensions?
+  let i = tbs.hijos[0].tag === asn1.TAG.INTEGER ? 1 : 0;
+  i++; // signature
+  const emisor = tbs.hijos[i++].raw;
+  const emitida = asn1.aFecha(tbs.hijos[i++]);
+  let siguiente = null;
+  const fechaSiguiente = tbs.hijos[i];
+  if (fechaSiguiente && [asn1.TAG.UTC_TIME, asn1.TAG.GENERALIZED_TIME].includes(fechaSiguiente.tag)) {
+    siguiente = asn1.aFecha(fechaSiguiente);
+    i++;
+  }
+
+  const revocados = new Map();
+  const lista = tbs.hijos[i];
+  if (lista && lista.tag === asn1.TAG.SEQUENCE) {
+    for (const entrada of lista.hijos) {
+      const [serie, fecha, extensiones] = entrada.hijos;
+      let motivo = MOTIVOS_REVOCACION[0];
+      if (extensiones) {
+        const razon = extensiones.hijos.find(ext => asn1.aOid(ext.hijos[0]) === asn1.OID.crlReason);
+        if (razon) {
+          const valor = asn1.decodificar(razon.hijos[razon.hijos.length - 1].contenido);
+          motivo = MOTIVOS_REVOCACION[asn1.aEntero(valor)] || motivo;
+        }
+      }
+      revocados.set(asn1.aEnteroHex(serie), { fecha: asn1.aFecha(fecha), motivo });
+    }
+  }
+
+  return {
+    archivo,
+    emisor,
+    emitida,
+    siguiente,
+    revocados,
+    tbs: tbs.raw,
+    hash: asn1.hashDeAlgoritmo(algoritmoFirma),
+    firma: asn1.aBits(firma)
+  };
+};
+
+// Cargar las CRLs locales (PEM o DER)
+const cargarCRLs = () => {
+  if (crls) return crls;
+
+  crls = [];
+  for (const { archivo, contenido } of leerDirectorio(config.crlDir)) {
+    const bloques = bloquesPem(contenido, 'X509 CRL');
+    const ders = bloques.length > 0 ? bloques.map(pemADer) : [contenido];
+    for (const der of ders) {
+      try {
+        crls.push(parsearCRL(der, path.basename(archivo)));
+      } catch (error) {
+        console.error(`CRL inválida en ${archivo}:`, error.message);
+      }
+    }
+  }
+  return crls;
+};
+
+// Descartar el almacén, las CRLs y las respuestas OCSP en memoria (p. ej. al actualizar los archivos)
+const recargar = () => {
+  almacen = null;
+  crls = null;
+  respuestasOCSP.limpiar();
+};
+
+// Datos resumidos de un certificado para el resultado de verificación
+const resumen = (x509) => ({
+  sujeto: x509.subject.replace(/\n/g, ', '),
+  emisor: x509.issuer.replace(/\n/g, ', '),
+  numeroSerie: x509.serialNumber,
+  vigencia: {
+    inicio: new Date(x509.validFrom),
+    fin: new Date(x509.validTo)
+  }
+});
+
+const esAutofirmado = (x509) =>
+  x509.checkIssued(x509) && x509.verify(x509.publicKey);
+
+// Solo una CA emite certificados: basicConstraints cA=TRUE y, si tiene keyUsage, keyCertSign
+const esAutoridad = (x509) => {
+  if (!x509.ca) return false;
+  const usoLlave = asn1.extensionesCertificado(x509.raw).get(asn1.OID.keyUsage);
+  if (!usoLlave) return true;
+  const bitsUso = asn1.aBits(asn1.decodificar(usoLlave.valor));
+  return Boolean(bitsUso[0] & 0x04);
+};
+
+const vigenteEn = (x509, fecha) =>
+  fecha >= new Date(x509.validFrom) && fecha <= new Date(x509.validTo);
+
+// Construir y validar la cadena de certificación hasta una CA raíz de confianza
+const verificarCadena = (certificado, fecha = new Date()) => {
+  const confiables = cargarAlmacen();
+  const cadena = [certificado];
+
+  if (confiables.length === 0) {
+    return {
+      estado: 'no_verificada',
+      mensaje: 'No hay autoridades certificadoras de confianza configuradas',
+      certificados: cadena.map(resumen)
+    };
+  }
+
+  let actual = certificado;
+  for (let nivel = 0; nivel < 10; nivel++) {
+    const emisor = confiables.find(ca => actual.checkIssued(ca) && actual.verify(ca.publicKey));
+
+    if (!emisor) {
+      return {
+        estado: 'no_confiable',
+        mensaje: 'El certificado no se encadena a una autoridad certificadora de confianza',
+        certificados: cadena.map(resumen)
+      };
+    }
+
+    // Un certificado de confianza puede validarse a sí mismo, pero solo una CA emite a otros
+    if (emisor.fingerprint256 !== actual.fingerprint256 && !esAutoridad(emisor)) {
+      cadena.push(emisor);
+      return {
+        estado: 'invalida',
+        mensaje: 'Un certificado emisor de la cadena no es una autoridad certificadora',
+        certificados: cadena.map(resumen)
+      };
+    }
+
+    if (!vigenteEn(emisor, fecha)) {
+      cadena.push(emisor);
+      return {
+        estado: 'invalida',
+        mensaje: 'Un certificado de la autoridad certificadora no estaba vigente',
+        certificados: cadena.map(resumen)
+      };
+    }
+
+    if (emisor.fingerprint256 !== actual.fingerprint256) {
+      cadena.push(emisor);
+    }
+
+    if (esAutofirmado(emisor)) {
+      return {
+        estado: 'confiable',
+        mensaje: 'Cadena de certificación válida',
+        certificados: cadena.map(resumen),
+        emisor: cadena[1] || emisor
+      };
+    }
+    actual = emisor;
+  }
+
+  return {
+    estado: 'invalida',
+    mensaje: 'La cadena de certificación es demasiado larga',
+    certificados: cadena.map(resumen)
+  };
+};
+
+// Una revocación posterior a la fecha de referencia (p. ej. la del sello de tiempo)
+// no invalida lo firmado antes de ella
+const ajustarRevocacion = (revocacion, fecha) => {
+  if (revocacion.estado === 'revocado' && revocacion.fechaRevocacion > fecha) {
+    return {
+      ...revocacion,
+      estado: 'valido',
+      mensaje: 'El certificado fue revocado después de la fecha de referencia'
+    };
+  }
+  return revocacion;
+};
+
+// Consultar el estado de revocación en las CRLs locales
+const verificarCRL = (certificado, emisor, fecha = new Date()) => {
+  const nombreEmisor = asn1.partesCertificado(emisor.raw).sujeto;
+  const candidatas = cargarCRLs().filter(crl => crl.emisor.equals(nombreEmisor));
+
+  // Solo se consideran CRLs firmadas por el emisor del certificado
+  const validas = candidatas.filter(crl =>
+    crypto.verify(crl.hash, crl.tbs, emisor.publicKey, crl.firma));
+
+  if (validas.length === 0) {
+    return {
+      estado: 'desconocido',
+      metodo: 'crl',
+      mensaje: 'No hay una CRL válida del emisor del certificado'
+    };
+  }
+
+  // Usar la CRL más reciente
+  const crl = validas.sort((a, b) => b.emitida - a.emitida)[0];
+  const serie = certificado.serialNumber.replace(/^0+(?=.)/, '').toUpperCase();
+  const revocado = crl.revocados.get(serie);
+  const base = {
+    metodo: 'crl',
+    fuente: crl.archivo,
+    emitida: crl.emitida,
+    siguienteActualizacion: crl.siguiente
+  };
+
+  if (revocado) {
+    return ajustarRevocacion({
+      ...base,
+      estado: 'revocado',
+      mensaje: 'El certificado fue revocado por la autoridad certificadora',
+      fechaRevocacion: revocado.fecha,
+      motivo: revocado.motivo
+    }, fecha);
+  }
+
+  if (crl.siguiente && crl.siguiente < new Date()) {
+    return {
+      ...base,
+      estado: 'desconocido',
+      mensaje: 'La CRL disponible está vencida'
+    };
+  }
+
+  return {
+    ...base,
+    estado: 'valido',
+    mensaje: 'El certificado no aparece en la CRL'
+  };
+};
+
+// Verificar cadena y revocación de un certificado (PEM); OCSP tiene prioridad sobre CRL
+const verificarCertificado = async (certificadoPem, fecha = new Date()) => {
+  const certificado = new crypto.X509Certificate(certificadoPem);
+  const cadena = verificarCadena(certificado, fecha);
+
+  if (cadena.estado !== 'confiable') {
+    return {
+      cadena,
+      revocacion: {
+        estado: 'desconocido',
+        mensaje: 'No se verificó la revocación: la cadena de certificación no es confiable'
+      }
+    };
+  }
+
+  const { emisor } = cadena;
+  delete cadena.emisor;
+
+  let revocacion = null;
+  if (config.ocspUrl) {
+    try {
+      const respuesta = await respuestasOCSP.obtener(certificado.fingerprint256, () =>
+        consultarOCSP(certificado, emisor, {
+          url: config.ocspUrl,
+          timeout: config.ocspTimeout
+        }));
+      revocacion = ajustarRevocacion(respuesta, fecha);
+    } catch (error) {
+      revocacion = {
+        estado: 'desconocido',
+        metodo: 'ocsp',
+        fuente: config.ocspUrl,
+        mensaje: `Error al consultar OCSP: ${error.message}`
+      };
+    }
+  }
+
+  // Si OCSP no está configurado o no dio respuesta definitiva, usar CRL
+  if (!revocacion || revocacion.estado === 'desconocido') {
+    const crl = verificarCRL(certificado, emisor, fecha);
+    if (!revocacion || crl.estado !== 'desconocido') {
+      revocacion = crl;
+    }
+  }
+
+  return { cadena, revocacion };
+};
+
+module.exports = {
+  cargarAlmacen,
+  cargarCRLs,
+  recargar,
+  verificarCadena,
+  verificarCRL,
+  verificarCertificado
+};
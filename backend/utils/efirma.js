@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const { AppError } = require('../middlewares/errorHandler');
+const { parsearCertificado } = require('./certificado');
+
+// Convertir un certificado DER (.cer del SAT) a PEM
+const derAPem = (der) => {
+  const base64 = der.toString('base64').match(/.{1,64}/g).join('\n');
+  return `-----BEGIN CERTIFICATE-----\n${base64}\n-----END CERTIFICATE-----\n`;
+};
+
+// Cargar el certificado de e.firma (acepta DER o PEM) y extraer sus datos
+const cargarCertificado = (buffer) => {
+  let x509;
+  try {
+    x509 = new crypto.X509Certificate(buffer);
+  } catch (error) {
+    throw new AppError('El archivo .cer no es un certificado válido', 400, 'EFIRMA_CERTIFICADO_INVALIDO');
+  }
+  return {
+    x509,
+    pem: x509.toString(),
+    datos: parsearCertificado(x509)
+  };
+};
+
+// Descifrar la llave privada de e.firma (PKCS#8 cifrado, DER o PEM)
+const cargarLlavePrivada = (buffer, contrasena) => {
+  const esPem = buffer.toString('ascii', 0, 11).includes('-----BEGIN');
+  try {
+    return crypto.createPrivateKey({
+      key: buffer,
+      format: esPem ? 'pem' : 'der',
+      type: esPem ? undefined : 'pkcs8',
+      passphrase: contrasena
+    });
+  } catch (error) {
+    if (error.code === 'ERR_OSSL_BAD_DECRYPT' || /bad decrypt/i.test(error.message)) {
+      throw new AppError('La contraseña de la llave privada es incorrecta', 400, 'EFIRMA_CONTRASENA_INVALIDA');
+    }
+    throw new AppError('El archivo .key no es una llave privada válida', 400, 'EFIRMA_LLAVE_INVALIDA');
+  }
+};
+
+// Algoritmo de firma según el tipo de llave (los admitidos por el modelo Firma)
+const algoritmoFirma = (llave) => {
+  if (llave.asymmetricKeyType === 'rsa') {
+    return 'RSA-SHA256';
+  }
+  if (llave.asymmetricKeyType === 'ec' &&
+      llave.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+    return 'ECDSA-P256-SHA256';
+  }
+  throw new AppError('Tipo de llave no soportado (se requiere RSA o ECDSA P-256)', 400, 'EFIRMA_ALGORITMO_NO_SOPORTADO');
+};
+
+// Cargar y validar el par certificado/llave de una e.firma
+const cargarEfirma = (archivoCer, archivoKey, contrasena) => {
+  const certificado = cargarCertificado(archivoCer);
+  const llave = cargarLlavePrivada(archivoKey, contrasena);
+
+  if (!certificado.x509.checkPrivateKey(llave)) {
+    throw new AppError('La llave privada no corresponde al certificado', 400, 'EFIRMA_PAR_INVALIDO');
+  }
+
+  return {
+    certificado,
+    llave,
+    algoritmo: algoritmoFirma(llave)
+  };
+};
+
+// Firmar la cadena original con SHA-256; devuelve el sello digital en base64
+const firmarCadena = (cadenaOriginal, llave) => {
+  return crypto
+    .sign('sha256', Buffer.from(cadenaOriginal, 'utf8'), llave)
+    .toString('base64');
+};
+
+// Verificar un sello digital contra el certificado público (PEM)
+const verificarSello = (cadenaOriginal, selloDigital, certificadoPem) => {
+  return crypto.verify(
+    'sha256',
+    Buffer.from(cadenaOriginal, 'utf8'),
+    crypto.createPublicKey(certificadoPem),
+    Buffer.from(selloDigital, 'base64')
+  );
+};
+
+module.exports = {
+  derAPem,
+  cargarCertificado,
+  cargarLlavePrivada,
+  cargarEfirma,
+  firmarCadena,
+  verificarSello
+};
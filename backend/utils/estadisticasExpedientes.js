@@ -0,0 +1,352 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const Expediente = require('../models/Expediente');
+const { crearCache } = require('./cache');
+
+// Estadísticas de expedientes para los tableros de administración. Las agregaciones y la
+// revisión de integridad recorren todos los expedientes, así que los resultados se guardan
+// EXPEDIENTE_STATS_CACHE_MINUTES en memoria (?actualizar=true los recalcula)
+
+const HORA_MS = 60 * 60 * 1000;
+const DIA_MS = 24 * HORA_MS;
+
+// Expedientes con el contenido alterado que se listan como máximo
+const MAXIMO_FALLOS_INTEGRIDAD = 50;
+// Borradores antiguos que se listan como máximo
+const MAXIMO_BORRADORES = 20;
+
+const cache = crearCache({
+  ttlMs: (parseFloat(config.expedienteStatsCacheMinutes) || 10) * 60 * 1000
+});
+
+const zonaHoraria = () => config.securityTimezone || 'America/Mexico_City';
+
+// Días sin firmar a partir de los cuales un borrador se considera antiguo
+const diasBorradorPredeterminado = () => parseInt(config.expedienteDraftMaxAgeDays, 10) || 7;
+
+// Fecha en que quedó firmado: la última firma del flujo o, en expedientes anteriores a los
+// flujos de firma, la de firmaDigital. Solo cuentan los expedientes firmados actualmente
+const FECHA_FIRMADO = {
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ['$firmas', []] } }, 0] },
+    { $max: '$firmas.fechaFirma' },
+    '$firmaDigital.fechaFirma'
+  ]
+};
+const HORAS_FIRMA = { $divide: [{ $subtract: [FECHA_FIRMADO, '$createdAt'] }, HORA_MS] };
+
+// Rangos de la distribución del tiempo de firma (en horas)
+const RANGOS_FIRMA = [0, 1, 24, 72, 168];
+const ETIQUETAS_RANGO = {
+  0: 'menos_de_1_hora',
+  1: 'de_1_a_24_horas',
+  24: 'de_1_a_3_dias',
+  72: 'de_3_a_7_dias',
+  mas: 'mas_de_7_dias'
+};
+
+const redondear = (valor) => (typeof valor === 'number' ? Math.round(valor * 100) / 100 : null);
+
+// Filtro de los expedientes: periodo de creación y médico que los creó
+const filtroExpedientes = ({ desde, hasta, doctor } = {}) => {
+  const filtro = {};
+  if (desde || hasta) {
+    filtro.createdAt = {};
+    if (desde) filtro.createdAt.$gte = desde;
+    if (hasta) filtro.createdAt.$lte = hasta;
+  }
+  if (doctor) filtro.createdBy = new mongoose.Types.ObjectId(String(doctor));
+  return filtro;
+};
+
+// Facetas comunes por grupo (clave nula = todos): estado, tiempo de firma y borradores antiguos
+const facetasGrupo = (clave, limiteBorrador) => ({
+  porEstado: [
+    { $group: { _id: { clave, estado: '$estado' }, total: { $sum: 1 } } }
+  ],
+  tiempoFirma: [
+    { $match: { estado: 'firmado' } },
+    {
+      $group: {
+        _id: clave,
+        firmados: { $sum: 1 },
+        promedio: { $avg: HORAS_FIRMA },
+        minimo: { $min: HORAS_FIRMA },
+        maximo: { $max: HORAS_FIRMA }
+      }
+    }
+  ],
+  borradoresAntiguos: [
+    { $match: { estado: 'borrador', createdAt: { $lt: limiteBorrador } } },
+    { $group: { _id: clave, total: { $sum: 1 }, masAntiguo: { $min: '$createdAt' } } }
+  ]
+});
+
+const grupoVacio = (clave) => ({
+  clave,
+  total: 0,
+  porEstado: {},
+  tiempoFirma: { firmados: 0, promedioHoras: null, minimoHoras: null, maximoHoras: null },
+  borradoresAntiguos: { total: 0, masAntiguo: null }
+});
+
+// Combinar las facetas comunes en una fila por grupo
+const combinarGrupos = (facetas) => {
+  const grupos = new Map();
+  const grupo = (clave) => {
+    const llave = String(clave);
+    if (!grupos.has(llave)) grupos.set(llave, grupoVacio(clave));
+    return grupos.get(llave);
+  };
+
+  for (const { _id, total } of facetas.porEstado) {
+    const fila = grupo(_id.clave);
+    fila.porEstado[_id.estado] = total;
+    fila.total += total;
+  }
+  for (const { _id, firmados, promedio, minimo, maximo } of facetas.tiempoFirma) {
+    grupo(_id).tiempoFirma = {
+      firmados,
+      promedioHoras: redondear(promedio),
+      minimoHoras: redondear(minimo),
+      maximoHoras: redondear(maximo)
+    };
+  }
+  for (const { _id, total, masAntiguo } of facetas.borradoresAntiguos) {
+    grupo(_id).borradoresAntiguos = { total, masAntiguo };
+  }
+
+  return [...grupos.values()].sort((a, b) => b.total - a.total);
+};
+
+// Revisar el hash del contenido de cada expediente (mismo criterio que la descarga del PDF)
+const revisarIntegridad = async (filtro) => {
+  const resultado = { revisados: 0, fallidos: 0, expedientes: [] };
+  const cursor = Expediente.find(filtro)
+    .select('folio tipo estado contenido documento.hash documento.versionCanonica createdBy createdAt')
+    .cursor();
+
+  for await (const expediente of cursor) {
+    resultado.revisados++;
+    if (expediente.verificarIntegridad()) continue;
+    resultado.fallidos++;
+    if (resultado.expedientes.length < MAXIMO_FALLOS_INTEGRIDAD) {
+      resultado.expedientes.push({
+        _id: expediente._id,
+        folio: expediente.folio,
+        tipo: expediente.tipo,
+        estado: expediente.estado,
+        createdBy: expediente.createdBy,
+        createdAt: expediente.createdAt
+      });
+    }
+  }
+
+  return resultado;
+};
+
+// Estadísticas generales: totales por estado, tipo y mes, tiempo de firma, borradores
+// sin firmar de más de diasBorrador días y expedientes que no pasan la revisión de integridad
+const calcularGenerales = async ({ desde, hasta, diasBorrador }) => {
+  const filtro = filtroExpedientes({ desde, hasta });
+  const limiteBorrador = new Date(Date.now() - diasBorrador * DIA_MS);
+  const timezone = zonaHoraria();
+
+  const [facetas] = await Expediente.aggregate([
+    { $match: { ...filtro, active: { $ne: false } } },
+    {
+      $facet: {
+        ...facetasGrupo(null, limiteBorrador),
+        porTipo: [
+          { $group: { _id: { tipo: '$tipo', estado: '$estado' }, total: { $sum: 1 } } }
+        ],
+        porMes: [
+          {
+            $group: {
+              _id: {
+                mes: { $dateToString: { format: '%Y-%m', date: '$createdAt', timezone } },
+                estado: '$estado'
+              },
+              total: { $sum: 1 }
+            }
+          },
+          { $sort: { '_id.mes': 1 } }
+        ],
+        distribucionFirma: [
+          { $match: { estado: 'firmado' } },
+          { $project: { horas: HORAS_FIRMA } },
+          { $match: { horas: { $gte: 0 } } },
+          { $bucket: { groupBy: '$horas', boundaries: RANGOS_FIRMA, default: 'mas', output: { total: { $sum: 1 } } } }
+        ],
+        borradores: [
+          { $match: { estado: 'borrador', createdAt: { $lt: limiteBorrador } } },
+          { $sort: { createdAt: 1 } },
+          { $limit: MAXIMO_BORRADORES },
+          { $project: { folio: 1, tipo: 1, paciente: 1, createdBy: 1, createdAt: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const resumen = combinarGrupos(facetas)[0] || grupoVacio(null);
+
+  const porTipo = {};
+  for (const { _id, total } of facetas.porTipo) {
+    porTipo[_id.tipo] = porTipo[_id.tipo] || { total: 0, porEstado: {} };
+    porTipo[_id.tipo].porEstado[_id.estado] = total;
+    porTipo[_id.tipo].total += total;
+  }
+
+  const meses = new Map();
+  for (const { _id, total } of facetas.porMes) {
+    if (!meses.has(_id.mes)) meses.set(_id.mes, { mes: _id.mes, total: 0, porEstado: {} });
+    meses.get(_id.mes).porEstado[_id.estado] = total;
+    meses.get(_id.mes).total += total;
+  }
+
+  const distribucion = {};
+  for (const etiqueta of Object.values(ETIQUETAS_RANGO)) distribucion[etiqueta] = 0;
+  for (const { _id, total } of facetas.distribucionFirma) distribucion[ETIQUETAS_RANGO[_id]] = total;
+
+  await Expediente.populate(facetas.borradores, { path: 'createdBy', model: 'User', select: 'name email' });
+
+  return {
+    periodo: { inicio: desde || null, fin: hasta || null },
+    zonaHoraria: timezone,
+    total: resumen.total,
+    porEstado: resumen.porEstado,
+    porTipo,
+    porMes: [...meses.values()],
+    tiempoFirma: { ...resumen.tiempoFirma, distribucion },
+    borradoresAntiguos: {
+      dias: diasBorrador,
+      total: resumen.borradoresAntiguos.total,
+      masAntiguo: resumen.borradoresAntiguos.masAntiguo,
+      expedientes: facetas.borradores.map(borrador => ({
+        ...borrador,
+        diasSinFirmar: Math.floor((Date.now() - borrador.createdAt.getTime()) / DIA_MS)
+      }))
+    },
+    integridad: await revisarIntegridad(filtro),
+    calculadoEn: new Date()
+  };
+};
+
+// Estadísticas por médico (quien creó el expediente); con un médico se agrega su serie mensual
+const calcularPorDoctor = async ({ desde, hasta, diasBorrador, doctor }) => {
+  const filtro = filtroExpedientes({ desde, hasta, doctor });
+  const limiteBorrador = new Date(Date.now() - diasBorrador * DIA_MS);
+  const timezone = zonaHoraria();
+
+  const facetas = facetasGrupo('$createdBy', limiteBorrador);
+  facetas.porTipo = [
+    { $group: { _id: { clave: '$createdBy', tipo: '$tipo' }, total: { $sum: 1 } } }
+  ];
+  if (doctor) {
+    facetas.porMes = [
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m', date: '$createdAt', timezone } },
+          total: { $sum: 1 },
+          firmados: { $sum: { $cond: [{ $eq: ['$estado', 'firmado'] }, 1, 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ];
+  }
+
+  const [resultado] = await Expediente.aggregate([
+    { $match: { ...filtro, active: { $ne: false } } },
+    { $facet: facetas }
+  ]);
+
+  const grupos = combinarGrupos(resultado);
+  const tipos = new Map();
+  for (const { _id, total } of resultado.porTipo) {
+    const llave = String(_id.clave);
+    if (!tipos.has(llave)) tipos.set(llave, {});
+    tipos.get(llave)[_id.tipo] = total;
+  }
+
+  const doctores = grupos.map(({ clave, ...fila }) => ({
+    doctor: clave,
+    ...fila,
+    porTipo: tipos.get(String(clave)) || {}
+  }));
+  await Expediente.populate(doctores, { path: 'doctor', model: 'User', select: 'name email role' });
+
+  return {
+    periodo: { inicio: desde || null, fin: hasta || null },
+    diasBorrador,
+    doctores,
+    porMes: doctor
+      ? resultado.porMes.map(({ _id, total, firmados }) => ({ mes: _id, total, firmados }))
+      : undefined,
+    calculadoEn: new Date()
+  };
+};
+
+// Estadísticas por tipo de expediente con su serie mensual
+const calcularPorTipo = async ({ desde, hasta, diasBorrador }) => {
+  const filtro = filtroExpedientes({ desde, hasta });
+  const limiteBorrador = new Date(Date.now() - diasBorrador * DIA_MS);
+  const timezone = zonaHoraria();
+
+  const [resultado] = await Expediente.aggregate([
+    { $match: { ...filtro, active: { $ne: false } } },
+    {
+      $facet: {
+        ...facetasGrupo('$tipo', limiteBorrador),
+        porMes: [
+          {
+            $group: {
+              _id: {
+                clave: '$tipo',
+                mes: { $dateToString: { format: '%Y-%m', date: '$createdAt', timezone } }
+              },
+              total: { $sum: 1 }
+            }
+          },
+          { $sort: { '_id.mes': 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const meses = new Map();
+  for (const { _id, total } of resultado.porMes) {
+    const llave = String(_id.clave);
+    if (!meses.has(llave)) meses.set(llave, []);
+    meses.get(llave).push({ mes: _id.mes, total });
+  }
+
+  return {
+    periodo: { inicio: desde || null, fin: hasta || null },
+    diasBorrador,
+    tipos: combinarGrupos(resultado).map(({ clave, ...fila }) => ({
+      tipo: clave,
+      ...fila,
+      porMes: meses.get(String(clave)) || []
+    })),
+    calculadoEn: new Date()
+  };
+};
+
+// Versión con caché de cada cálculo; la clave incluye todas las opciones
+const conCache = (nombre, calcular) => (opciones, { actualizar = false } = {}) => {
+  const clave = JSON.stringify([
+    nombre,
+    opciones.desde || null,
+    opciones.hasta || null,
+    opciones.diasBorrador,
+    opciones.doctor ? String(opciones.doctor) : null
+  ]);
+  return cache.obtener(clave, () => calcular(opciones), { actualizar });
+};
+
+module.exports = {
+  diasBorradorPredeterminado,
+  estadisticasGenerales: conCache('generales', calcularGenerales),
+  estadisticasPorDoctor: conCache('porDoctor', calcularPorDoctor),
+  estadisticasPorTipo: conCache('porTipo', calcularPorTipo)
+};
@@ -0,0 +1,106 @@
+const { AppError } = require('../middlewares/errorHandler');
+
+// Flujos de firma por tipo de expediente
+// orden: 'secuencial' (cada rol espera a los anteriores) o 'paralelo' (cualquier orden)
+// rolesUsuario: roles de usuario que pueden ocupar el rol de firmante
+// principal: la firma del médico responsable, que se refleja en firmaDigital
+const FLUJO_MEDICO = {
+  orden: 'paralelo',
+  roles: [
+    { rol: 'medico', etiqueta: 'Médico responsable', rolesUsuario: ['doctor'], principal: true }
+  ]
+};
+
+const FLUJOS_FIRMA = {
+  // NOM-004-SSA3-2012, 10.1: paciente o representante legal, médico y dos testigos
+  consentimiento_informado: {
+    orden: 'secuencial',
+    roles: [
+      { rol: 'paciente', etiqueta: 'Paciente o representante legal', rolesUsuario: ['paciente'] },
+      { rol: 'medico', etiqueta: 'Médico responsable', rolesUsuario: ['doctor'], principal: true },
+      { rol: 'testigo_1', etiqueta: 'Testigo 1', rolesUsuario: ['doctor', 'admin'] },
+      { rol: 'testigo_2', etiqueta: 'Testigo 2', rolesUsuario: ['doctor', 'admin'] }
+    ]
+  }
+};
+
+const ROLES_FIRMANTE = ['paciente', 'medico', 'testigo_1', 'testigo_2'];
+
+// Flujo de firma de un tipo de expediente (por defecto solo firma el médico)
+const obtenerFlujo = (tipo) => FLUJOS_FIRMA[tipo] || FLUJO_MEDICO;
+
+// Firmas vigentes (no revocadas) del expediente
+const firmasVigentes = (expediente) =>
+  (expediente.firmas || []).filter(firma => !firma.revocada);
+
+// Roles del flujo que aún no tienen una firma vigente
+const rolesPendientes = (expediente) => {
+  const firmados = firmasVigentes(expediente).map(firma => firma.rol);
+  return obtenerFlujo(expediente.tipo).roles.filter(definicion => !firmados.includes(definicion.rol));
+};
+
+// Determinar y validar el rol con el que firma el usuario
+// Si no se indica el rol, se usa el primer rol pendiente que el usuario pueda ocupar
+const resolverRolFirmante = (expediente, usuario, rolSolicitado) => {
+  const flujo = obtenerFlujo(expediente.tipo);
+  const pendientes = rolesPendientes(expediente);
+
+  const puedeOcupar = (definicion) => {
+    if (!definicion.rolesUsuario.includes(usuario.role)) return false;
+    // El paciente solo firma sus propios expedientes
+    if (definicion.rol === 'paciente') {
+      const paciente = expediente.paciente._id || expediente.paciente;
+      return paciente.toString() === String(usuario.pacienteId);
+    }
+    return true;
+  };
+
+  const definicion = rolSolicitado
+    ? flujo.roles.find(candidato => candidato.rol === rolSolicitado)
+    : pendientes.find(puedeOcupar);
+
+  if (!definicion) {
+    throw new AppError(
+      rolSolicitado
+        ? `El rol ${rolSolicitado} no forma parte del flujo de firma de este expediente`
+        : 'No hay firmas pendientes que pueda realizar en este expediente',
+      400,
+      'FIRMA_ROL_INVALIDO'
+    );
+  }
+
+  if (!pendientes.includes(definicion)) {
+    throw new AppError(`El rol ${definicion.rol} ya fue firmado`, 400, 'FIRMA_ROL_FIRMADO');
+  }
+
+  if (!puedeOcupar(definicion)) {
+    throw new AppError(`No puede firmar como ${definicion.etiqueta.toLowerCase()}`, 403, 'FIRMA_ROL_NO_PERMITIDO');
+  }
+
+  // Una misma persona no puede ocupar dos roles del flujo
+  const yaFirmo = firmasVigentes(expediente)
+    .some(firma => (firma.firmante._id || firma.firmante).toString() === usuario._id.toString());
+  if (yaFirmo) {
+    throw new AppError('Ya firmó este expediente con otro rol', 400, 'FIRMA_DUPLICADA');
+  }
+
+  // En orden secuencial, los roles anteriores deben estar firmados
+  if (flujo.orden === 'secuencial' && pendientes[0] !== definicion) {
+    throw new AppError(
+      `Falta la firma de ${pendientes[0].etiqueta.toLowerCase()} antes de firmar como ${definicion.etiqueta.toLowerCase()}`,
+      409,
+      'FIRMA_FUERA_DE_ORDEN'
+    );
+  }
+
+  return definicion;
+};
+
+module.exports = {
+  FLUJOS_FIRMA,
+  ROLES_FIRMANTE,
+  obtenerFlujo,
+  firmasVigentes,
+  rolesPendientes,
+  resolverRolFirmante
+};
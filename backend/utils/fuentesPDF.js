@@ -0,0 +1,137 @@
+const fs = require('fs').promises;
+const fontkit = require('@pdf-lib/fontkit');
+const { StandardFonts } = require('pdf-lib');
+const config = require('../config/config');
+
+// Fuentes TrueType/OpenType para los PDF clínicos
+// Se incrustan con subconjunto (solo los glifos usados) para que el documento se vea
+// igual en cualquier visor sin crecer de más. Sin fuentes configuradas se usa Helvetica,
+// limitada a WinAnsi, y el texto se adapta a ese juego de caracteres.
+
+// Sustitutos legibles para caracteres que la fuente no tiene
+const SUSTITUTOS = {
+  '≥': '>=',
+  '≤': '<=',
+  '≠': '!=',
+  '≈': '~',
+  '−': '-',
+  '→': '->',
+  '←': '<-',
+  '↑': '(aumento)',
+  '↓': '(disminución)',
+  '√': 'raíz',
+  '∞': 'infinito',
+  '′': "'",
+  '″': '"',
+  'α': 'alfa',
+  'β': 'beta',
+  'γ': 'gamma',
+  'δ': 'delta',
+  'Δ': 'Delta',
+  'ε': 'épsilon',
+  'κ': 'kappa',
+  'λ': 'lambda',
+  'μ': 'µ',
+  'π': 'pi',
+  'σ': 'sigma',
+  'ω': 'omega',
+  'Ω': 'Ohm',
+  '\t': ' ',
+  '\u200b': '',
+  '\ufeff': ''
+};
+
+// Archivos de fuente leídos una sola vez por proceso
+const archivos = new Map();
+
+const leerFuente = (ruta) => {
+  if (!archivos.has(ruta)) {
+    archivos.set(ruta, fs.readFile(ruta).catch((error) => {
+      archivos.delete(ruta);
+      throw error;
+    }));
+  }
+  return archivos.get(ruta);
+};
+
+// Adaptar un texto a los caracteres que tienen todas las fuentes del documento
+const crearSaneador = (fuentes) => {
+  const juegos = fuentes.map(fuente => new Set(fuente.getCharacterSet()));
+  const soportado = (texto) =>
+    [...texto].every(caracter => juegos.every(juego => juego.has(caracter.codePointAt(0))));
+  const reemplazos = new Map();
+
+  const reemplazar = (caracter) => {
+    if (SUSTITUTOS[caracter] !== undefined && soportado(SUSTITUTOS[caracter])) {
+      return SUSTITUTOS[caracter];
+    }
+    // Letras con diacríticos poco comunes y formas compatibles (subíndices, ligaduras)
+    const descompuesto = caracter.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+    if (descompuesto && descompuesto !== caracter && soportado(descompuesto)) {
+      return descompuesto;
+    }
+    return '?';
+  };
+
+  return (texto) => {
+    let resultado = '';
+    for (const caracter of String(texto)) {
+      if (caracter === '\n' || caracter === '\r' || soportado(caracter)) {
+        resultado += caracter;
+        continue;
+      }
+      if (!reemplazos.has(caracter)) {
+        reemplazos.set(caracter, reemplazar(caracter));
+      }
+      resultado += reemplazos.get(caracter);
+    }
+    return resultado;
+  };
+};
+
+// Incrustar las fuentes del documento: { fuente, negrita, cursiva, sanear, incrustadas }
+// Si la negrita o la cursiva no están configuradas se usa la regular
+const cargarFuentes = async (pdfDoc) => {
+  let fuente;
+  let negrita;
+  let cursiva;
+
+  if (config.pdfFontRegular) {
+    try {
+      const regular = await leerFuente(config.pdfFontRegular);
+      const [bytesNegrita, bytesCursiva] = await Promise.all([
+        config.pdfFontBold ? leerFuente(config.pdfFontBold) : regular,
+        config.pdfFontItalic ? leerFuente(config.pdfFontItalic) : regular
+      ]);
+
+      pdfDoc.registerFontkit(fontkit);
+      fuente = await pdfDoc.embedFont(regular, { subset: true });
+      negrita = bytesNegrita === regular ? fuente : await pdfDoc.embedFont(bytesNegrita, { subset: true });
+      cursiva = bytesCursiva === regular ? fuente : await pdfDoc.embedFont(bytesCursiva, { subset: true });
+    } catch (error) {
+      console.error('Error al cargar las fuentes del PDF, se usará Helvetica:', error.message);
+      fuente = null;
+    }
+  }
+
+  const incrustadas = Boolean(fuente);
+  if (!fuente) {
+    fuente = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    negrita = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    cursiva = await pdfDoc.embedFont(StandardFonts.HelveticaOblique);
+  }
+
+  return {
+    fuente,
+    negrita,
+    cursiva,
+    sanear: crearSaneador([...new Set([fuente, negrita, cursiva])]),
+    // Helvetica es una de las 14 fuentes estándar: los visores la aportan y no se incrusta
+    incrustadas
+  };
+};
+
+module.exports = {
+  cargarFuentes,
+  crearSaneador
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('../config/config');
+
+// Llave del servidor (PRIVATE_KEY_PATH / PUBLIC_KEY_PATH) para firmar los registros de
+// auditoría; la pública se deriva de la privada si no se configuró
+
+let llavePrivada = null;
+let llavePublica = null;
+
+const cargarLlavePrivada = () => {
+  if (!llavePrivada) {
+    if (!config.privateKeyPath) {
+      throw new Error('No se configuró la llave privada del servidor (PRIVATE_KEY_PATH)');
+    }
+    llavePrivada = crypto.createPrivateKey(fs.readFileSync(config.privateKeyPath));
+  }
+  return llavePrivada;
+};
+
+const cargarLlavePublica = () => {
+  if (!llavePublica) {
+    llavePublica = config.publicKeyPath && fs.existsSync(config.publicKeyPath)
+      ? crypto.createPublicKey(fs.readFileSync(config.publicKeyPath))
+      : crypto.createPublicKey(cargarLlavePrivada());
+  }
+  return llavePublica;
+};
+
+// Ed25519 y Ed448 firman el mensaje completo (sin función hash aparte)
+const algoritmoHash = (llave) =>
+  ['ed25519', 'ed448'].includes(llave.asymmetricKeyType) ? null : 'sha256';
+
+// Firma en base64 de los datos con la llave privada del servidor
+const firmarConLlaveServidor = (datos) => {
+  const llave = cargarLlavePrivada();
+  return crypto.sign(algoritmoHash(llave), Buffer.from(datos), llave).toString('base64');
+};
+
+const verificarConLlaveServidor = (datos, firma) => {
+  const llave = cargarLlavePublica();
+  return crypto.verify(algoritmoHash(llave), Buffer.from(datos), llave, Buffer.from(firma, 'base64'));
+};
+
+// Huella SHA-256 de la llave pública (identifica con qué llave se firmó)
+const huellaLlaveServidor = () =>
+  crypto.createHash('sha256')
+    .update(cargarLlavePublica().export({ type: 'spki', format: 'der' }))
+    .digest('hex');
+
+module.exports = {
+  cargarLlavePublica,
+  firmarConLlaveServidor,
+  verificarConLlaveServidor,
+  huellaLlaveServidor
+};
@@ -0,0 +1,296 @@
+const config = require('../config/config');
+const AuditLog = require('../models/AuditLog');
+
+// Monitoreo de seguridad sobre la auditoría: agrupaciones por IP, usuario y ventana de tiempo
+// con umbrales configurables y acceso a los registros que las componen. Las ventanas son fijas
+// (alineadas a UTC) y se calcula sobre los registros de la base de datos, es decir, los últimos
+// AUDIT_RETENTION_DAYS días; por omisión los reportes cubren la última semana.
+
+// Acciones que leen o extraen datos clínicos
+const ACCIONES_CONSULTA = ['consultar', 'listar', 'buscar', 'descargar', 'descargar_archivo', 'generar_pdf', 'revelar_datos'];
+
+// Eventos que se agrupan en los reportes
+const EVENTOS = {
+  intentosFallidos: { accion: 'login', 'resultado.exitoso': false },
+  loginsExitosos: { accion: 'login', 'resultado.exitoso': true },
+  accesosDenegados: { accion: 'acceso_denegado' },
+  consultasDatos: { accion: { $in: ACCIONES_CONSULTA }, 'resultado.exitoso': true }
+};
+
+// Cuenta a la que se intentó acceder: el usuario o, si no existe, el email capturado
+const CUENTA = { usuario: '$usuario', email: '$detalles.email' };
+
+const entero = (valor) => {
+  const numero = parseInt(valor, 10);
+  return numero > 0 ? numero : null;
+};
+
+// Umbrales configurados (SECURITY_*)
+const umbralesSeguridad = () => ({
+  ventanaMinutos: entero(config.securityWindowMinutes) || 15,
+  intentosFallidos: entero(config.securityFailedLoginThreshold) || 5,
+  accesosDenegados: entero(config.securityAccessDeniedThreshold) || 10,
+  cuentasPorIp: entero(config.securityAccountsPerIpThreshold) || 3,
+  ipsPorUsuario: entero(config.securityIpsPerUserThreshold) || 3,
+  consultasPorUsuario: entero(config.securityBulkAccessThreshold) || 100
+});
+
+// Indicadores de actividad sospechosa: evento, agrupación, medida y umbral
+// distintos: si se indica, la medida por ventana es el número de valores distintos
+const INDICADORES = {
+  fuerza_bruta: {
+    descripcion: 'Intentos de login fallidos desde una misma IP',
+    evento: 'intentosFallidos',
+    clave: '$seguridad.ip',
+    umbral: 'intentosFallidos'
+  },
+  multiples_cuentas: {
+    descripcion: 'Intentos de login fallidos contra varias cuentas desde una misma IP',
+    evento: 'intentosFallidos',
+    clave: '$seguridad.ip',
+    distintos: CUENTA,
+    umbral: 'cuentasPorIp'
+  },
+  multiples_ips: {
+    descripcion: 'Sesiones de un mismo usuario iniciadas desde varias IP',
+    evento: 'loginsExitosos',
+    clave: '$usuario',
+    distintos: '$seguridad.ip',
+    umbral: 'ipsPorUsuario'
+  },
+  consulta_masiva: {
+    descripcion: 'Consultas o descargas de datos clínicos de un mismo usuario',
+    evento: 'consultasDatos',
+    clave: '$usuario',
+    umbral: 'consultasPorUsuario'
+  }
+};
+
+// Inicio de la ventana de tiempo de un registro
+const inicioVentana = (ventanaMs) => ({
+  $toDate: {
+    $subtract: [{ $toLong: '$timestamp' }, { $mod: [{ $toLong: '$timestamp' }, ventanaMs] }]
+  }
+});
+
+// Unir los conjuntos acumulados por ventana sin valores nulos
+const unirConjuntos = (campo) => ({
+  $filter: {
+    input: { $reduce: { input: campo, initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } },
+    cond: { $ne: ['$$this', null] }
+  }
+});
+
+// Agrupar eventos por clave y ventana de tiempo
+// Por grupo: total, máximo en una ventana, ventanas que alcanzan el umbral (con su inicio y
+// medida), usuarios e IP involucrados. Devuelve { grupos, resumen: { grupos, sobreUmbral } }
+const agruparEventos = async (match, clave, {
+  ventanaMinutos,
+  umbral,
+  distintos = null,
+  soloSobreUmbral = false,
+  limite = 100
+}) => {
+  const resultado = await AuditLog.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { clave, ventana: inicioVentana(ventanaMinutos * 60 * 1000) },
+        total: { $sum: 1 },
+        ...(distintos && { distintos: { $addToSet: distintos } }),
+        primerRegistro: { $min: '$timestamp' },
+        ultimoRegistro: { $max: '$timestamp' },
+        usuarios: { $addToSet: '$usuario' },
+        ips: { $addToSet: '$seguridad.ip' }
+      }
+    },
+    { $addFields: { medida: distintos ? { $size: '$distintos' } : '$total' } },
+    { $sort: { '_id.ventana': 1 } },
+    {
+      $group: {
+        _id: '$_id.clave',
+        total: { $sum: '$total' },
+        maximoEnVentana: { $max: '$medida' },
+        ventanas: { $push: { inicio: '$_id.ventana', medida: '$medida' } },
+        primerRegistro: { $min: '$primerRegistro' },
+        ultimoRegistro: { $max: '$ultimoRegistro' },
+        usuarios: { $push: '$usuarios' },
+        ips: { $push: '$ips' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        clave: '$_id',
+        total: 1,
+        maximoEnVentana: 1,
+        superaUmbral: { $gte: ['$maximoEnVentana', umbral] },
+        ventanasSobreUmbral: { $filter: { input: '$ventanas', cond: { $gte: ['$$this.medida', umbral] } } },
+        primerRegistro: 1,
+        ultimoRegistro: 1,
+        usuarios: unirConjuntos('$usuarios'),
+        ips: unirConjuntos('$ips')
+      }
+    },
+    ...(soloSobreUmbral ? [{ $match: { superaUmbral: true } }] : []),
+    {
+      $facet: {
+        grupos: [
+          { $sort: { superaUmbral: -1, maximoEnVentana: -1, total: -1 } },
+          { $limit: limite }
+        ],
+        resumen: [
+          {
+            $group: {
+              _id: null,
+              grupos: { $sum: 1 },
+              sobreUmbral: { $sum: { $cond: ['$superaUmbral', 1, 0] } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const [{ grupos, resumen }] = resultado;
+  return {
+    grupos,
+    resumen: resumen[0] ? { grupos: resumen[0].grupos, sobreUmbral: resumen[0].sobreUmbral } : { grupos: 0, sobreUmbral: 0 }
+  };
+};
+
+// Serie de eventos por ventana de tiempo (en orden cronológico)
+const serieEventos = (match, { ventanaMinutos, umbral }) => AuditLog.aggregate([
+  { $match: match },
+  {
+    $group: {
+      _id: inicioVentana(ventanaMinutos * 60 * 1000),
+      total: { $sum: 1 },
+      usuarios: { $addToSet: '$usuario' },
+      ips: { $addToSet: '$seguridad.ip' }
+    }
+  },
+  {
+    $project: {
+      _id: 0,
+      inicio: '$_id',
+      total: 1,
+      superaUmbral: { $gte: ['$total', umbral] },
+      usuarios: { $size: { $filter: { input: '$usuarios', cond: { $ne: ['$$this', null] } } } },
+      ips: { $size: '$ips' }
+    }
+  },
+  { $sort: { inicio: 1 } }
+]);
+
+const poblarUsuarios = (documentos, path) =>
+  AuditLog.populate(documentos, { path, model: 'User', select: 'name email role' });
+
+const matchPeriodo = (evento, { desde, hasta }) => ({
+  ...EVENTOS[evento],
+  timestamp: { $gte: desde, $lte: hasta }
+});
+
+// Reporte de un evento agrupado por IP, por cuenta y por ventana de tiempo
+// opciones: { desde, hasta, ventanaMinutos, umbral }
+const reporteEventos = async (evento, opciones) => {
+  const match = matchPeriodo(evento, opciones);
+
+  const [total, porIp, porUsuario, porVentana] = await Promise.all([
+    AuditLog.countDocuments(match),
+    agruparEventos(match, '$seguridad.ip', opciones),
+    agruparEventos(match, CUENTA, opciones),
+    serieEventos(match, opciones)
+  ]);
+
+  const usuarios = porUsuario.grupos.map(({ clave, ...grupo }) => ({
+    usuario: clave.usuario || null,
+    email: clave.email || null,
+    ...grupo
+  }));
+  await poblarUsuarios(usuarios, 'usuario');
+
+  return {
+    total,
+    porIp: {
+      ...porIp.resumen,
+      grupos: porIp.grupos.map(({ clave, ...grupo }) => ({ ip: clave, ...grupo }))
+    },
+    porUsuario: {
+      ...porUsuario.resumen,
+      grupos: usuarios
+    },
+    porVentana: {
+      ventanas: porVentana.length,
+      sobreUmbral: porVentana.filter(ventana => ventana.superaUmbral).length,
+      serie: porVentana
+    }
+  };
+};
+
+// Hallazgos de actividad sospechosa: los grupos de cada indicador que alcanzan su umbral
+// opciones: { desde, hasta, ventanaMinutos, umbrales }
+const actividadSospechosa = async ({ umbrales, ...opciones }) => {
+  const hallazgos = [];
+
+  for (const [indicador, definicion] of Object.entries(INDICADORES)) {
+    const { grupos } = await agruparEventos(matchPeriodo(definicion.evento, opciones), definicion.clave, {
+      ...opciones,
+      umbral: umbrales[definicion.umbral],
+      distintos: definicion.distintos,
+      soloSobreUmbral: true
+    });
+
+    for (const { clave, ...grupo } of grupos) {
+      hallazgos.push({
+        indicador,
+        descripcion: definicion.descripcion,
+        umbral: umbrales[definicion.umbral],
+        ...(definicion.clave === '$usuario' ? { usuario: clave } : { ip: clave }),
+        ...grupo
+      });
+    }
+  }
+
+  await poblarUsuarios(hallazgos, 'usuario');
+  return hallazgos.sort((a, b) => b.maximoEnVentana / b.umbral - a.maximoEnVentana / a.umbral);
+};
+
+// Registros que componen un grupo (detalle de un reporte o de un hallazgo)
+// filtros: { desde, hasta, ip, usuario, email, ventanaInicio, ventanaMinutos }
+const registrosEvento = async (evento, filtros, { skip = 0, limit = 50 } = {}) => {
+  const match = matchPeriodo(evento, filtros);
+  if (filtros.ip) match['seguridad.ip'] = filtros.ip;
+  if (filtros.usuario) match.usuario = filtros.usuario;
+  if (filtros.email) match['detalles.email'] = filtros.email;
+  if (filtros.ventanaInicio) {
+    const inicio = new Date(filtros.ventanaInicio);
+    const fin = new Date(inicio.getTime() + filtros.ventanaMinutos * 60 * 1000);
+    match.timestamp = {
+      $gte: new Date(Math.max(inicio, filtros.desde)),
+      $lt: new Date(Math.min(fin, filtros.hasta.getTime() + 1))
+    };
+  }
+
+  const [total, registros] = await Promise.all([
+    AuditLog.countDocuments(match),
+    AuditLog.find(match)
+      .populate('usuario', 'name email role')
+      .sort('-timestamp')
+      .skip(skip)
+      .limit(limit)
+  ]);
+
+  return { total, registros };
+};
+
+module.exports = {
+  ACCIONES_CONSULTA,
+  CUENTA,
+  INDICADORES,
+  agruparEventos,
+  umbralesSeguridad,
+  reporteEventos,
+  actividadSospechosa,
+  registrosEvento
+};
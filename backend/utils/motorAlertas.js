@@ -0,0 +1,229 @@
+const config = require('../config/config');
+const AuditLog = require('../models/AuditLog');
+const ReglaAlerta = require('../models/ReglaAlerta');
+const AlertaSeguridad = require('../models/AlertaSeguridad');
+const {
+  ACCIONES_CONSULTA,
+  CUENTA,
+  agruparEventos,
+  umbralesSeguridad
+} = require('./monitoreoSeguridad');
+
+// Motor de alertas de seguridad: evalúa las reglas activas (models/ReglaAlerta) sobre la
+// auditoría y guarda una alerta por cada grupo y ventana que alcanza el umbral. La evaluación
+// es periódica (SECURITY_ALERT_INTERVAL_MINUTES) y puede repetirse sobre un periodo: las
+// alertas existentes se actualizan en lugar de duplicarse.
+
+// Registros de la ventana que se guardan en la alerta para revisarla
+const MAXIMO_REGISTROS_ALERTA = 50;
+
+// Expresiones de agrupación y de valores distintos
+const CLAVES = {
+  ip: '$seguridad.ip',
+  usuario: '$usuario'
+};
+const DISTINTOS = {
+  ip: '$seguridad.ip',
+  usuario: '$usuario',
+  cuenta: CUENTA
+};
+
+// Reglas que se crean si no hay ninguna configurada
+const reglasPredeterminadas = () => {
+  const umbrales = umbralesSeguridad();
+  return [
+    {
+      nombre: 'login_fallido_por_ip',
+      descripcion: 'Muchos intentos de login fallidos desde una misma IP',
+      nivel: 'alto',
+      condicion: { acciones: ['login'], exitoso: false },
+      agrupacion: 'ip',
+      umbral: umbrales.intentosFallidos,
+      ventanaMinutos: umbrales.ventanaMinutos
+    },
+    {
+      nombre: 'login_fallido_multiples_cuentas',
+      descripcion: 'Intentos de login fallidos contra varias cuentas desde una misma IP',
+      nivel: 'critico',
+      condicion: { acciones: ['login'], exitoso: false },
+      agrupacion: 'ip',
+      distintos: 'cuenta',
+      umbral: umbrales.cuentasPorIp,
+      ventanaMinutos: umbrales.ventanaMinutos
+    },
+    {
+      nombre: 'consulta_inusual_doctor',
+      descripcion: 'Un médico abrió un número inusual de registros clínicos',
+      nivel: 'medio',
+      condicion: { acciones: ACCIONES_CONSULTA, exitoso: true, roles: ['doctor'] },
+      agrupacion: 'usuario',
+      umbral: umbrales.consultasPorUsuario,
+      ventanaMinutos: 60
+    },
+    {
+      nombre: 'acceso_fuera_de_horario',
+      descripcion: 'Acceso a datos clínicos fuera del horario laboral',
+      nivel: 'bajo',
+      condicion: { acciones: [...ACCIONES_CONSULTA, 'login'], exitoso: true, roles: ['doctor', 'admin'] },
+      agrupacion: 'usuario',
+      umbral: 1,
+      ventanaMinutos: 60,
+      fueraDeHorario: { activo: true }
+    },
+    {
+      nombre: 'exportacion_masiva',
+      descripcion: 'Exportaciones o descargas masivas de un mismo usuario',
+      nivel: 'alto',
+      condicion: { acciones: ['descargar', 'descargar_archivo', 'exportar_auditoria'], exitoso: true },
+      agrupacion: 'usuario',
+      umbral: 50,
+      ventanaMinutos: 60
+    }
+  ].map(regla => ({ ...regla, predeterminada: true }));
+};
+
+// Crear las reglas predeterminadas si no hay reglas configuradas
+const asegurarReglas = async () => {
+  if (await ReglaAlerta.exists({})) return;
+  await ReglaAlerta.insertMany(reglasPredeterminadas()).catch(error => {
+    // Otra instancia pudo crearlas al mismo tiempo
+    if (error.code !== 11000) throw error;
+  });
+};
+
+// Guardar (o actualizar) la alerta de un grupo en una ventana; devuelve true si es nueva
+const guardarAlerta = async (regla, clave, ventana) => {
+  const inicio = new Date(ventana.inicio);
+  const fin = new Date(inicio.getTime() + regla.ventanaMinutos * 60 * 1000);
+  const grupo = regla.agrupacion === 'ip'
+    ? { ip: clave, usuario: null }
+    : { ip: null, usuario: clave };
+
+  const query = regla.consultaEventos(inicio, new Date(fin.getTime() - 1));
+  if (regla.agrupacion === 'ip') {
+    query['seguridad.ip'] = clave;
+  } else {
+    query.usuario = clave;
+  }
+  const [totalEventos, registros, ultimo] = await Promise.all([
+    AuditLog.countDocuments(query),
+    AuditLog.find(query).sort('timestamp').limit(MAXIMO_REGISTROS_ALERTA).select('timestamp'),
+    AuditLog.findOne(query).sort('-timestamp').select('timestamp')
+  ]);
+  const datosEventos = {
+    totalEventos,
+    primerRegistro: registros.length > 0 ? registros[0].timestamp : null,
+    ultimoRegistro: ultimo ? ultimo.timestamp : null,
+    registros: registros.map(registro => registro._id)
+  };
+
+  const existente = await AlertaSeguridad.findOne({
+    regla: regla._id,
+    'clave.ip': grupo.ip,
+    'clave.usuario': grupo.usuario,
+    'ventana.inicio': inicio
+  });
+  if (existente) {
+    if (ventana.medida > existente.medida || totalEventos !== existente.totalEventos) {
+      existente.set({ ...datosEventos, medida: Math.max(ventana.medida, existente.medida) });
+      await existente.save();
+    }
+    return false;
+  }
+
+  try {
+    await AlertaSeguridad.create({
+      regla: regla._id,
+      reglaNombre: regla.nombre,
+      nivel: regla.nivel,
+      descripcion: regla.descripcion,
+      clave: grupo,
+      ventana: { inicio, fin },
+      medida: ventana.medida,
+      umbral: regla.umbral,
+      ...datosEventos
+    });
+    return true;
+  } catch (error) {
+    // La misma ventana evaluada a la vez por otra instancia
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Evaluar una regla en un periodo; devuelve el número de alertas nuevas
+const evaluarRegla = async (regla, { desde, hasta }) => {
+  const { grupos } = await agruparEventos(regla.consultaEventos(desde, hasta), CLAVES[regla.agrupacion], {
+    ventanaMinutos: regla.ventanaMinutos,
+    umbral: regla.umbral,
+    distintos: regla.distintos ? DISTINTOS[regla.distintos] : null,
+    soloSobreUmbral: true,
+    limite: 1000
+  });
+
+  let nuevas = 0;
+  for (const grupo of grupos) {
+    for (const ventana of grupo.ventanasSobreUmbral) {
+      if (await guardarAlerta(regla, grupo.clave, ventana)) nuevas++;
+    }
+  }
+  return nuevas;
+};
+
+// Evaluar las reglas activas (o las indicadas) en un periodo
+// El inicio se alinea al de la ventana de cada regla para evaluar ventanas completas
+// Devuelve [{ regla, alertasNuevas }] y, si una regla falla, su error
+const evaluarReglas = async ({ desde, hasta = new Date(), reglas = null } = {}) => {
+  await asegurarReglas();
+  const activas = reglas || await ReglaAlerta.find({ activa: true });
+  const resultados = [];
+
+  for (const regla of activas) {
+    const ventanaMs = regla.ventanaMinutos * 60 * 1000;
+    const inicio = new Date(Math.floor(desde.getTime() / ventanaMs) * ventanaMs);
+    try {
+      resultados.push({
+        regla: regla.nombre,
+        alertasNuevas: await evaluarRegla(regla, { desde: inicio, hasta })
+      });
+    } catch (error) {
+      console.error(`Error al evaluar la regla de alerta ${regla.nombre}:`, error);
+      resultados.push({ regla: regla.nombre, alertasNuevas: 0, error: error.message });
+    }
+  }
+
+  return resultados;
+};
+
+// Evaluación periódica (SECURITY_ALERT_INTERVAL_MINUTES); no se inicia sola: el punto de entrada
+// del servidor debe llamarla una vez, después de conectar a MongoDB
+// Cada evaluación cubre desde la anterior, así que las ventanas abiertas se revisan de nuevo
+const programarEvaluacion = () => {
+  const minutos = parseFloat(config.securityAlertIntervalMinutes) || 5;
+  let ultimaEvaluacion = new Date(Date.now() - minutos * 60 * 1000);
+  let enCurso = false;
+
+  const temporizador = setInterval(() => {
+    if (enCurso) return;
+    enCurso = true;
+    const ahora = new Date();
+    evaluarReglas({ desde: ultimaEvaluacion, hasta: ahora })
+      .then(() => {
+        ultimaEvaluacion = ahora;
+      })
+      .catch(error => {
+        console.error('Error al evaluar las reglas de alerta:', error);
+      })
+      .finally(() => {
+        enCurso = false;
+      });
+  }, minutos * 60 * 1000);
+  temporizador.unref();
+  return temporizador;
+};
+
+module.exports = {
+  reglasPredeterminadas,
+  evaluarReglas,
+  programarEvaluacion
+};
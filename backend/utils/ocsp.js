@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const asn1 = require('./asn1');
+
+// Estados de respuesta OCSP (RFC 6960, OCSPResponseStatus)
+const ESTADOS_RESPUESTA = {
+  0: 'exitosa',
+  1: 'solicitud_mal_formada',
+  2: 'error_interno',
+  3: 'reintentar',
+  5: 'firma_requerida',
+  6: 'no_autorizado'
+};
+
+// CertID del certificado a consultar (hash SHA-1 del nombre y llave del emisor)
+const construirCertID = (certificado, emisor) => {
+  const { numeroSerie } = asn1.partesCertificado(certificado.raw);
+  const partesEmisor = asn1.partesCertificado(emisor.raw);
+  const sha1 = (datos) => crypto.createHash('sha1').update(datos).digest();
+
+  return asn1.secuencia(
+    asn1.algoritmo(asn1.OID.sha1),
+    asn1.octetos(sha1(partesEmisor.sujeto)),
+    asn1.octetos(sha1(partesEmisor.llavePublica)),
+    numeroSerie.raw
+  );
+};
+
+// OCSPRequest con un solo certificado y extensión nonce
+const construirSolicitud = (certificado, emisor, nonce) => {
+  const extensionNonce = asn1.secuencia(
+    asn1.oid(asn1.OID.ocspNonce),
+    asn1.octetos(asn1.octetos(nonce))
+  );
+
+  return asn1.secuencia(
+    asn1.secuencia(
+      asn1.secuencia(
+        asn1.secuencia(construirCertID(certificado, emisor))
+      ),
+      asn1.explicito(2, asn1.secuencia(extensionNonce))
+    )
+  );
+};
+
+// Validar la firma de la respuesta (por la CA o por un respondedor delegado por ella)
+const verificarFirmaRespuesta = (basica, emisor) => {
+  const [datos, algoritmoFirma, firma] = basica.hijos;
+  const hash = asn1.hashDeAlgoritmo(algoritmoFirma);
+  const sello = asn1.aBits(firma);
+
+  if (crypto.verify(hash, datos.raw, emisor.publicKey, sello)) {
+    return true;
+  }
+
+  const certificados = asn1.contexto(basica, 0);
+  if (!certificados) {
+    return false;
+  }
+
+  return certificados.hijos[0].hijos.some(nodo => {
+    const respondedor = new crypto.X509Certificate(nodo.raw);
+    return respondedor.checkIssued(emisor) &&
+      respondedor.verify(emisor.publicKey) &&
+      crypto.verify(hash, datos.raw, respondedor.publicKey, sello);
+  });
+};
+
+// Interpretar la respuesta OCSP del certificado consultado
+const interpretarRespuesta = (der, certificado, emisor, nonce) => {
+  const respuesta = asn1.decodificar(der);
+  const estadoRespuesta = asn1.aEntero(respuesta.hijos[0]);
+
+  if (estadoRespuesta !== 0) {
+    throw new Error(`Respuesta OCSP no exitosa: ${ESTADOS_RESPUESTA[estadoRespuesta] || estadoRespuesta}`);
+  }
+
+  const bytesRespuesta = asn1.contexto(respuesta, 0).hijos[0];
+  if (asn1.aOid(bytesRespuesta.hijos[0]) !== asn1.OID.ocspBasic) {
+    throw new Error('Tipo de respuesta OCSP no soportado');
+  }
+
+  const basica = asn1.decodificar(bytesRespuesta.hijos[1].contenido);
+  if (!verificarFirmaRespuesta(basica, emisor)) {
+    throw new Error('La firma de la respuesta OCSP no es válida');
+  }
+
+  // ResponseData: version [0]?, responderID, producedAt, responses, [1] extensions?
+  const datos = basica.hijos[0];
+  const campos = datos.hijos.filter(hijo => !(hijo.clase === 2 && hijo.numero === 0));
+  const producidaEn = asn1.aFecha(campos[1]);
+  const respuestas = campos[2].hijos;
+
+  // Comprobar el nonce si el respondedor lo devolvió (responseExtensions [1], al final)
+  const extensiones = campos[3];
+  if (extensiones) {
+    const extensionNonce = extensiones.hijos[0].hijos
+      .find(ext => asn1.aOid(ext.hijos[0]) === asn1.OID.ocspNonce);
+    if (extensionNonce) {
+      const valor = asn1.decodificar(extensionNonce.hijos[extensionNonce.hijos.length - 1].contenido);
+      const recibido = valor.tag === asn1.TAG.OCTET_STRING ? valor.contenido : valor.raw;
+      if (!recibido.equals(nonce)) {
+        throw new Error('El nonce de la respuesta OCSP no coincide');
+      }
+    }
+  }
+
+  const serie = asn1.aEnteroHex(asn1.partesCertificado(certificado.raw).numeroSerie);
+  const individual = respuestas.find(resp => asn1.aEnteroHex(resp.hijos[0].hijos[3]) === serie);
+  if (!individual) {
+    throw new Error('La respuesta OCSP no incluye el certificado consultado');
+  }
+
+  // SingleResponse: certID, certStatus, thisUpdate, [0] nextUpdate?
+  const [, estadoCertificado, actualizacion] = individual.hijos;
+  // certStatus good también es [0], por eso nextUpdate se busca después de thisUpdate
+  const siguiente = individual.hijos.slice(3).find(hijo => hijo.clase === 2 && hijo.numero === 0);
+  const resultado = {
+    metodo: 'ocsp',
+    producidaEn,
+    actualizacion: asn1.aFecha(actualizacion),
+    siguienteActualizacion: siguiente ? asn1.aFecha(siguiente.hijos[0]) : null
+  };
+
+  if (estadoCertificado.numero === 0) {
+    return { ...resultado, estado: 'valido', mensaje: 'El respondedor OCSP reporta el certificado como válido' };
+  }
+
+  if (estadoCertificado.numero === 1) {
+    // RevokedInfo: revocationTime, [0] revocationReason?
+    return {
+      ...resultado,
+      estado: 'revocado',
+      mensaje: 'El respondedor OCSP reporta el certificado como revocado',
+      fechaRevocacion: asn1.aFecha(estadoCertificado.hijos[0])
+    };
+  }
+
+  return { ...resultado, estado: 'desconocido', mensaje: 'El respondedor OCSP no conoce el certificado' };
+};
+
+// Consultar el estado de un certificado a un respondedor OCSP (RFC 6960)
+const consultarOCSP = async (certificado, emisor, { url, timeout = 5000 }) => {
+  const nonce = crypto.randomBytes(16);
+  const solicitud = construirSolicitud(certificado, emisor, nonce);
+
+  const respuesta = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/ocsp-request' },
+    body: solicitud,
+    signal: AbortSignal.timeout(timeout)
+  });
+
+  if (!respuesta.ok) {
+    throw new Error(`El respondedor OCSP respondió HTTP ${respuesta.status}`);
+  }
+
+  const der = Buffer.from(await respuesta.arrayBuffer());
+  return {
+    ...interpretarRespuesta(der, certificado, emisor, nonce),
+    fuente: url
+  };
+};
+
+module.exports = {
+  construirSolicitud,
+  interpretarRespuesta,
+  consultarOCSP
+};
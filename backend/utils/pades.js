@@ -0,0 +1,200 @@
+const { PDFDocument, PDFName, PDFArray, PDFDict, PDFRef, PDFHexString, PDFString, PDFNumber } = require('pdf-lib');
+const { firmarCMS } = require('./cms');
+const { cargarAlmacen } = require('./confianza');
+
+// Firmas PAdES (ETSI EN 319 142) incrustadas en el PDF
+// Cada firma se agrega como una actualización incremental: lo ya firmado no se reescribe,
+// así las firmas anteriores siguen siendo válidas y cualquier lector PAdES puede verificarlas.
+
+// Bytes reservados para la firma CMS (certificados y sello de tiempo incluidos)
+const TAMANO_FIRMA = 16384;
+const MARCA_BYTE_RANGE = '[0 9999999999 9999999999 9999999999]';
+
+// Fecha PDF: D:AAAAMMDDHHmmss+00'00'
+const fechaPDF = (fecha) =>
+  `D:${fecha.toISOString().replace(/[-:T]/g, '').slice(0, 14)}+00'00'`;
+
+// Posición de la última tabla de referencias (para /Prev)
+const ultimaReferencia = (pdf) => {
+  const posicion = pdf.lastIndexOf('startxref');
+  const coincidencia = posicion === -1
+    ? null
+    : pdf.subarray(posicion + 9, posicion + 40).toString('latin1').match(/\d+/);
+  if (!coincidencia) {
+    throw new Error('El PDF no tiene tabla de referencias cruzadas');
+  }
+  return Number(coincidencia[0]);
+};
+
+// Agregar el campo de firma al formulario del documento; devuelve los objetos modificados
+const agregarCampoFirma = (pdfDoc, campo) => {
+  const { context, catalog } = pdfDoc;
+  const modificados = [];
+
+  let acroForm = catalog.get(PDFName.of('AcroForm'));
+  if (acroForm instanceof PDFRef) {
+    modificados.push(acroForm);
+    acroForm = context.lookup(acroForm, PDFDict);
+  } else if (!acroForm) {
+    const referencia = context.register(context.obj({ Fields: [] }));
+    catalog.set(PDFName.of('AcroForm'), referencia);
+    modificados.push(referencia, context.trailerInfo.Root);
+    acroForm = context.lookup(referencia, PDFDict);
+  } else {
+    modificados.push(context.trailerInfo.Root);
+  }
+
+  let campos = acroForm.get(PDFName.of('Fields'));
+  if (campos instanceof PDFRef) {
+    modificados.push(campos);
+    campos = context.lookup(campos, PDFArray);
+  }
+  const numero = campos.size() + 1;
+  campos.push(campo);
+  // SignaturesExist | AppendOnly
+  acroForm.set(PDFName.of('SigFlags'), PDFNumber.of(3));
+
+  return { modificados, numero };
+};
+
+// Anotación del campo en la primera página (la firma no tiene apariencia visible:
+// el PDF ya imprime la tabla de firmantes)
+const agregarAnotacion = (pdfDoc, widget) => {
+  const pagina = pdfDoc.getPage(0);
+  const modificados = [];
+
+  let anotaciones = pagina.node.get(PDFName.of('Annots'));
+  if (anotaciones instanceof PDFRef) {
+    modificados.push(anotaciones);
+    anotaciones = pdfDoc.context.lookup(anotaciones, PDFArray);
+  } else if (!anotaciones) {
+    anotaciones = pdfDoc.context.obj([]);
+    pagina.node.set(PDFName.of('Annots'), anotaciones);
+    modificados.push(pagina.ref);
+  } else {
+    modificados.push(pagina.ref);
+  }
+  anotaciones.push(widget);
+
+  return { modificados, pagina: pagina.ref };
+};
+
+// Certificados intermedios del almacén de confianza para que el validador pueda construir
+// la cadena (la raíz la aporta el propio validador)
+const cadenaCertificados = (certificado) => {
+  const confiables = cargarAlmacen();
+  const cadena = [];
+  let actual = certificado;
+  for (let nivel = 0; nivel < 10; nivel++) {
+    const emisor = confiables.find(ca => actual.checkIssued(ca) && actual.verify(ca.publicKey));
+    if (!emisor || emisor.checkIssued(emisor)) break;
+    cadena.push(emisor);
+    actual = emisor;
+  }
+  return cadena;
+};
+
+const serializarObjeto = (referencia, contenido) =>
+  `${referencia.objectNumber} ${referencia.generationNumber} obj\n${contenido}\nendobj\n`;
+
+// Firmar el PDF con la e.firma; devuelve el PDF con la firma agregada
+// firmante: { nombre, motivo, fecha }; obtenerSelloTiempo(firma) como en utils/cms
+const firmarPDF = async (pdf, efirma, firmante, { obtenerSelloTiempo = null } = {}) => {
+  const pdfDoc = await PDFDocument.load(pdf, { updateMetadata: false });
+  const { context } = pdfDoc;
+
+  const referenciaFirma = context.nextRef();
+  const referenciaWidget = context.nextRef();
+
+  const campo = agregarCampoFirma(pdfDoc, referenciaWidget);
+  const anotacion = agregarAnotacion(pdfDoc, referenciaWidget);
+
+  const widget = context.obj({
+    Type: 'Annot',
+    Subtype: 'Widget',
+    FT: 'Sig',
+    Rect: [0, 0, 0, 0],
+    F: 132,   // Print | Locked
+    T: PDFString.of(`Firma ${campo.numero}`),
+    V: referenciaFirma,
+    P: anotacion.pagina
+  });
+
+  // El diccionario de firma se escribe a mano para conocer la posición exacta de /Contents
+  const diccionarioFirma = [
+    '<<',
+    '/Type /Sig',
+    '/Filter /Adobe.PPKLite',
+    '/SubFilter /ETSI.CAdES.detached',
+    `/ByteRange ${MARCA_BYTE_RANGE}`,
+    `/Contents <${'0'.repeat(TAMANO_FIRMA * 2)}>`,
+    `/M ${PDFString.of(fechaPDF(firmante.fecha))}`,
+    `/Name ${PDFHexString.fromText(firmante.nombre)}`,
+    `/Reason ${PDFHexString.fromText(firmante.motivo)}`,
+    '>>'
+  ].join('\n');
+
+  // Actualización incremental: objetos nuevos y modificados, su tabla de referencias y el trailer
+  const objetos = [
+    [referenciaFirma, diccionarioFirma],
+    [referenciaWidget, widget.toString()],
+    ...[...new Set([...campo.modificados, ...anotacion.modificados])]
+      .map(referencia => [referencia, context.lookup(referencia).toString()])
+  ];
+
+  let texto = '\n';
+  const posiciones = [];
+  for (const [referencia, contenido] of objetos) {
+    posiciones.push([referencia, pdf.length + Buffer.byteLength(texto, 'latin1')]);
+    texto += serializarObjeto(referencia, contenido);
+  }
+
+  const inicioReferencias = pdf.length + Buffer.byteLength(texto, 'latin1');
+  texto += 'xref\n';
+  for (const [referencia, posicion] of posiciones.sort((a, b) => a[0].objectNumber - b[0].objectNumber)) {
+    texto += `${referencia.objectNumber} 1\n`;
+    texto += `${String(posicion).padStart(10, '0')} ${String(referencia.generationNumber).padStart(5, '0')} n \n`;
+  }
+
+  const { Root, Info, ID } = context.trailerInfo;
+  texto += 'trailer\n';
+  texto += context.obj({
+    Size: context.largestObjectNumber + 1,
+    Root,
+    ...(Info ? { Info } : {}),
+    ...(ID ? { ID } : {}),
+    Prev: ultimaReferencia(pdf)
+  }).toString();
+  texto += `\nstartxref\n${inicioReferencias}\n%%EOF\n`;
+
+  const resultado = Buffer.concat([pdf, Buffer.from(texto, 'latin1')]);
+
+  // ByteRange: todo el archivo excepto el valor hexadecimal de /Contents
+  const inicioContents = resultado.indexOf(`/Contents <${'0'.repeat(16)}`, pdf.length) + '/Contents '.length;
+  const finContents = inicioContents + TAMANO_FIRMA * 2 + 2;
+  const byteRange = `[0 ${inicioContents} ${finContents} ${resultado.length - finContents}]`;
+  const posicionByteRange = resultado.indexOf(MARCA_BYTE_RANGE, pdf.length);
+  resultado.write(byteRange.padEnd(MARCA_BYTE_RANGE.length, ' '), posicionByteRange, 'latin1');
+
+  const { cms, selloTiempo } = await firmarCMS(
+    Buffer.concat([resultado.subarray(0, inicioContents), resultado.subarray(finContents)]),
+    {
+      certificado: efirma.certificado.x509,
+      cadena: cadenaCertificados(efirma.certificado.x509),
+      llave: efirma.llave,
+      algoritmo: efirma.algoritmo,
+      obtenerSelloTiempo
+    }
+  );
+
+  if (cms.length > TAMANO_FIRMA) {
+    throw new Error('La firma CMS excede el espacio reservado en el PDF');
+  }
+  resultado.write(cms.toString('hex'), inicioContents + 1, 'latin1');
+
+  return { pdf: resultado, selloTiempo };
+};
+
+module.exports = {
+  firmarPDF
+};
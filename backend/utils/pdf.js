@@ -0,0 +1,877 @@
+const fs = require('fs').promises;
+const { PDFDocument, PDFName, PDFHexString, rgb, degrees } = require('pdf-lib');
+const QRCode = require('qrcode');
+const { obtenerFlujo, firmasVigentes } = require('./flujosFirma');
+const { cargarFuentes } = require('./fuentesPDF');
+const { aplicarPDFA } = require('./pdfA');
+
+// Página carta (puntos) y márgenes
+const PAGINA = { ancho: 612, alto: 792 };
+const MARGEN = { superior: 40, inferior: 40, izquierdo: 50, derecho: 50 };
+const ALTO_PIE = 25;
+const ALTO_LOGO = 40;
+const INTERLINEADO = 1.35;
+
+const COLOR = {
+  texto: rgb(0, 0, 0),
+  tenue: rgb(0.4, 0.4, 0.4),
+  linea: rgb(0.75, 0.75, 0.75),
+  fondo: rgb(0.92, 0.92, 0.92),
+  alerta: rgb(0.8, 0, 0)
+};
+
+// Etiquetas legibles de campos y tipos conocidos
+const ETIQUETAS = {
+  motivo: 'Motivo',
+  padecimientoActual: 'Padecimiento actual',
+  diagnostico: 'Diagnóstico',
+  tratamiento: 'Tratamiento',
+  pronostico: 'Pronóstico',
+  datosEspecificos: 'Datos específicos',
+  historia_clinica: 'Historia clínica',
+  nota_evolucion: 'Nota de evolución',
+  nota_interconsulta: 'Nota de interconsulta',
+  nota_referencia: 'Nota de referencia',
+  nota_urgencias: 'Nota de urgencias',
+  nota_hospitalizacion: 'Nota de hospitalización',
+  consentimiento_informado: 'Consentimiento informado',
+  resultado_laboratorio: 'Resultado de laboratorio',
+  estudio_imagen: 'Estudio de imagen',
+  receta_medica: 'Receta médica',
+  correccion: 'Corrección',
+  aclaracion: 'Aclaración'
+};
+
+// "padecimientoActual" / "presion_arterial" => "Padecimiento actual" / "Presion arterial"
+const etiqueta = (llave) => {
+  if (ETIQUETAS[llave]) return ETIQUETAS[llave];
+  const texto = String(llave)
+    .replace(/_/g, ' ')
+    .replace(/([a-záéíóúñ])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .trim();
+  return texto.charAt(0).toUpperCase() + texto.slice(1);
+};
+
+const formatearFecha = (fecha) => new Date(fecha).toLocaleString('es-MX');
+
+// Valores que se imprimen como texto (no como sección o tabla)
+const esSimple = (valor) =>
+  valor === null || valor === undefined || typeof valor !== 'object' ||
+  valor instanceof Date || Boolean(valor._bsontype);
+
+const formatearValor = (valor) => {
+  if (valor === null || valor === undefined || valor === '') return '—';
+  if (valor instanceof Date) return formatearFecha(valor);
+  if (typeof valor === 'boolean') return valor ? 'Sí' : 'No';
+  return String(valor);
+};
+
+// Partir un texto en líneas que quepan en el ancho indicado
+// Respeta los saltos de línea; las palabras más largas que el ancho se cortan
+const envolverTexto = (texto, fuente, tamano, ancho) => {
+  const mide = (cadena) => fuente.widthOfTextAtSize(cadena, tamano);
+  const lineas = [];
+
+  for (const parrafo of String(texto).split(/\r?\n/)) {
+    let linea = '';
+    for (const palabra of parrafo.split(/\s+/).filter(Boolean)) {
+      const candidata = linea ? `${linea} ${palabra}` : palabra;
+      if (mide(candidata) <= ancho) {
+        linea = candidata;
+        continue;
+      }
+      if (linea) lineas.push(linea);
+
+      let resto = palabra;
+      while (mide(resto) > ancho) {
+        let corte = resto.length - 1;
+        while (corte > 1 && mide(resto.slice(0, corte)) > ancho) corte--;
+        lineas.push(resto.slice(0, corte));
+        resto = resto.slice(corte);
+      }
+      linea = resto;
+    }
+    lineas.push(linea);
+  }
+
+  return lineas;
+};
+
+// Motor de maquetación: texto con ajuste de línea, saltos de página automáticos,
+// encabezado en cada página y pie con numeración al finalizar.
+// Todo el texto pasa por "sanear" para que solo contenga caracteres que las fuentes tienen
+const crearMaquetador = (pdfDoc, { fuente, negrita, sanear = String, encabezado, pie }) => {
+  const tituloEncabezado = sanear(encabezado.titulo);
+  const lineasEncabezado = encabezado.lineas.map(sanear);
+  const textoPie = sanear(pie);
+  const anchoUtil = PAGINA.ancho - MARGEN.izquierdo - MARGEN.derecho;
+  const limiteInferior = MARGEN.inferior + ALTO_PIE;
+  const sellos = [];
+  let pagina;
+  let y;
+
+  const dibujar = (texto, x, opciones = {}) => {
+    pagina.drawText(texto, {
+      x,
+      y,
+      size: opciones.tamano || 10,
+      font: opciones.fuente || fuente,
+      color: opciones.color || COLOR.texto
+    });
+  };
+
+  const linea = (x1, x2, yLinea, color = COLOR.linea) => {
+    pagina.drawLine({
+      start: { x: x1, y: yLinea },
+      end: { x: x2, y: yLinea },
+      thickness: 0.5,
+      color
+    });
+  };
+
+  const nuevaPagina = () => {
+    pagina = pdfDoc.addPage([PAGINA.ancho, PAGINA.alto]);
+    y = PAGINA.alto - MARGEN.superior - 13;
+
+    // Encabezado: institución, documento e identificación del paciente en todas las páginas
+    const anchoTexto = encabezado.logo ? anchoUtil - ALTO_LOGO * 2 - 10 : anchoUtil;
+    if (encabezado.logo) {
+      const escala = encabezado.logo.scaleToFit(ALTO_LOGO * 2, ALTO_LOGO);
+      pagina.drawImage(encabezado.logo, {
+        x: PAGINA.ancho - MARGEN.derecho - escala.width,
+        y: PAGINA.alto - MARGEN.superior - escala.height + 5,
+        width: escala.width,
+        height: escala.height
+      });
+    }
+    envolverTexto(tituloEncabezado, negrita, 13, anchoTexto).forEach((parte, indice) => {
+      if (indice > 0) y -= 15;
+      dibujar(parte, MARGEN.izquierdo, { tamano: 13, fuente: negrita });
+    });
+    for (const texto of lineasEncabezado) {
+      for (const parte of envolverTexto(texto, fuente, 8.5, anchoTexto)) {
+        y -= 12;
+        dibujar(parte, MARGEN.izquierdo, { tamano: 8.5, color: COLOR.tenue });
+      }
+    }
+    y -= 8;
+    linea(MARGEN.izquierdo, PAGINA.ancho - MARGEN.derecho, y);
+    y -= 20;
+  };
+
+  // Saltar de página si no caben "alto" puntos
+  const asegurar = (alto) => {
+    if (y - alto < limiteInferior) {
+      nuevaPagina();
+      return true;
+    }
+    return false;
+  };
+
+  const espacio = (alto) => {
+    y -= alto;
+  };
+
+  // Párrafo con ajuste de línea
+  const parrafo = (texto, { tamano = 10, fuenteTexto = fuente, sangria = 0, color } = {}) => {
+    const alto = tamano * INTERLINEADO;
+    for (const parte of envolverTexto(sanear(texto), fuenteTexto, tamano, anchoUtil - sangria)) {
+      asegurar(alto);
+      dibujar(parte, MARGEN.izquierdo + sangria, { tamano, fuente: fuenteTexto, color });
+      y -= alto;
+    }
+  };
+
+  // Título de sección (nivel 1 con línea inferior); evita quedar solo al final de la página
+  const titulo = (texto, { nivel = 1, sangria = 0 } = {}) => {
+    const tamano = nivel === 1 ? 12 : 10.5;
+    asegurar(tamano * INTERLINEADO * 3);
+    y -= nivel === 1 ? 6 : 2;
+    dibujar(sanear(nivel === 1 ? texto.toUpperCase() : texto), MARGEN.izquierdo + sangria, { tamano, fuente: negrita });
+    y -= 5;
+    if (nivel === 1) {
+      linea(MARGEN.izquierdo, PAGINA.ancho - MARGEN.derecho, y);
+    }
+    y -= tamano * INTERLINEADO - 2;
+  };
+
+  // Campo "Etiqueta: valor"; si no cabe en una línea, el valor va debajo con sangría
+  const campo = (nombre, valor, { sangria = 0, tamano = 10 } = {}) => {
+    const rotulo = sanear(`${nombre}: `);
+    const anchoRotulo = negrita.widthOfTextAtSize(rotulo, tamano);
+    const texto = sanear(formatearValor(valor));
+    const alto = tamano * INTERLINEADO;
+
+    if (!texto.includes('\n') &&
+        anchoRotulo + fuente.widthOfTextAtSize(texto, tamano) <= anchoUtil - sangria) {
+      asegurar(alto);
+      dibujar(rotulo, MARGEN.izquierdo + sangria, { tamano, fuente: negrita });
+      dibujar(texto, MARGEN.izquierdo + sangria + anchoRotulo, { tamano });
+      y -= alto;
+      return;
+    }
+
+    asegurar(alto * 2);
+    dibujar(rotulo, MARGEN.izquierdo + sangria, { tamano, fuente: negrita });
+    y -= alto;
+    parrafo(texto, { tamano, sangria: sangria + 12 });
+  };
+
+  // Tabla con ajuste de línea por celda; el encabezado se repite en cada página
+  const tabla = (columnas, filas, { sangria = 0, tamano = 9 } = {}) => {
+    const anchoTabla = anchoUtil - sangria;
+    const anchoColumna = anchoTabla / columnas.length;
+    const relleno = 4;
+    const alto = tamano * INTERLINEADO;
+    const x0 = MARGEN.izquierdo + sangria;
+
+    const dibujarFila = (celdas, { esEncabezado = false } = {}) => {
+      const fuenteCelda = esEncabezado ? negrita : fuente;
+      const lineasCeldas = celdas.map(celda =>
+        envolverTexto(sanear(formatearValor(celda)), fuenteCelda, tamano, anchoColumna - relleno * 2));
+      const totalLineas = Math.max(...lineasCeldas.map(lineas => lineas.length));
+
+      // Las filas cortas no se parten entre páginas
+      if (totalLineas * alto + relleno * 2 <= PAGINA.alto / 3 &&
+          asegurar(totalLineas * alto + relleno * 2) && !esEncabezado) {
+        dibujarFila(columnas, { esEncabezado: true });
+      }
+
+      if (esEncabezado) {
+        pagina.drawRectangle({
+          x: x0,
+          y: y - totalLineas * alto - relleno * 2 + tamano + relleno,
+          width: anchoTabla,
+          height: totalLineas * alto + relleno * 2,
+          color: COLOR.fondo
+        });
+      }
+
+      y -= relleno;
+      for (let i = 0; i < totalLineas; i++) {
+        if (asegurar(alto) && !esEncabezado) {
+          dibujarFila(columnas, { esEncabezado: true });
+          y -= relleno;
+        }
+        lineasCeldas.forEach((lineas, columna) => {
+          if (lineas[i]) {
+            dibujar(lineas[i], x0 + columna * anchoColumna + relleno, { tamano, fuente: fuenteCelda });
+          }
+        });
+        y -= alto;
+      }
+      y -= relleno;
+      linea(x0, x0 + anchoTabla, y + tamano);
+    };
+
+    asegurar(alto * 4);
+    dibujarFila(columnas, { esEncabezado: true });
+    for (const fila of filas) {
+      dibujarFila(fila);
+    }
+    y -= 6;
+  };
+
+  // Código QR (matriz de módulos de qrcode) con líneas de texto a su derecha
+  const codigoQR = (modulos, lineas, { tamano = 72 } = {}) => {
+    asegurar(tamano + 10);
+    const lado = tamano / modulos.size;
+    const superior = y + 8;
+
+    // Módulos oscuros consecutivos de cada fila como un solo rectángulo
+    for (let fila = 0; fila < modulos.size; fila++) {
+      let inicio = null;
+      for (let columna = 0; columna <= modulos.size; columna++) {
+        const oscuro = columna < modulos.size && modulos.get(fila, columna);
+        if (oscuro && inicio === null) inicio = columna;
+        if (!oscuro && inicio !== null) {
+          pagina.drawRectangle({
+            x: MARGEN.izquierdo + inicio * lado,
+            y: superior - (fila + 1) * lado,
+            width: (columna - inicio) * lado,
+            height: lado,
+            color: COLOR.texto
+          });
+          inicio = null;
+        }
+      }
+    }
+
+    const xTexto = MARGEN.izquierdo + tamano + 12;
+    for (const texto of lineas) {
+      for (const parte of envolverTexto(sanear(texto), fuente, 9, anchoUtil - tamano - 12)) {
+        dibujar(parte, xTexto, { tamano: 9 });
+        y -= 9 * INTERLINEADO;
+      }
+    }
+    y = Math.min(y, superior - tamano) - 12;
+  };
+
+  // Sello diagonal que se aplica a todas las páginas al finalizar
+  const sello = (texto) => {
+    sellos.push(sanear(texto));
+  };
+
+  // Pie con numeración ("Página i de n") y sellos; devuelve el PDF
+  const finalizar = async () => {
+    const paginas = pdfDoc.getPages();
+    paginas.forEach((actual, indice) => {
+      const numeracion = `Página ${indice + 1} de ${paginas.length}`;
+      const yPie = MARGEN.inferior;
+      actual.drawLine({
+        start: { x: MARGEN.izquierdo, y: yPie + 12 },
+        end: { x: PAGINA.ancho - MARGEN.derecho, y: yPie + 12 },
+        thickness: 0.5,
+        color: COLOR.linea
+      });
+      // El pie largo continúa debajo para no encimarse con la numeración
+      const anchoPie = anchoUtil - fuente.widthOfTextAtSize(numeracion, 8) - 10;
+      envolverTexto(textoPie, fuente, 8, anchoPie).forEach((parte, indice) => {
+        actual.drawText(parte, { x: MARGEN.izquierdo, y: yPie - indice * 9, size: 8, font: fuente, color: COLOR.tenue });
+      });
+      actual.drawText(numeracion, {
+        x: PAGINA.ancho - MARGEN.derecho - fuente.widthOfTextAtSize(numeracion, 8),
+        y: yPie,
+        size: 8,
+        font: fuente,
+        color: COLOR.tenue
+      });
+
+      for (const texto of sellos) {
+        const tamano = 70;
+        const diagonal = negrita.widthOfTextAtSize(texto, tamano) * Math.SQRT1_2;
+        actual.drawText(texto, {
+          x: (PAGINA.ancho - diagonal) / 2,
+          y: (PAGINA.alto - diagonal) / 2,
+          size: tamano,
+          font: negrita,
+          color: COLOR.alerta,
+          opacity: 0.2,
+          rotate: degrees(45)
+        });
+      }
+    });
+    // Tabla de referencias clásica: las firmas PAdES se agregan como actualizaciones incrementales
+    return pdfDoc.save({ useObjectStreams: false });
+  };
+
+  nuevaPagina();
+
+  return {
+    anchoUtil,
+    saltoPagina: nuevaPagina,
+    espacio,
+    parrafo,
+    titulo,
+    campo,
+    tabla,
+    codigoQR,
+    sello,
+    finalizar
+  };
+};
+
+// Imprimir un valor del contenido: texto, lista, tabla o sección anidada
+const renderizarValor = (maquetador, nombre, valor, nivel = 0) => {
+  const sangria = nivel * 12;
+
+  if (esSimple(valor)) {
+    maquetador.campo(nombre, valor, { sangria });
+    return;
+  }
+
+  if (Array.isArray(valor)) {
+    if (valor.length === 0 || valor.every(esSimple)) {
+      maquetador.campo(nombre, valor.length === 0 ? null : valor.map(formatearValor).join('\n'), { sangria });
+      return;
+    }
+
+    // Lista de registros planos => tabla con la unión de sus campos
+    const registros = valor.filter(elemento => !Array.isArray(elemento) && typeof elemento === 'object');
+    const llaves = [...new Set(registros.flatMap(registro => Object.keys(registro)))];
+    const planos = registros.length === valor.length &&
+      registros.every(registro => Object.values(registro).every(esSimple));
+    if (planos && llaves.length > 0 && llaves.length <= 5) {
+      maquetador.titulo(nombre, { nivel: 2, sangria });
+      maquetador.tabla(
+        llaves.map(etiqueta),
+        registros.map(registro => llaves.map(llave => registro[llave])),
+        { sangria }
+      );
+      return;
+    }
+
+    valor.forEach((elemento, indice) => {
+      renderizarValor(maquetador, `${nombre} ${indice + 1}`, elemento, nivel);
+    });
+    return;
+  }
+
+  maquetador.titulo(nombre, { nivel: 2, sangria });
+  for (const [llave, elemento] of Object.entries(valor)) {
+    renderizarValor(maquetador, etiqueta(llave), elemento, nivel + 1);
+  }
+  maquetador.espacio(4);
+};
+
+// Valor en una ruta con puntos ("datosEspecificos.signosVitales.temperatura")
+const obtenerRuta = (objeto, ruta) => ruta.split('.')
+  .reduce((actual, llave) => (actual === null || actual === undefined ? undefined : actual[llave]), objeto);
+
+// Nombre del médico con cédula profesional (si el usuario la tiene registrada)
+const nombreMedico = (usuario) => {
+  if (!usuario || !usuario.name) return '';
+  return usuario.cedulaProfesional
+    ? `${usuario.name} (Céd. Prof. ${usuario.cedulaProfesional})`
+    : usuario.name;
+};
+
+// Contenido según las secciones de la plantilla; lo que la plantilla no incluye
+// se imprime al final como información adicional para no omitir datos
+const renderizarPlantilla = (maquetador, contenido, plantilla) => {
+  const usados = new Set();
+
+  for (const seccion of plantilla.secciones) {
+    const campos = [];
+    for (const definicion of seccion.campos) {
+      const [raiz, segunda] = definicion.ruta.split('.');
+      usados.add(raiz === 'datosEspecificos' && segunda ? `datosEspecificos.${segunda}` : raiz);
+
+      const valor = obtenerRuta(contenido, definicion.ruta);
+      if ((valor === undefined || valor === null || valor === '') && !definicion.requerido) continue;
+      campos.push([definicion, valor]);
+    }
+
+    // Las secciones sin datos ni campos requeridos no se imprimen
+    if (campos.length === 0) continue;
+
+    maquetador.titulo(seccion.titulo);
+    for (const [definicion, valor] of campos) {
+      if (definicion.tipo === 'tabla' && Array.isArray(valor) && valor.length > 0) {
+        maquetador.titulo(definicion.etiqueta, { nivel: 2 });
+        maquetador.tabla(
+          definicion.columnas.map(columna => columna.etiqueta),
+          valor.map(registro => definicion.columnas.map(columna =>
+            esSimple(registro) ? registro : obtenerRuta(registro, columna.ruta)))
+        );
+      } else {
+        renderizarValor(maquetador, definicion.etiqueta, valor);
+      }
+    }
+  }
+
+  const adicionales = Object.entries(contenido)
+    .filter(([llave, valor]) => !['fecha', 'metadata', 'datosEspecificos'].includes(llave) &&
+      !usados.has(llave) && valor !== undefined && valor !== null && valor !== '');
+  const especificos = contenido.datosEspecificos && !esSimple(contenido.datosEspecificos) &&
+    !Array.isArray(contenido.datosEspecificos)
+    ? Object.entries(contenido.datosEspecificos).filter(([llave]) => !usados.has(`datosEspecificos.${llave}`))
+    : [];
+
+  if (adicionales.length + especificos.length > 0) {
+    maquetador.titulo('Información adicional');
+    for (const [llave, valor] of [...adicionales, ...especificos]) {
+      renderizarValor(maquetador, etiqueta(llave), valor);
+    }
+  }
+};
+
+// Contenido sin plantilla: todos los campos en el orden en que están guardados
+const renderizarGenerico = (maquetador, contenido) => {
+  maquetador.titulo('Contenido');
+  for (const [llave, valor] of Object.entries(contenido)) {
+    if (['fecha', 'metadata', 'datosEspecificos'].includes(llave) || valor === undefined) continue;
+    renderizarValor(maquetador, etiqueta(llave), valor);
+  }
+
+  if (contenido.datosEspecificos !== undefined && contenido.datosEspecificos !== null) {
+    maquetador.titulo(etiqueta('datosEspecificos'));
+    if (esSimple(contenido.datosEspecificos) || Array.isArray(contenido.datosEspecificos)) {
+      renderizarValor(maquetador, etiqueta('datosEspecificos'), contenido.datosEspecificos);
+    } else {
+      for (const [llave, valor] of Object.entries(contenido.datosEspecificos)) {
+        renderizarValor(maquetador, etiqueta(llave), valor);
+      }
+    }
+  }
+};
+
+// Sección de firmas: cada rol del flujo con su firmante o como pendiente
+const renderizarFirmas = (maquetador, expediente) => {
+  if (expediente.firmas && expediente.firmas.length > 0) {
+    maquetador.titulo('Firmado digitalmente por');
+    const vigentes = firmasVigentes(expediente);
+    maquetador.tabla(
+      ['Rol', 'Firmante', 'Fecha de firma'],
+      obtenerFlujo(expediente.tipo).roles.map(definicion => {
+        const participante = vigentes.find(firma => firma.rol === definicion.rol);
+        if (!participante) {
+          return [definicion.etiqueta, 'Pendiente de firma', null];
+        }
+        const representacion = participante.representacion ? ` (en representación: ${participante.representacion})` : '';
+        return [definicion.etiqueta, `${nombreMedico(participante.firmante)}${representacion}`, participante.fechaFirma];
+      })
+    );
+  } else if (expediente.firmaDigital && expediente.firmaDigital.firmante) {
+    // Expedientes firmados antes de los flujos de firma
+    maquetador.titulo('Firmado digitalmente por');
+    maquetador.campo('Médico', `Dr. ${nombreMedico(expediente.firmaDigital.firmante)}`);
+    maquetador.campo('Fecha de firma', expediente.firmaDigital.fechaFirma);
+  }
+
+  if (expediente.firmaDigital && expediente.firmaDigital.certificado &&
+      expediente.firmaDigital.certificado.numeroSerie) {
+    maquetador.campo('Certificado del médico', expediente.firmaDigital.certificado.numeroSerie, { tamano: 8.5 });
+  }
+};
+
+// Incrustar el logotipo institucional (PNG o JPG, en base64 o desde archivo)
+const incrustarLogo = async (pdfDoc, institucion) => {
+  let imagen = null;
+  if (institucion.logo) {
+    imagen = Buffer.from(institucion.logo.replace(/^data:[^,]+,/, ''), 'base64');
+  } else if (institucion.logoPath) {
+    imagen = await fs.readFile(institucion.logoPath).catch(() => null);
+  }
+  if (!imagen || imagen.length < 4) return null;
+
+  if (imagen[0] === 0x89 && imagen.toString('ascii', 1, 4) === 'PNG') {
+    return pdfDoc.embedPng(imagen);
+  }
+  if (imagen[0] === 0xff && imagen[1] === 0xd8) {
+    return pdfDoc.embedJpg(imagen);
+  }
+  return null;
+};
+
+// Generar el PDF de un expediente con la plantilla de su tipo
+// (contenido, datos del médico, firmas, addenda y sellos de estado)
+// verificacion: { folio, url } para el código QR de verificación pública
+// archivo: { adjuntos } genera PDF/A-3b con los archivos asociados (utils/pdfA)
+const generarPDFExpediente = async (expediente, paciente, {
+  plantilla = null,
+  medico = null,
+  verificacion = null,
+  archivo = null
+} = {}) => {
+  const pdfDoc = await PDFDocument.create();
+  const { fuente, negrita, cursiva, sanear, incrustadas } = await cargarFuentes(pdfDoc);
+  if (archivo && !incrustadas) {
+    throw new Error('PDF/A requiere fuentes incrustadas (PDF_FONT_REGULAR)');
+  }
+  const institucion = (plantilla && plantilla.institucion) || {};
+
+  const identificacion = [
+    `Paciente: ${paciente.nombreCompleto}`,
+    paciente.fechaNacimiento ? `Fecha de nacimiento: ${new Date(paciente.fechaNacimiento).toLocaleDateString('es-MX')}` : null,
+    paciente.sexo ? `Sexo: ${paciente.sexo}` : null,
+    `ID paciente: ${paciente._id}`
+  ].filter(Boolean).join('   |   ');
+
+  const datosInstitucion = [
+    institucion.razonSocial,
+    institucion.direccion,
+    institucion.telefono ? `Tel. ${institucion.telefono}` : null,
+    institucion.clues ? `CLUES ${institucion.clues}` : null
+  ].filter(Boolean).join('   |   ');
+
+  const tituloDocumento = plantilla && plantilla.titulo ? plantilla.titulo : etiqueta(expediente.tipo);
+
+  const maquetador = crearMaquetador(pdfDoc, {
+    fuente,
+    negrita,
+    sanear,
+    encabezado: {
+      titulo: institucion.nombre || 'EXPEDIENTE CLÍNICO ELECTRÓNICO',
+      lineas: [
+        datosInstitucion,
+        `${tituloDocumento}   |   Expediente: ${expediente._id}`,
+        identificacion
+      ].filter(Boolean),
+      logo: await incrustarLogo(pdfDoc, institucion)
+    },
+    pie: [
+      `Expediente ${expediente._id}`,
+      verificacion ? `Folio ${verificacion.folio}` : null,
+      plantilla ? `Plantilla ${plantilla.tipo} v${plantilla.version}` : null,
+      `Generado el ${formatearFecha(new Date())}`
+    ].filter(Boolean).join(' · ')
+  });
+
+  const contenido = typeof expediente.toObject === 'function'
+    ? expediente.toObject({ virtuals: false }).contenido
+    : expediente.contenido;
+
+  // Datos del documento y del médico responsable
+  maquetador.titulo('Datos del documento');
+  maquetador.campo('Documento', tituloDocumento);
+  maquetador.campo('Fecha', new Date(contenido.fecha).toLocaleDateString('es-MX'));
+  maquetador.campo('Versión', (contenido.metadata && contenido.metadata.version) || 1);
+  maquetador.campo('Estado', etiqueta(expediente.estado));
+  if (medico && medico.name) {
+    maquetador.campo('Médico', `Dr. ${medico.name}`);
+    maquetador.campo('Cédula profesional', medico.cedulaProfesional);
+    if (medico.especialidad) {
+      maquetador.campo('Especialidad', medico.especialidad);
+    }
+  }
+
+  // Avisos de estado (además del sello en cada página)
+  if (expediente.estado === 'firma_revocada' && expediente.firmaDigital.revocacion) {
+    maquetador.sello('FIRMA REVOCADA');
+    maquetador.parrafo(
+      `Firma revocada el ${formatearFecha(expediente.firmaDigital.revocacion.fecha)} — Motivo: ${expediente.firmaDigital.revocacion.motivo}`,
+      { color: COLOR.alerta, fuenteTexto: negrita }
+    );
+  }
+  if (expediente.estado === 'cancelado' && expediente.cancelacion) {
+    maquetador.sello('CANCELADO');
+    maquetador.parrafo(
+      `Cancelado el ${formatearFecha(expediente.cancelacion.fecha)} — Motivo: ${expediente.cancelacion.motivo}`,
+      { color: COLOR.alerta, fuenteTexto: negrita }
+    );
+  }
+
+  // Contenido clínico
+  if (plantilla && plantilla.secciones && plantilla.secciones.length > 0) {
+    renderizarPlantilla(maquetador, contenido, plantilla);
+  } else {
+    renderizarGenerico(maquetador, contenido);
+  }
+
+  if (plantilla && plantilla.leyenda) {
+    maquetador.espacio(6);
+    maquetador.parrafo(plantilla.leyenda, { tamano: 9, fuenteTexto: cursiva });
+  }
+
+  // Firmas
+  renderizarFirmas(maquetador, expediente);
+
+  // Addenda firmadas
+  if (expediente.addenda && expediente.addenda.length > 0) {
+    maquetador.titulo('Addenda');
+    for (const addenda of expediente.addenda) {
+      const autor = addenda.autor && addenda.autor.name ? ` — Dr. ${nombreMedico(addenda.autor)}` : '';
+      maquetador.titulo(`${etiqueta(addenda.tipo)} del ${formatearFecha(addenda.fecha)}${autor}`, { nivel: 2 });
+      if (addenda.campo) {
+        maquetador.campo('Campo', etiqueta(addenda.campo), { sangria: 12 });
+      }
+      maquetador.parrafo(addenda.texto, { sangria: 12 });
+      maquetador.espacio(4);
+    }
+  }
+
+  // Código QR y folio para verificar el documento sin acceso al sistema
+  if (verificacion) {
+    maquetador.titulo('Verificación del documento');
+    maquetador.codigoQR(
+      QRCode.create(verificacion.url || verificacion.folio, { errorCorrectionLevel: 'M' }).modules,
+      [
+        `Folio de verificación: ${verificacion.folio}`,
+        'Consulte la autenticidad y vigencia de este documento escaneando el código o en:',
+        verificacion.url || 'el portal de verificación de la institución'
+      ]
+    );
+  }
+
+  if (archivo) {
+    await aplicarPDFA(pdfDoc, {
+      titulo: tituloDocumento,
+      autor: medico && medico.name ? medico.name : institucion.nombre || 'Expediente clínico electrónico',
+      asunto: `Expediente ${expediente._id}${verificacion ? ` (folio ${verificacion.folio})` : ''}`,
+      adjuntos: archivo.adjuntos
+    });
+  }
+
+  return maquetador.finalizar();
+};
+
+// Marcadores (outline) del PDF: [{ titulo, pagina (índice de la página destino) }]
+const agregarMarcadores = (pdfDoc, marcadores) => {
+  if (marcadores.length === 0) return;
+  const { context, catalog } = pdfDoc;
+  const paginas = pdfDoc.getPages();
+  const raiz = context.nextRef();
+  const referencias = marcadores.map(() => context.nextRef());
+
+  marcadores.forEach((marcador, indice) => {
+    context.assign(referencias[indice], context.obj({
+      Title: PDFHexString.fromText(marcador.titulo),
+      Parent: raiz,
+      Prev: indice > 0 ? referencias[indice - 1] : undefined,
+      Next: indice < marcadores.length - 1 ? referencias[indice + 1] : undefined,
+      Dest: [paginas[marcador.pagina].ref, 'Fit']
+    }));
+  });
+  context.assign(raiz, context.obj({
+    Type: 'Outlines',
+    First: referencias[0],
+    Last: referencias[referencias.length - 1],
+    Count: referencias.length
+  }));
+
+  catalog.set(PDFName.of('Outlines'), raiz);
+  catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+};
+
+// Portada e índice del expediente completo; "paginas" trae la página inicial de cada documento
+// Devuelve { pdf, paginaIndice } (la portada puede ocupar más de una página)
+const generarPortada = async (paciente, documentos, paginas, { institucion, filtros, solicitante }) => {
+  const pdfDoc = await PDFDocument.create();
+  const { fuente, negrita, cursiva, sanear } = await cargarFuentes(pdfDoc);
+  const fechaGeneracion = formatearFecha(new Date());
+
+  const maquetador = crearMaquetador(pdfDoc, {
+    fuente,
+    negrita,
+    sanear,
+    encabezado: {
+      titulo: institucion.nombre || 'EXPEDIENTE CLÍNICO ELECTRÓNICO',
+      lineas: [
+        'Expediente clínico completo',
+        `Paciente: ${paciente.nombreCompleto}   |   ID paciente: ${paciente._id}`
+      ],
+      logo: await incrustarLogo(pdfDoc, institucion)
+    },
+    pie: `Expediente clínico completo · Paciente ${paciente._id} · Generado el ${fechaGeneracion}`
+  });
+
+  maquetador.titulo('Expediente clínico completo');
+  maquetador.campo('Paciente', paciente.nombreCompleto);
+  if (paciente.fechaNacimiento) {
+    maquetador.campo('Fecha de nacimiento', new Date(paciente.fechaNacimiento).toLocaleDateString('es-MX'));
+  }
+  if (paciente.sexo) {
+    maquetador.campo('Sexo', paciente.sexo);
+  }
+  maquetador.campo('ID paciente', paciente._id);
+  maquetador.espacio(6);
+  for (const [nombre, valor] of filtros) {
+    maquetador.campo(nombre, valor);
+  }
+  maquetador.campo('Documentos incluidos', documentos.length);
+  if (solicitante) {
+    maquetador.campo('Solicitado por', solicitante);
+  }
+  maquetador.campo('Fecha de generación', fechaGeneracion);
+  maquetador.espacio(10);
+  maquetador.parrafo(
+    'Este documento reúne copias de los expedientes del paciente. Su contenido es confidencial y '
+    + 'su uso queda sujeto a la NOM-004-SSA3-2012 y a la legislación de protección de datos personales. '
+    + 'La validez de cada documento se consulta con su propio folio de verificación.',
+    { tamano: 9, fuenteTexto: cursiva }
+  );
+
+  maquetador.saltoPagina();
+  const paginaIndice = pdfDoc.getPageCount() - 1;
+  maquetador.titulo('Índice');
+  maquetador.tabla(
+    ['#', 'Documento', 'Fecha', 'Estado de firma', 'Página'],
+    documentos.map((documento, indice) => [
+      indice + 1,
+      documento.titulo,
+      new Date(documento.fecha).toLocaleDateString('es-MX'),
+      documento.estadoFirma,
+      paginas ? paginas[indice] + 1 : '-'
+    ])
+  );
+
+  return { pdf: await maquetador.finalizar(), paginaIndice };
+};
+
+// Expediente completo del paciente en un solo PDF: portada, índice, marcadores y los
+// documentos tal como se generan individualmente
+// documentos: [{ titulo, fecha, estadoFirma, pdf (bytes del PDF del documento) }]
+// opciones: { institucion, filtros: [[nombre, valor]], solicitante }
+const generarPDFPaquete = async (paciente, documentos, { institucion = {}, filtros = [], solicitante = null } = {}) => {
+  const opciones = { institucion, filtros, solicitante };
+  const pdfDocumentos = [];
+  for (const documento of documentos) {
+    pdfDocumentos.push(await PDFDocument.load(documento.pdf));
+  }
+
+  // El índice se maqueta dos veces: la primera solo para saber cuántas páginas ocupa
+  const preliminar = await PDFDocument.load((await generarPortada(paciente, documentos, null, opciones)).pdf);
+  const paginas = [];
+  let siguiente = preliminar.getPageCount();
+  for (const pdfDocumento of pdfDocumentos) {
+    paginas.push(siguiente);
+    siguiente += pdfDocumento.getPageCount();
+  }
+  const { pdf: bytesPortada, paginaIndice } = await generarPortada(paciente, documentos, paginas, opciones);
+  const portada = await PDFDocument.load(bytesPortada);
+
+  const pdfDoc = await PDFDocument.create();
+  for (const origen of [portada, ...pdfDocumentos]) {
+    const copias = await pdfDoc.copyPages(origen, origen.getPageIndices());
+    copias.forEach(pagina => pdfDoc.addPage(pagina));
+  }
+
+  pdfDoc.setTitle(`Expediente clínico completo — ${paciente.nombreCompleto}`);
+  pdfDoc.setLanguage('es-MX');
+  agregarMarcadores(pdfDoc, [
+    { titulo: 'Portada', pagina: 0 },
+    { titulo: 'Índice', pagina: paginaIndice },
+    ...documentos.map((documento, indice) => ({
+      titulo: `${indice + 1}. ${documento.titulo} — ${new Date(documento.fecha).toLocaleDateString('es-MX')}`,
+      pagina: paginas[indice]
+    }))
+  ]);
+
+  return pdfDoc.save({ useObjectStreams: false });
+};
+
+// Reporte tabular (reportes de auditoría): datos generales y una tabla por sección
+// reporte: { titulo, campos: [[nombre, valor]], secciones: [{ titulo, columnas: [{ label, value }], filas }] }
+const generarPDFReporte = async (reporte, { institucion = {}, solicitante = null } = {}) => {
+  const pdfDoc = await PDFDocument.create();
+  const { fuente, negrita, cursiva, sanear } = await cargarFuentes(pdfDoc);
+  const fechaGeneracion = formatearFecha(new Date());
+
+  const maquetador = crearMaquetador(pdfDoc, {
+    fuente,
+    negrita,
+    sanear,
+    encabezado: {
+      titulo: institucion.nombre || 'EXPEDIENTE CLÍNICO ELECTRÓNICO',
+      lineas: [
+        reporte.titulo,
+        solicitante ? `Generado el ${fechaGeneracion} por ${solicitante}` : `Generado el ${fechaGeneracion}`
+      ],
+      logo: await incrustarLogo(pdfDoc, institucion)
+    },
+    pie: `${reporte.titulo} · Documento confidencial · Generado el ${fechaGeneracion}`
+  });
+
+  maquetador.titulo(reporte.titulo);
+  for (const [nombre, valor] of reporte.campos) {
+    maquetador.campo(nombre, valor);
+  }
+
+  for (const seccion of reporte.secciones) {
+    maquetador.espacio(6);
+    maquetador.titulo(seccion.titulo, { nivel: 2 });
+    if (seccion.filas.length === 0) {
+      maquetador.parrafo('Sin registros en el periodo', { tamano: 9, fuenteTexto: cursiva });
+      continue;
+    }
+    maquetador.tabla(
+      seccion.columnas.map(columna => columna.label),
+      seccion.filas.map(fila => seccion.columnas.map(columna => fila[columna.value])),
+      { tamano: seccion.columnas.length > 5 ? 7.5 : 9 }
+    );
+  }
+
+  pdfDoc.setTitle(reporte.titulo);
+  pdfDoc.setLanguage('es-MX');
+  return maquetador.finalizar();
+};
+
+module.exports = {
+  envolverTexto,
+  crearMaquetador,
+  generarPDFExpediente,
+  generarPDFPaquete,
+  generarPDFReporte
+};
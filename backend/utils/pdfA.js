@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { PDFName, PDFHexString, AFRelationship } = require('pdf-lib');
+const config = require('../config/config');
+
+// PDF/A-3b (ISO 19005-3) para la conservación de expedientes
+// Requiere fuentes incrustadas (utils/fuentesPDF), metadatos XMP equivalentes al
+// diccionario Info, una intención de salida con perfil ICC e identificador de archivo.
+// PDF/A-3 permite además adjuntar archivos asociados (el expediente en JSON y las firmas).
+
+const PRODUCTOR = 'Plataforma de Expediente Clínico Electrónico';
+
+// Perfil ICC de la intención de salida, leído una sola vez por proceso
+let perfilICC;
+const cargarPerfilICC = async () => {
+  if (!perfilICC) {
+    if (!config.pdfIccProfilePath) {
+      throw new Error('PDF/A requiere un perfil ICC (PDF_ICC_PROFILE_PATH)');
+    }
+    perfilICC = await fs.readFile(config.pdfIccProfilePath);
+  }
+  return perfilICC;
+};
+
+const escaparXML = (texto) => String(texto)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Fecha XMP sin milisegundos (debe coincidir con la del diccionario Info)
+const fechaXMP = (fecha) => fecha.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+const construirXMP = ({ titulo, autor, asunto, fecha }) => `<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about=""
+        xmlns:dc="http://purl.org/dc/elements/1.1/"
+        xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+        xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+        xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">
+      <dc:format>application/pdf</dc:format>
+      <dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escaparXML(titulo)}</rdf:li></rdf:Alt></dc:title>
+      <dc:creator><rdf:Seq><rdf:li>${escaparXML(autor)}</rdf:li></rdf:Seq></dc:creator>
+      <dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escaparXML(asunto)}</rdf:li></rdf:Alt></dc:description>
+      <xmp:CreatorTool>${PRODUCTOR}</xmp:CreatorTool>
+      <xmp:CreateDate>${fechaXMP(fecha)}</xmp:CreateDate>
+      <xmp:ModifyDate>${fechaXMP(fecha)}</xmp:ModifyDate>
+      <xmp:MetadataDate>${fechaXMP(fecha)}</xmp:MetadataDate>
+      <pdf:Producer>${PRODUCTOR}</pdf:Producer>
+      <pdfaid:part>3</pdfaid:part>
+      <pdfaid:conformance>B</pdfaid:conformance>
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+
+// Convertir el documento en PDF/A-3b y adjuntar los archivos asociados
+// adjuntos: [{ nombre, contenido (Buffer), mimeType, descripcion, relacion ('Source' | 'Data' | 'Supplement') }]
+const aplicarPDFA = async (pdfDoc, { titulo, autor, asunto, adjuntos = [] }) => {
+  const { context, catalog } = pdfDoc;
+  // Las fechas del diccionario Info no guardan milisegundos
+  const fecha = new Date(Math.floor(Date.now() / 1000) * 1000);
+
+  // Diccionario Info (debe coincidir con el XMP)
+  pdfDoc.setTitle(titulo, { showInWindowTitleBar: true });
+  pdfDoc.setAuthor(autor);
+  pdfDoc.setSubject(asunto);
+  pdfDoc.setCreator(PRODUCTOR);
+  pdfDoc.setProducer(PRODUCTOR);
+  pdfDoc.setCreationDate(fecha);
+  pdfDoc.setModificationDate(fecha);
+  pdfDoc.setLanguage('es-MX');
+
+  // Metadatos XMP (sin compresión, como exige PDF/A)
+  const metadatos = context.stream(Buffer.from(construirXMP({ titulo, autor, asunto, fecha }), 'utf8'), {
+    Type: 'Metadata',
+    Subtype: 'XML'
+  });
+  catalog.set(PDFName.of('Metadata'), context.register(metadatos));
+
+  // Intención de salida con el perfil ICC RGB del dispositivo
+  const perfil = context.register(context.flateStream(await cargarPerfilICC(), { N: 3 }));
+  catalog.set(PDFName.of('OutputIntents'), context.obj([{
+    Type: 'OutputIntent',
+    S: 'GTS_PDFA1',
+    OutputConditionIdentifier: PDFHexString.fromText('sRGB'),
+    Info: PDFHexString.fromText('sRGB IEC61966-2.1'),
+    DestOutputProfile: perfil
+  }]));
+
+  // Identificador de archivo en el trailer
+  const identificador = PDFHexString.of(crypto.randomBytes(16).toString('hex'));
+  context.trailerInfo.ID = context.obj([identificador, identificador]);
+
+  // Archivos asociados (PDF/A-3): pdf-lib los registra también en /AF del catálogo
+  for (const adjunto of adjuntos) {
+    await pdfDoc.attach(adjunto.contenido, adjunto.nombre, {
+      mimeType: adjunto.mimeType,
+      description: adjunto.descripcion,
+      creationDate: fecha,
+      modificationDate: fecha,
+      afRelationship: AFRelationship[adjunto.relacion] || AFRelationship.Supplement
+    });
+  }
+};
+
+module.exports = {
+  aplicarPDFA
+};
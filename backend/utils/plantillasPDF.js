@@ -0,0 +1,304 @@
+// Plantillas PDF predeterminadas por tipo de expediente (NOM-004-SSA3-2012)
+// Se usan mientras no haya una versión activa de la plantilla en la colección PlantillaPDF.
+// Las rutas de los campos son relativas a expediente.contenido; tipo 'tabla' imprime
+// una lista de registros con las columnas indicadas y 'auto' imprime cualquier estructura.
+
+const campo = (ruta, etiqueta, opciones = {}) => ({ ruta, etiqueta, tipo: 'texto', ...opciones });
+const tabla = (ruta, etiqueta, columnas) => ({
+  ruta,
+  etiqueta,
+  tipo: 'tabla',
+  columnas: columnas.map(([rutaColumna, etiquetaColumna]) => ({ ruta: rutaColumna, etiqueta: etiquetaColumna }))
+});
+
+const SIGNOS_VITALES = {
+  titulo: 'Signos vitales',
+  campos: [
+    campo('datosEspecificos.signosVitales.tensionArterial', 'Tensión arterial'),
+    campo('datosEspecificos.signosVitales.frecuenciaCardiaca', 'Frecuencia cardiaca'),
+    campo('datosEspecificos.signosVitales.frecuenciaRespiratoria', 'Frecuencia respiratoria'),
+    campo('datosEspecificos.signosVitales.temperatura', 'Temperatura'),
+    campo('datosEspecificos.signosVitales.saturacionOxigeno', 'Saturación de oxígeno'),
+    campo('datosEspecificos.signosVitales.peso', 'Peso'),
+    campo('datosEspecificos.signosVitales.talla', 'Talla')
+  ]
+};
+
+const DIAGNOSTICO_Y_PLAN = {
+  titulo: 'Diagnóstico y plan',
+  campos: [
+    campo('diagnostico', 'Diagnóstico o problemas clínicos', { requerido: true }),
+    campo('pronostico', 'Pronóstico'),
+    campo('tratamiento', 'Tratamiento e indicaciones médicas')
+  ]
+};
+
+const MEDICAMENTOS = tabla('datosEspecificos.medicamentos', 'Medicamentos', [
+  ['nombre', 'Medicamento'],
+  ['dosis', 'Dosis'],
+  ['via', 'Vía'],
+  ['frecuencia', 'Frecuencia'],
+  ['duracion', 'Duración']
+]);
+
+const PLANTILLAS = {
+  // 6.1 Historia clínica
+  historia_clinica: {
+    titulo: 'HISTORIA CLÍNICA',
+    secciones: [
+      {
+        titulo: 'Interrogatorio',
+        campos: [
+          campo('motivo', 'Motivo de consulta'),
+          campo('datosEspecificos.antecedentesHeredofamiliares', 'Antecedentes heredo-familiares'),
+          campo('datosEspecificos.antecedentesPersonalesPatologicos', 'Antecedentes personales patológicos'),
+          campo('datosEspecificos.antecedentesPersonalesNoPatologicos', 'Antecedentes personales no patológicos'),
+          campo('padecimientoActual', 'Padecimiento actual', { requerido: true }),
+          campo('datosEspecificos.interrogatorioAparatosSistemas', 'Interrogatorio por aparatos y sistemas')
+        ]
+      },
+      {
+        titulo: 'Exploración física',
+        campos: [
+          campo('datosEspecificos.habitusExterior', 'Habitus exterior'),
+          campo('datosEspecificos.exploracionFisica', 'Cabeza, cuello, tórax, abdomen, miembros y genitales', { tipo: 'auto' })
+        ]
+      },
+      SIGNOS_VITALES,
+      {
+        titulo: 'Estudios',
+        campos: [campo('datosEspecificos.resultadosEstudios', 'Resultados previos y actuales de estudios', { tipo: 'auto' })]
+      },
+      DIAGNOSTICO_Y_PLAN
+    ]
+  },
+
+  // 6.2 Nota de evolución
+  nota_evolucion: {
+    titulo: 'NOTA DE EVOLUCIÓN',
+    secciones: [
+      {
+        titulo: 'Evolución',
+        campos: [
+          campo('padecimientoActual', 'Evolución y actualización del cuadro clínico', { requerido: true }),
+          campo('datosEspecificos.resultadosEstudios', 'Resultados relevantes de estudios', { tipo: 'auto' })
+        ]
+      },
+      SIGNOS_VITALES,
+      DIAGNOSTICO_Y_PLAN,
+      { titulo: 'Indicaciones', campos: [MEDICAMENTOS] }
+    ]
+  },
+
+  // 6.3 Nota de interconsulta
+  nota_interconsulta: {
+    titulo: 'NOTA DE INTERCONSULTA',
+    secciones: [
+      {
+        titulo: 'Interconsulta',
+        campos: [
+          campo('datosEspecificos.servicioSolicitante', 'Servicio solicitante'),
+          campo('datosEspecificos.servicioConsultado', 'Servicio consultado'),
+          campo('motivo', 'Motivo de la interconsulta', { requerido: true }),
+          campo('datosEspecificos.criteriosDiagnosticos', 'Criterios diagnósticos'),
+          campo('datosEspecificos.planEstudios', 'Plan de estudios'),
+          campo('datosEspecificos.sugerencias', 'Sugerencias diagnósticas y tratamiento')
+        ]
+      },
+      DIAGNOSTICO_Y_PLAN
+    ]
+  },
+
+  // 6.4 Nota de referencia/traslado
+  nota_referencia: {
+    titulo: 'NOTA DE REFERENCIA / TRASLADO',
+    secciones: [
+      {
+        titulo: 'Traslado',
+        campos: [
+          campo('datosEspecificos.establecimientoEnvia', 'Establecimiento que envía', { requerido: true }),
+          campo('datosEspecificos.establecimientoReceptor', 'Establecimiento receptor', { requerido: true }),
+          campo('motivo', 'Motivo de envío', { requerido: true })
+        ]
+      },
+      {
+        titulo: 'Resumen clínico',
+        campos: [
+          campo('padecimientoActual', 'Resumen clínico'),
+          campo('diagnostico', 'Impresión diagnóstica', { requerido: true }),
+          campo('tratamiento', 'Terapéutica empleada')
+        ]
+      }
+    ]
+  },
+
+  // 7.1 Nota inicial de urgencias
+  nota_urgencias: {
+    titulo: 'NOTA DE URGENCIAS',
+    secciones: [
+      {
+        titulo: 'Triage',
+        campos: [
+          campo('datosEspecificos.triage.fechaHoraAtencion', 'Fecha y hora de atención', { requerido: true }),
+          campo('datosEspecificos.triage.nivel', 'Nivel de prioridad', { requerido: true }),
+          campo('datosEspecificos.triage.color', 'Clasificación (color)'),
+          campo('datosEspecificos.triage.tiempoEspera', 'Tiempo de espera')
+        ]
+      },
+      SIGNOS_VITALES,
+      {
+        titulo: 'Atención',
+        campos: [
+          campo('motivo', 'Motivo de la atención', { requerido: true }),
+          campo('padecimientoActual', 'Resumen del interrogatorio'),
+          campo('datosEspecificos.exploracionFisica', 'Exploración física', { tipo: 'auto' }),
+          campo('datosEspecificos.estadoMental', 'Estado mental'),
+          campo('datosEspecificos.resultadosEstudios', 'Resultados de estudios', { tipo: 'auto' })
+        ]
+      },
+      DIAGNOSTICO_Y_PLAN,
+      {
+        titulo: 'Destino',
+        campos: [campo('datosEspecificos.destino', 'Destino del paciente')]
+      }
+    ]
+  },
+
+  // 8.1 Nota de ingreso / hospitalización
+  nota_hospitalizacion: {
+    titulo: 'NOTA DE HOSPITALIZACIÓN',
+    secciones: [
+      {
+        titulo: 'Ingreso',
+        campos: [
+          campo('datosEspecificos.servicio', 'Servicio'),
+          campo('datosEspecificos.cama', 'Cama'),
+          campo('motivo', 'Motivo de ingreso', { requerido: true }),
+          campo('padecimientoActual', 'Resumen del interrogatorio'),
+          campo('datosEspecificos.exploracionFisica', 'Exploración física', { tipo: 'auto' }),
+          campo('datosEspecificos.estadoMental', 'Estado mental'),
+          campo('datosEspecificos.resultadosEstudios', 'Resultados de estudios', { tipo: 'auto' })
+        ]
+      },
+      SIGNOS_VITALES,
+      DIAGNOSTICO_Y_PLAN,
+      { titulo: 'Indicaciones', campos: [MEDICAMENTOS] }
+    ]
+  },
+
+  // 10.1 Carta de consentimiento bajo información
+  consentimiento_informado: {
+    titulo: 'CARTA DE CONSENTIMIENTO BAJO INFORMACIÓN',
+    secciones: [
+      {
+        titulo: 'Acto autorizado',
+        campos: [
+          campo('datosEspecificos.lugar', 'Lugar', { requerido: true }),
+          campo('datosEspecificos.actoAutorizado', 'Acto autorizado', { requerido: true }),
+          campo('diagnostico', 'Diagnóstico'),
+          campo('datosEspecificos.riesgos', 'Riesgos', { requerido: true }),
+          campo('datosEspecificos.beneficios', 'Beneficios esperados', { requerido: true })
+        ]
+      },
+      {
+        titulo: 'Autorización',
+        campos: [
+          campo('datosEspecificos.autorizacionContingencias', 'Autorización para atender contingencias y urgencias'),
+          campo('datosEspecificos.representanteLegal', 'Representante legal (si aplica)')
+        ]
+      }
+    ],
+    leyenda: 'Declaro que se me ha informado de manera clara y comprensible sobre el acto médico autorizado, ' +
+      'sus riesgos y beneficios, y que autorizo al personal de salud para la atención de las contingencias ' +
+      'y urgencias derivadas del mismo, atendiendo al principio de libertad prescriptiva.'
+  },
+
+  // Resultados de laboratorio
+  resultado_laboratorio: {
+    titulo: 'REPORTE DE RESULTADOS DE LABORATORIO',
+    secciones: [
+      {
+        titulo: 'Estudio',
+        campos: [
+          campo('datosEspecificos.fechaHoraEstudio', 'Fecha y hora del estudio', { requerido: true }),
+          campo('datosEspecificos.solicitante', 'Médico solicitante'),
+          campo('datosEspecificos.estudioSolicitado', 'Estudio solicitado', { requerido: true }),
+          campo('motivo', 'Problema clínico en estudio')
+        ]
+      },
+      {
+        titulo: 'Resultados',
+        campos: [
+          tabla('datosEspecificos.resultados', 'Resultados', [
+            ['parametro', 'Parámetro'],
+            ['resultado', 'Resultado'],
+            ['unidades', 'Unidades'],
+            ['valoresReferencia', 'Valores de referencia']
+          ]),
+          campo('datosEspecificos.incidentes', 'Incidentes'),
+          campo('datosEspecificos.responsable', 'Personal que informa', { requerido: true })
+        ]
+      }
+    ]
+  },
+
+  // Estudios de gabinete / imagen
+  estudio_imagen: {
+    titulo: 'REPORTE DE ESTUDIO DE IMAGEN',
+    secciones: [
+      {
+        titulo: 'Estudio',
+        campos: [
+          campo('datosEspecificos.fechaHoraEstudio', 'Fecha y hora del estudio', { requerido: true }),
+          campo('datosEspecificos.solicitante', 'Médico solicitante'),
+          campo('datosEspecificos.estudioSolicitado', 'Estudio solicitado', { requerido: true }),
+          campo('motivo', 'Problema clínico en estudio')
+        ]
+      },
+      {
+        titulo: 'Interpretación',
+        campos: [
+          campo('datosEspecificos.hallazgos', 'Hallazgos', { requerido: true }),
+          campo('diagnostico', 'Impresión diagnóstica'),
+          campo('datosEspecificos.incidentes', 'Incidentes'),
+          campo('datosEspecificos.responsable', 'Personal que informa', { requerido: true })
+        ]
+      }
+    ]
+  },
+
+  // Receta médica
+  receta_medica: {
+    titulo: 'RECETA MÉDICA',
+    secciones: [
+      {
+        titulo: 'Prescripción',
+        campos: [
+          campo('diagnostico', 'Diagnóstico'),
+          MEDICAMENTOS,
+          campo('tratamiento', 'Indicaciones generales')
+        ]
+      }
+    ],
+    leyenda: 'Esta receta es válida únicamente con la firma electrónica del médico y su cédula profesional.'
+  }
+};
+
+// Plantilla predeterminada de un tipo (versión 0: la integrada en el código)
+const plantillaPredeterminada = (tipo) => {
+  const plantilla = PLANTILLAS[tipo];
+  if (!plantilla) {
+    return null;
+  }
+  return {
+    tipo,
+    version: 0,
+    nombre: 'Predeterminada',
+    ...plantilla
+  };
+};
+
+module.exports = {
+  PLANTILLAS,
+  plantillaPredeterminada
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const { canonicalizar } = require('./cadenaOriginal');
+
+// Redacción de datos personales y clínicos (PHI) en la auditoría
+// En lugar de copias completas de los documentos se guardan diferencias por campo. Los campos
+// sensibles se guardan protegidos: HMAC del valor (permite saber si cambió o comparar valores
+// sin conocerlos), una máscara opcional y el valor cifrado con AES-256-GCM, que solo puede
+// revelarse con el permiso correspondiente (cada revelación queda auditada).
+
+// Campos que se guardan en claro; todo lo demás se considera sensible
+// Las rutas se comparan sin índices de arreglos ('historialMedico.0.fecha' => 'historialMedico.fecha')
+const POLITICAS = {
+  Paciente: {
+    publicos: ['_id', '__v', 'active', 'createdBy', 'updatedBy', 'createdAt', 'updatedAt', 'historialMedico.doctor', 'historialMedico.fecha'],
+    mascaras: {
+      nombre: 'inicial',
+      apellidoPaterno: 'inicial',
+      apellidoMaterno: 'inicial',
+      fechaNacimiento: 'anio',
+      curp: 'ultimos4',
+      telefono: 'ultimos4',
+      email: 'correo'
+    }
+  },
+  Expediente: {
+    publicos: ['_id', '__v', 'paciente', 'tipo', 'estado', 'createdBy', 'createdAt', 'updatedAt', 'contenido.fecha', 'contenido.metadata.version'],
+    mascaras: {}
+  }
+};
+
+// Máscaras: dejan ver la forma del dato sin el dato
+const MASCARAS = {
+  inicial: (texto) => `${texto.charAt(0)}***`,
+  ultimos4: (texto) => `${'*'.repeat(Math.max(texto.length - 4, 0))}${texto.slice(-4)}`,
+  correo: (texto) => texto.replace(/^(.)[^@]*@/, '$1***@'),
+  anio: (texto) => texto.replace(/^(\d{4})-\d{2}-\d{2}.*$/, '$1-**-**')
+};
+
+// Llaves derivadas de AUDIT_PHI_KEY: una para el HMAC y otra para el cifrado
+// Se derivan al cargar el módulo: sin la llave el servidor no arranca, en lugar de fallar
+// al auditar una escritura que ya se guardó
+const derivarLlaves = (llave) => {
+  if (!llave) {
+    throw new Error('No se configuró la llave de datos sensibles de auditoría (AUDIT_PHI_KEY)');
+  }
+  const maestra = Buffer.from(llave, /^[0-9a-f]{64,}$/i.test(llave) ? 'hex' : 'base64');
+  if (maestra.length < 32) {
+    throw new Error('AUDIT_PHI_KEY debe tener al menos 32 bytes');
+  }
+  return {
+    hmac: Buffer.from(crypto.hkdfSync('sha256', maestra, Buffer.alloc(0), 'auditoria-phi-hmac', 32)),
+    cifrado: Buffer.from(crypto.hkdfSync('sha256', maestra, Buffer.alloc(0), 'auditoria-phi-cifrado', 32))
+  };
+};
+
+const llaves = derivarLlaves(config.auditPhiKey);
+
+const rutaPolitica = (ruta) => ruta.split('.').filter(parte => !/^\d+$/.test(parte)).join('.');
+
+const esPublico = (politica, ruta) => {
+  const normalizada = rutaPolitica(ruta);
+  return politica.publicos.some(publico => normalizada === publico || normalizada.startsWith(`${publico}.`));
+};
+
+// Valor protegido: { protegido, hash, mascara, cifrado }; la ruta va como dato autenticado
+// del cifrado para que un valor no pueda moverse a otro campo
+const proteger = (politica, ruta, valor) => {
+  const { hmac, cifrado } = llaves;
+  const serializado = canonicalizar(valor);
+  const iv = crypto.randomBytes(12);
+  const cifrador = crypto.createCipheriv('aes-256-gcm', cifrado, iv);
+  cifrador.setAAD(Buffer.from(ruta));
+  const texto = Buffer.concat([cifrador.update(serializado, 'utf8'), cifrador.final()]);
+  const mascara = MASCARAS[politica.mascaras[rutaPolitica(ruta)]];
+
+  return {
+    protegido: true,
+    hash: crypto.createHmac('sha256', hmac).update(serializado).digest('hex'),
+    mascara: mascara && typeof valor === 'string' ? mascara(valor) : undefined,
+    cifrado: ['v1', iv.toString('base64'), cifrador.getAuthTag().toString('base64'), texto.toString('base64')].join(':')
+  };
+};
+
+// Descifrar un valor protegido de la ruta indicada
+const revelar = (ruta, protegido) => {
+  const [version, iv, etiqueta, texto] = protegido.cifrado.split(':');
+  if (version !== 'v1') {
+    throw new Error(`Versión de cifrado no soportada: ${version}`);
+  }
+  const descifrador = crypto.createDecipheriv('aes-256-gcm', llaves.cifrado, Buffer.from(iv, 'base64'));
+  descifrador.setAAD(Buffer.from(ruta));
+  descifrador.setAuthTag(Buffer.from(etiqueta, 'base64'));
+  const serializado = Buffer.concat([descifrador.update(Buffer.from(texto, 'base64')), descifrador.final()]);
+  return JSON.parse(serializado.toString('utf8'));
+};
+
+// Aplanar un valor JSON en { ruta: valor } (objetos y arreglos; los vacíos anidados cuentan como valor)
+const aplanar = (valor, prefijo = '', resultado = {}, raiz = true) => {
+  const esContenedor = valor !== null && typeof valor === 'object';
+  const llavesValor = esContenedor ? Object.keys(valor) : [];
+  if (!esContenedor || llavesValor.length === 0) {
+    if (prefijo && !(raiz && esContenedor)) resultado[prefijo] = valor;
+    return resultado;
+  }
+  for (const llave of llavesValor) {
+    aplanar(valor[llave], prefijo ? `${prefijo}.${llave}` : llave, resultado, false);
+  }
+  return resultado;
+};
+
+// Diferencias por campo entre dos versiones de un documento, con los campos sensibles protegidos
+// entidad: 'Paciente' | 'Expediente'; prefijo: ruta bajo la que están los valores
+// Devuelve [{ ruta, operacion: 'agregado' | 'modificado' | 'eliminado', anterior, nuevo }]
+const diferencias = (entidad, antes, despues, { prefijo = '' } = {}) => {
+  const politica = POLITICAS[entidad] || { publicos: [], mascaras: {} };
+  const anteriores = aplanar(JSON.parse(canonicalizar(antes || {})), prefijo);
+  const nuevos = aplanar(JSON.parse(canonicalizar(despues || {})), prefijo);
+  const cambios = [];
+
+  for (const ruta of [...new Set([...Object.keys(anteriores), ...Object.keys(nuevos)])].sort()) {
+    const existia = ruta in anteriores;
+    const existe = ruta in nuevos;
+    if (existia && existe && canonicalizar(anteriores[ruta]) === canonicalizar(nuevos[ruta])) continue;
+
+    const registrar = (valor) => (esPublico(politica, ruta) ? valor : proteger(politica, ruta, valor));
+    cambios.push({
+      ruta,
+      operacion: !existia ? 'agregado' : !existe ? 'eliminado' : 'modificado',
+      anterior: existia ? registrar(anteriores[ruta]) : undefined,
+      nuevo: existe ? registrar(nuevos[ruta]) : undefined
+    });
+  }
+
+  return cambios;
+};
+
+// Datos de un documento nuevo (o de un filtro de búsqueda) como diferencias contra nada
+const redactar = (entidad, datos, opciones) => diferencias(entidad, {}, datos, opciones);
+
+// Revelar los valores protegidos de los cambios de un registro de auditoría
+// rutas: limitar a esas rutas (opcional)
+const revelarCambios = (cambios, rutas = null) =>
+  cambios
+    .filter(cambio => !rutas || rutas.includes(cambio.ruta))
+    .filter(cambio => [cambio.anterior, cambio.nuevo].some(valor => valor && valor.protegido))
+    .map(cambio => ({
+      ruta: cambio.ruta,
+      operacion: cambio.operacion,
+      anterior: cambio.anterior && cambio.anterior.protegido ? revelar(cambio.ruta, cambio.anterior) : cambio.anterior,
+      nuevo: cambio.nuevo && cambio.nuevo.protegido ? revelar(cambio.ruta, cambio.nuevo) : cambio.nuevo
+    }));
+
+module.exports = {
+  diferencias,
+  redactar,
+  revelarCambios
+};
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('../config/config');
+const asn1 = require('./asn1');
+const { verificarCadena } = require('./confianza');
+
+// Identificadores CMS / RFC 3161
+const OID_SIGNED_DATA = '1.2.840.113549.1.7.2';
+const OID_TST_INFO = '1.2.840.113549.1.9.16.1.4';
+const OID_MESSAGE_DIGEST = '1.2.840.113549.1.9.4';
+const OID_CONTENT_TYPE = '1.2.840.113549.1.9.3';
+
+// Certificado fijo de la TSA (opcional); si no se configura, debe encadenar al almacén de confianza
+let certificadoTSA;
+const cargarCertificadoTSA = () => {
+  if (certificadoTSA === undefined) {
+    certificadoTSA = config.tsaCertPath && fs.existsSync(config.tsaCertPath)
+      ? new crypto.X509Certificate(fs.readFileSync(config.tsaCertPath))
+      : null;
+  }
+  return certificadoTSA;
+};
+
+// TimeStampReq para el hash SHA-256 de los datos
+const construirSolicitud = (hash, nonce) => asn1.secuencia(
+  asn1.entero(1),
+  asn1.secuencia(asn1.algoritmo(asn1.OID.sha256), asn1.octetos(hash)),
+  asn1.entero(nonce),
+  asn1.booleano(true)
+);
+
+// Buscar el certificado del firmante de la TSA entre los incluidos en el token
+const certificadoFirmante = (signedData, signerInfo) => {
+  const sid = signerInfo.hijos[1];
+  const certificados = asn1.contexto(signedData, 0);
+  const candidatos = certificados
+    ? certificados.hijos.map(nodo => new crypto.X509Certificate(nodo.raw))
+    : [];
+  const fijo = cargarCertificadoTSA();
+  if (fijo) candidatos.push(fijo);
+
+  return candidatos.find(certificado => {
+    const partes = asn1.partesCertificado(certificado.raw);
+    if (sid.tag === asn1.TAG.SEQUENCE) {
+      // IssuerAndSerialNumber
+      return sid.hijos[0].raw.equals(partes.emisor) &&
+        asn1.aEnteroHex(sid.hijos[1]) === asn1.aEnteroHex(partes.numeroSerie);
+    }
+    // [0] SubjectKeyIdentifier
+    const ski = crypto.createHash('sha1').update(partes.llavePublica).digest();
+    return sid.contenido.equals(ski);
+  });
+};
+
+// RFC 3161 §2.3: el certificado de la TSA lleva la extensión crítica extKeyUsage con id-kp-timeStamping
+const esCertificadoTSA = (certificado) => {
+  const uso = asn1.extensionesCertificado(certificado.raw).get(asn1.OID.extKeyUsage);
+  return Boolean(uso && uso.critica &&
+    asn1.decodificar(uso.valor).hijos.some(proposito => asn1.aOid(proposito) === asn1.OID.timeStamping));
+};
+
+// Verificar un token de sello de tiempo (ContentInfo con SignedData y TSTInfo) sobre los datos
+const verificarSelloTiempo = (token, datos) => {
+  const contentInfo = asn1.decodificar(token);
+  if (asn1.aOid(contentInfo.hijos[0]) !== OID_SIGNED_DATA) {
+    throw new Error('El sello de tiempo no es un SignedData');
+  }
+
+  const signedData = asn1.contexto(contentInfo, 0).hijos[0];
+  const encapsulado = signedData.hijos[2];
+  if (asn1.aOid(encapsulado.hijos[0]) !== OID_TST_INFO) {
+    throw new Error('El sello de tiempo no contiene un TSTInfo');
+  }
+
+  // TSTInfo: version, policy, messageImprint, serialNumber, genTime, ...
+  const contenidoTST = asn1.contexto(encapsulado, 0).hijos[0].contenido;
+  const tstInfo = asn1.decodificar(contenidoTST);
+  const [, politica, huella, serie, fechaGeneracion] = tstInfo.hijos;
+
+  const algoritmoHuella = asn1.hashDeAlgoritmo(huella.hijos[0]);
+  const hashEsperado = crypto.createHash(algoritmoHuella).update(datos).digest();
+  // Después de genTime: accuracy?, ordering?, nonce?
+  const nonce = tstInfo.hijos.slice(5).find(hijo => hijo.tag === asn1.TAG.INTEGER);
+  const resultado = {
+    fecha: asn1.aFecha(fechaGeneracion),
+    serie: asn1.aEnteroHex(serie),
+    politica: asn1.aOid(politica),
+    nonce: nonce ? asn1.aEnteroHex(nonce) : null
+  };
+
+  if (!huella.hijos[1].contenido.equals(hashEsperado)) {
+    return { ...resultado, valido: false, mensaje: 'El sello de tiempo no corresponde a la firma' };
+  }
+
+  // SignerInfo: version, sid, digestAlgorithm, [0] signedAttrs, signatureAlgorithm, signature
+  const signerInfos = signedData.hijos[signedData.hijos.length - 1];
+  const signerInfo = signerInfos.hijos[0];
+  const algoritmoDigest = asn1.hashDeAlgoritmo(signerInfo.hijos[2]);
+  const atributos = asn1.contexto(signerInfo, 0);
+  const atributo = (identificador) => atributos.hijos
+    .find(attr => asn1.aOid(attr.hijos[0]) === identificador);
+
+  const digest = atributo(OID_MESSAGE_DIGEST);
+  const tipoContenido = atributo(OID_CONTENT_TYPE);
+  const digestCalculado = crypto.createHash(algoritmoDigest).update(contenidoTST).digest();
+  if (!digest || !digest.hijos[1].hijos[0].contenido.equals(digestCalculado) ||
+      !tipoContenido || asn1.aOid(tipoContenido.hijos[1].hijos[0]) !== OID_TST_INFO) {
+    return { ...resultado, valido: false, mensaje: 'Los atributos firmados del sello de tiempo no son válidos' };
+  }
+
+  const firmante = certificadoFirmante(signedData, signerInfo);
+  if (!firmante) {
+    return { ...resultado, valido: false, mensaje: 'No se encontró el certificado de la TSA' };
+  }
+  resultado.autoridad = firmante.subject.replace(/\n/g, ', ');
+
+  // Los atributos firmados se verifican codificados como SET OF
+  const atributosDer = Buffer.concat([Buffer.from([asn1.TAG.SET]), atributos.raw.subarray(1)]);
+  const sello = signerInfo.hijos.find(hijo => hijo.tag === asn1.TAG.OCTET_STRING).contenido;
+  if (!crypto.verify(algoritmoDigest, atributosDer, firmante.publicKey, sello)) {
+    return { ...resultado, valido: false, mensaje: 'La firma de la TSA no es válida' };
+  }
+
+  if (!esCertificadoTSA(firmante)) {
+    return { ...resultado, valido: false, mensaje: 'El certificado no está autorizado para emitir sellos de tiempo' };
+  }
+
+  // La TSA debe ser la configurada o encadenar a una autoridad de confianza
+  const fijo = cargarCertificadoTSA();
+  const confiable = fijo
+    ? fijo.fingerprint256 === firmante.fingerprint256
+    : verificarCadena(firmante, resultado.fecha).estado === 'confiable';
+  if (!confiable) {
+    return { ...resultado, valido: false, mensaje: 'La TSA no es de confianza' };
+  }
+
+  return { ...resultado, valido: true, mensaje: 'Sello de tiempo válido' };
+};
+
+// Solicitar un sello de tiempo RFC 3161 sobre los datos (p. ej. el sello digital)
+const solicitarSelloTiempo = async (datos, { url = config.tsaUrl, timeout = config.tsaTimeout || 10000 } = {}) => {
+  const hash = crypto.createHash('sha256').update(datos).digest();
+  const nonce = BigInt(`0x${crypto.randomBytes(8).toString('hex')}`);
+
+  const respuesta = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/timestamp-query' },
+    body: construirSolicitud(hash, nonce),
+    signal: AbortSignal.timeout(timeout)
+  });
+
+  if (!respuesta.ok) {
+    throw new Error(`La TSA respondió HTTP ${respuesta.status}`);
+  }
+
+  // TimeStampResp: status PKIStatusInfo, timeStampToken?
+  const timeStampResp = asn1.decodificar(Buffer.from(await respuesta.arrayBuffer()));
+  const estado = asn1.aEntero(timeStampResp.hijos[0].hijos[0]);
+  if (estado > 1 || !timeStampResp.hijos[1]) {
+    throw new Error(`La TSA rechazó la solicitud (estado ${estado})`);
+  }
+
+  const token = Buffer.from(timeStampResp.hijos[1].raw);
+  const verificacion = verificarSelloTiempo(token, datos);
+  if (!verificacion.valido) {
+    throw new Error(verificacion.mensaje);
+  }
+
+  // El nonce devuelto debe ser el enviado
+  if (!verificacion.nonce || BigInt(`0x${verificacion.nonce}`) !== nonce) {
+    throw new Error('El nonce del sello de tiempo no coincide');
+  }
+
+  return {
+    token,
+    autoridad: verificacion.autoridad,
+    fecha: verificacion.fecha
+  };
+};
+
+module.exports = {
+  solicitarSelloTiempo,
+  verificarSelloTiempo
+};